@@ -0,0 +1,545 @@
+const fs = require("node:fs/promises");
+const path = require("node:path");
+const { ensureDir, normalizeRelativePath, pathExists, writeFileAtomic } = require("./fs-utils");
+const { ItemIndex } = require("./item-index");
+const { MetadataCache } = require("./metadata-cache");
+const { encodeProviderItemId } = require("./provider-registry");
+const { TranscriptPage } = require("./transcript");
+
+const HISTORY_FILE_NAME = ".aider.chat.history.md";
+const INPUT_HISTORY_FILE_NAME = ".aider.input.history";
+const ARCHIVE_DIR_NAME = ".aider.archived_sessions";
+const SESSION_HEADER_PATTERN = /^# aider chat started at (\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2})[ \t]*$/gm;
+const INPUT_TIMESTAMP_PATTERN = /^# (\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2})/;
+const MAX_DISCOVERY_DEPTH = 3;
+// The roots default to the home directory, so the walk is reused between
+// listings instead of repeated on every refresh.
+const DISCOVERY_TTL_MS = 5 * 60 * 1000;
+const SKIPPED_DIR_NAMES = new Set(["node_modules"]);
+const METADATA_CACHE_VERSION = 2;
+
+function encodeAiderItemId(projectPath, sessionKey) {
+  return encodeProviderItemId("aider", `${projectPath}#${sessionKey}`);
+}
+
+function normalizeTitle(rawTitle) {
+  if (typeof rawTitle !== "string") {
+    return null;
+  }
+
+  const oneLine = rawTitle.replace(/\s+/g, " ").trim();
+  if (!oneLine) {
+    return null;
+  }
+
+  const titleChars = Array.from(oneLine);
+  const maxLength = 56;
+  if (titleChars.length <= maxLength) {
+    return oneLine;
+  }
+
+  return `${titleChars.slice(0, maxLength - 1).join("")}…`;
+}
+
+// Aider writes local wall-clock times without a zone.
+function aiderTimeToIso(value) {
+  const epoch = Date.parse(value.replace(" ", "T"));
+  return Number.isFinite(epoch) ? new Date(epoch).toISOString() : null;
+}
+
+function archiveFileNameFor(sessionKey) {
+  return `aider-chat-${sessionKey.replace(/[: ]/g, "-").replace("#", "_")}.md`;
+}
+
+// Splits a chat history into the text before the first header and one
+// segment per "# aider chat started at" header. Segments keep their exact
+// text so they can be spliced out of and back into the file.
+function splitChatHistory(text) {
+  const headers = [];
+  SESSION_HEADER_PATTERN.lastIndex = 0;
+  let match;
+  while ((match = SESSION_HEADER_PATTERN.exec(text)) !== null) {
+    headers.push({ index: match.index, startedAt: match[1] });
+  }
+
+  const seen = new Map();
+  const segments = headers.map((header, position) => {
+    const end = position + 1 < headers.length ? headers[position + 1].index : text.length;
+    const occurrence = (seen.get(header.startedAt) || 0) + 1;
+    seen.set(header.startedAt, occurrence);
+    return {
+      sessionKey: occurrence > 1 ? `${header.startedAt}#${occurrence}` : header.startedAt,
+      startedAt: header.startedAt,
+      text: text.slice(header.index, end)
+    };
+  });
+
+  return {
+    preamble: headers.length > 0 ? text.slice(0, headers[0].index) : text,
+    segments
+  };
+}
+
+// An archived file holds a single segment, so a session whose header
+// repeated an earlier one in the history keeps the occurrence suffix from
+// its file name instead of parsing back as the first occurrence.
+function splitSessionFile(filePath, text) {
+  const split = splitChatHistory(text);
+  const suffix = /_(\d+)\.md$/.exec(path.basename(filePath));
+  if (!suffix || path.basename(path.dirname(filePath)) !== ARCHIVE_DIR_NAME) {
+    return split;
+  }
+  return {
+    ...split,
+    segments: split.segments.map((segment) =>
+      segment.sessionKey === segment.startedAt
+        ? { ...segment, sessionKey: `${segment.startedAt}#${suffix[1]}` }
+        : segment
+    )
+  };
+}
+
+function joinChatHistory(preamble, segments) {
+  let output = preamble;
+  for (const segment of segments) {
+    if (output && !output.endsWith("\n")) {
+      output += "\n";
+    }
+    output += segment.text;
+  }
+  return output;
+}
+
+// Groups segment lines into blocks: "#### " lines are user input, "> "
+// lines are Aider's own command output, everything else is the model reply.
+function segmentBlocks(segmentText) {
+  const lines = segmentText.split("\n").slice(1);
+  const blocks = [];
+  let current = null;
+
+  const flush = () => {
+    if (current) {
+      const text = current.lines.join("\n").trim();
+      if (text) {
+        blocks.push({ kind: current.kind, text });
+      }
+    }
+    current = null;
+  };
+
+  for (const line of lines) {
+    let kind;
+    let content;
+    if (line.startsWith("####")) {
+      kind = "user";
+      content = line.replace(/^####\s?/, "");
+    } else if (line.startsWith(">")) {
+      kind = "tool_result";
+      content = line.replace(/^>\s?/, "");
+    } else if (!line.trim() && current) {
+      current.lines.push("");
+      continue;
+    } else if (!line.trim()) {
+      continue;
+    } else {
+      kind = "assistant";
+      content = line;
+    }
+
+    if (!current || current.kind !== kind) {
+      flush();
+      current = { kind, lines: [] };
+    }
+    current.lines.push(content);
+  }
+  flush();
+
+  return blocks;
+}
+
+function parseInputHistory(text) {
+  const entries = [];
+  let current = null;
+  for (const line of text.split("\n")) {
+    const timestamp = INPUT_TIMESTAMP_PATTERN.exec(line);
+    if (timestamp) {
+      current = { at: timestamp[1], lines: [] };
+      entries.push(current);
+    } else if (current && line.startsWith("+")) {
+      current.lines.push(line.slice(1));
+    }
+  }
+  return entries.map((entry) => ({ at: entry.at, text: entry.lines.join("\n") }));
+}
+
+function summarizeSegments(segments, inputEntries) {
+  return segments.map((segment, position) => {
+    const next = segments[position + 1];
+    const inputs = inputEntries.filter(
+      (entry) => entry.at >= segment.startedAt && (!next || entry.at < next.startedAt)
+    );
+    const userBlocks = segmentBlocks(segment.text).filter((block) => block.kind === "user");
+    const firstPrompt = userBlocks.length > 0 ? userBlocks[0].text : inputs.length > 0 ? inputs[0].text : null;
+
+    return {
+      sessionKey: segment.sessionKey,
+      startedAt: segment.startedAt,
+      lastInputAt: inputs.length > 0 ? inputs[inputs.length - 1].at : null,
+      title: normalizeTitle(firstPrompt),
+      messageCount: Math.max(userBlocks.length, inputs.length),
+      sizeBytes: Buffer.byteLength(segment.text, "utf8")
+    };
+  });
+}
+
+async function readTextIfExists(filePath) {
+  try {
+    return await fs.readFile(filePath, "utf8");
+  } catch (error) {
+    if (error && error.code === "ENOENT") {
+      return null;
+    }
+    throw error;
+  }
+}
+
+class AiderSessionStore {
+  constructor({ projectRoots, metadataCachePath = null, discoveryTtlMs = DISCOVERY_TTL_MS }) {
+    this.projectRoots = [].concat(projectRoots || []);
+    this.discoveryTtlMs = discoveryTtlMs;
+    this.discovery = null;
+    this.titleCache = new MetadataCache({
+      filePath: metadataCachePath,
+      version: METADATA_CACHE_VERSION
+    });
+    this.itemIndex = new ItemIndex();
+  }
+
+  async listSessions() {
+    await this.titleCache.load();
+    const projectPaths = await this.#discoverProjects();
+
+    const items = [];
+    for (const projectPath of projectPaths) {
+      const inputEntries = await this.#readInputHistory(projectPath);
+      items.push(
+        ...(await this.#scanFile(projectPath, path.join(projectPath, HISTORY_FILE_NAME), "active", inputEntries))
+      );
+
+      let archivedFiles = [];
+      try {
+        archivedFiles = (await fs.readdir(path.join(projectPath, ARCHIVE_DIR_NAME), { withFileTypes: true }))
+          .filter((entry) => entry.isFile() && entry.name.endsWith(".md"))
+          .map((entry) => path.join(projectPath, ARCHIVE_DIR_NAME, entry.name));
+      } catch (error) {
+        if (!error || error.code !== "ENOENT") {
+          throw error;
+        }
+      }
+      for (const archivedFile of archivedFiles) {
+        items.push(...(await this.#scanFile(projectPath, archivedFile, "archived", inputEntries)));
+      }
+    }
+
+    items.sort((left, right) => right.updatedAtEpochMs - left.updatedAtEpochMs);
+
+    const livePaths = new Set(items.map((item) => item.absolutePath));
+    for (const cachedPath of this.titleCache.keys()) {
+      if (!livePaths.has(cachedPath)) {
+        this.titleCache.delete(cachedPath);
+      }
+    }
+    await this.titleCache.flush();
+
+    const result = items.map(({ updatedAtEpochMs, ...item }) => item);
+    this.itemIndex.replace(result);
+
+    return {
+      items: result,
+      counts: {
+        total: result.length,
+        active: result.filter((item) => item.state === "active").length,
+        archived: result.filter((item) => item.state === "archived").length
+      }
+    };
+  }
+
+  async findItemsByIds(itemIds) {
+    return this.itemIndex.findItemsByIds(itemIds, () => this.listSessions());
+  }
+
+  async archiveItem(item) {
+    if (item.state !== "active") {
+      throw new Error("only active sessions can be archived");
+    }
+
+    const archived = await this.#extractToArchive(item);
+    return {
+      from: `${item.relativePath}#${item.sessionKey}`,
+      to: archived.relativePath
+    };
+  }
+
+  async unarchiveItem(item) {
+    if (item.state !== "archived") {
+      throw new Error("only archived sessions can be restored to active");
+    }
+
+    const historyPath = await this.#returnToHistory(item.projectPath, item.absolutePath, item.sessionKey);
+    const relativePath = normalizeRelativePath(path.relative(item.projectPath, historyPath));
+    this.itemIndex.set({
+      ...item,
+      state: "active",
+      absolutePath: historyPath,
+      relativePath,
+      fileName: HISTORY_FILE_NAME
+    });
+    return {
+      from: item.relativePath,
+      to: `${relativePath}#${item.sessionKey}`
+    };
+  }
+
+  // Active sessions share one history file, so before TrashStore can move a
+  // session it is split out into its own file under the archive directory.
+  async detachItem(item) {
+    if (item.state === "archived") {
+      return item;
+    }
+    return { ...(await this.#extractToArchive(item)), detachedFrom: item.state };
+  }
+
+  // Called after TrashStore has put a detached session's file back, so an
+  // active session returns to the chat history it was split out of.
+  async reattachItem(metadata, absolutePath) {
+    if (metadata.originalState !== "active") {
+      return;
+    }
+    const [segment] = splitSessionFile(absolutePath, await fs.readFile(absolutePath, "utf8")).segments;
+    if (!segment) {
+      throw new Error("restored session file has no chat history");
+    }
+    await this.#returnToHistory(metadata.homeRoot, absolutePath, segment.sessionKey);
+  }
+
+  async readTranscript(item, pageOptions) {
+    const page = new TranscriptPage(pageOptions);
+    const text = await fs.readFile(item.absolutePath, "utf8");
+    const segment = splitSessionFile(item.absolutePath, text).segments.find(
+      (candidate) => candidate.sessionKey === item.sessionKey
+    );
+    if (segment) {
+      for (const block of segmentBlocks(segment.text)) {
+        page.push({ kind: block.kind, text: block.text });
+      }
+    }
+    return page.toJSON();
+  }
+
+  async #extractToArchive(item) {
+    const archiveDir = path.join(item.projectPath, ARCHIVE_DIR_NAME);
+    const fileName = archiveFileNameFor(item.sessionKey);
+    const destinationPath = path.join(archiveDir, fileName);
+    if (await pathExists(destinationPath)) {
+      throw new Error("archived destination already exists");
+    }
+
+    const segment = await this.#readSegment(item.absolutePath, item.sessionKey);
+    await ensureDir(archiveDir);
+    await writeFileAtomic(destinationPath, segment.text.endsWith("\n") ? segment.text : `${segment.text}\n`);
+    try {
+      await this.#removeSegment(item.absolutePath, item.sessionKey);
+    } catch (error) {
+      await fs.rm(destinationPath, { force: true });
+      throw error;
+    }
+
+    const archived = {
+      ...item,
+      state: "archived",
+      absolutePath: destinationPath,
+      relativePath: normalizeRelativePath(path.relative(item.projectPath, destinationPath)),
+      fileName
+    };
+    this.itemIndex.set(archived);
+    return archived;
+  }
+
+  async #returnToHistory(projectPath, archivePath, sessionKey) {
+    const segment = await this.#removeSegment(archivePath, sessionKey);
+    const historyPath = path.join(projectPath, HISTORY_FILE_NAME);
+    try {
+      await this.#insertSegment(historyPath, segment);
+    } catch (error) {
+      await this.#insertSegment(archivePath, segment);
+      throw error;
+    }
+
+    const remaining = await readTextIfExists(archivePath);
+    if (remaining !== null && !remaining.trim()) {
+      await fs.rm(archivePath, { force: true });
+    }
+    return historyPath;
+  }
+
+  async #readSegment(filePath, sessionKey) {
+    const text = await readTextIfExists(filePath);
+    const segment = text === null
+      ? null
+      : splitSessionFile(filePath, text).segments.find((candidate) => candidate.sessionKey === sessionKey);
+    if (!segment) {
+      throw new Error("session no longer exists in chat history");
+    }
+    return segment;
+  }
+
+  async #removeSegment(filePath, sessionKey) {
+    const text = await readTextIfExists(filePath);
+    if (text === null) {
+      throw new Error("session no longer exists in chat history");
+    }
+
+    const { preamble, segments } = splitSessionFile(filePath, text);
+    const segment = segments.find((candidate) => candidate.sessionKey === sessionKey);
+    if (!segment) {
+      throw new Error("session no longer exists in chat history");
+    }
+
+    await writeFileAtomic(
+      filePath,
+      joinChatHistory(preamble, segments.filter((candidate) => candidate !== segment))
+    );
+    return segment;
+  }
+
+  async #insertSegment(filePath, segment) {
+    const text = (await readTextIfExists(filePath)) || "";
+    const { preamble, segments } = splitSessionFile(filePath, text);
+    if (segments.some((candidate) => candidate.sessionKey === segment.sessionKey)) {
+      throw new Error("active destination already exists");
+    }
+
+    const position = segments.findIndex((candidate) => candidate.startedAt > segment.startedAt);
+    const merged = segments.slice();
+    merged.splice(position === -1 ? merged.length : position, 0, {
+      ...segment,
+      text: segment.text.endsWith("\n") ? segment.text : `${segment.text}\n`
+    });
+
+    await ensureDir(path.dirname(filePath));
+    await writeFileAtomic(filePath, joinChatHistory(preamble, merged));
+  }
+
+  async #discoverProjects() {
+    if (this.discovery && Date.now() - this.discovery.at < this.discoveryTtlMs) {
+      return this.discovery.projects;
+    }
+
+    const projects = [];
+    const visited = new Set();
+
+    const walk = async (directoryPath, depth) => {
+      if (visited.has(directoryPath)) {
+        return;
+      }
+      visited.add(directoryPath);
+
+      let entries;
+      try {
+        entries = await fs.readdir(directoryPath, { withFileTypes: true });
+      } catch {
+        return;
+      }
+
+      if (entries.some((entry) => entry.name === HISTORY_FILE_NAME || entry.name === ARCHIVE_DIR_NAME)) {
+        projects.push(directoryPath);
+      }
+
+      if (depth >= MAX_DISCOVERY_DEPTH) {
+        return;
+      }
+      for (const entry of entries) {
+        if (entry.isDirectory() && !entry.name.startsWith(".") && !SKIPPED_DIR_NAMES.has(entry.name)) {
+          await walk(path.join(directoryPath, entry.name), depth + 1);
+        }
+      }
+    };
+
+    for (const root of this.projectRoots) {
+      await walk(path.resolve(root), 0);
+    }
+    this.discovery = { at: Date.now(), projects };
+    return projects;
+  }
+
+  async #readInputHistory(projectPath) {
+    const text = await readTextIfExists(path.join(projectPath, INPUT_HISTORY_FILE_NAME));
+    return text === null ? [] : parseInputHistory(text);
+  }
+
+  async #scanFile(projectPath, absolutePath, state, inputEntries) {
+    let stats;
+    try {
+      stats = await fs.stat(absolutePath);
+    } catch (error) {
+      if (error && error.code === "ENOENT") {
+        return [];
+      }
+      throw error;
+    }
+
+    const inputVersion = inputEntries.length > 0 ? inputEntries[inputEntries.length - 1].at : "none";
+    let cached = this.titleCache.get(absolutePath);
+    if (
+      !cached ||
+      cached.mtimeMs !== stats.mtimeMs ||
+      cached.sizeBytes !== stats.size ||
+      cached.inputVersion !== inputVersion
+    ) {
+      const text = await fs.readFile(absolutePath, "utf8");
+      cached = {
+        mtimeMs: stats.mtimeMs,
+        sizeBytes: stats.size,
+        inputVersion,
+        segments: summarizeSegments(splitSessionFile(absolutePath, text).segments, inputEntries)
+      };
+      this.titleCache.set(absolutePath, cached);
+    }
+
+    const relativePath = normalizeRelativePath(path.relative(projectPath, absolutePath));
+    return cached.segments.map((segment, position) => {
+      const isLast = position === cached.segments.length - 1;
+      const createdAt = aiderTimeToIso(segment.startedAt) || new Date(stats.mtimeMs).toISOString();
+      const updatedAt = isLast && state === "active"
+        ? new Date(stats.mtimeMs).toISOString()
+        : (segment.lastInputAt && aiderTimeToIso(segment.lastInputAt)) || createdAt;
+
+      return {
+        itemId: encodeAiderItemId(projectPath, segment.sessionKey),
+        // Title overrides are keyed by thread id, so it names the project too.
+        threadId: `${projectPath}#${segment.sessionKey}`,
+        sessionKey: segment.sessionKey,
+        title: segment.title || `Aider session ${segment.startedAt}`,
+        fileName: path.basename(absolutePath),
+        state,
+        provider: "aider",
+        absolutePath,
+        relativePath,
+        projectPath,
+        projectName: path.basename(projectPath),
+        sizeBytes: segment.sizeBytes,
+        createdAt,
+        updatedAt,
+        updatedAtEpochMs: Date.parse(updatedAt) || 0,
+        messageCount: segment.messageCount
+      };
+    });
+  }
+}
+
+module.exports = {
+  AiderSessionStore,
+  encodeAiderItemId,
+  parseInputHistory,
+  splitChatHistory
+};
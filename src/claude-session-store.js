@@ -3,8 +3,21 @@ const fs = require("node:fs/promises");
 const path = require("node:path");
 const readline = require("node:readline");
 const { ensureDir, movePath, normalizeRelativePath, pathExists } = require("./fs-utils");
-
-const MAX_TITLE_SCAN_LINES = 50;
+const { ItemIndex } = require("./item-index");
+const { MetadataCache } = require("./metadata-cache");
+const { RULE_CANDIDATE_COUNT, SystemRules, systemRuleText } = require("./system-rules");
+const { TranscriptPage, contentText, readJsonlTranscript } = require("./transcript");
+
+const METADATA_CACHE_VERSION = 6;
+// Claude Code wraps slash commands, their output and local shell runs in
+// these tags; such messages say nothing about what the session was about.
+const WRAPPER_TAG_PATTERN =
+  /^<(command-name|command-message|command-args|local-command-stdout|local-command-stderr|bash-input|bash-stdout|bash-stderr|system-reminder)>/;
+const CAVEAT_PREFIX = "Caveat: The messages below were generated by the user";
+// Directory reads allowed per folder name. Every "-" may be a separator or
+// part of a name, so an unlucky name could otherwise probe the filesystem
+// an exponential number of times; past the budget the plain decoding is used.
+const MAX_PROJECT_PROBES = 64;
 
 function encodeClaudeItemId(sessionId) {
   return Buffer.from(`claude:${sessionId}`, "utf8").toString("base64url");
@@ -45,12 +58,117 @@ function decodeProjectName(dirName) {
   return dirName.replace(/^-/, "/").replace(/-/g, "/");
 }
 
-async function readFirstUserMessage(absolutePath) {
+function encodeProjectPath(projectPath) {
+  return projectPath.replace(/[^a-zA-Z0-9]/g, "-");
+}
+
+// Claude names a project folder after its directory with every
+// non-alphanumeric character turned into "-", so "-home-me-my-service" may be
+// /home/me/my-service or /home/me/my/service. Walk the filesystem from the
+// root and return the first existing directory that encodes to the same name.
+async function resolveProjectDirName(dirName, { maxProbes = MAX_PROJECT_PROBES } = {}) {
+  const segments = dirName.split("-");
+  if (segments.length < 2 || segments[0] !== "") {
+    return null;
+  }
+
+  let probesLeft = maxProbes;
+  async function walk(base, index) {
+    if (index >= segments.length) {
+      return base;
+    }
+    if (probesLeft <= 0) {
+      return null;
+    }
+    probesLeft -= 1;
+
+    let entries;
+    try {
+      entries = await fs.readdir(base, { withFileTypes: true });
+    } catch {
+      return null;
+    }
+
+    const candidates = entries
+      .filter((entry) => entry.isDirectory() || entry.isSymbolicLink())
+      .map((entry) => ({ name: entry.name, pieces: encodeProjectPath(entry.name).split("-") }))
+      .filter(({ pieces }) => segments.slice(index, index + pieces.length).join("-") === pieces.join("-"))
+      .sort((left, right) => right.pieces.length - left.pieces.length);
+
+    for (const candidate of candidates) {
+      const resolved = await walk(path.join(base, candidate.name), index + candidate.pieces.length);
+      if (resolved) {
+        return resolved;
+      }
+    }
+    return null;
+  }
+
+  return walk(path.parse(process.cwd()).root, 1);
+}
+
+function userMessageText(content) {
+  if (typeof content === "string") {
+    return content;
+  }
+  if (!Array.isArray(content)) {
+    return "";
+  }
+  return content
+    .filter((block) => block && block.type === "text" && typeof block.text === "string")
+    .map((block) => block.text)
+    .join("\n");
+}
+
+function isWrapperMessage(text) {
+  const trimmed = text.trim();
+  return WRAPPER_TAG_PATTERN.test(trimmed) || trimmed.startsWith(CAVEAT_PREFIX);
+}
+
+// "/review" for a message that only invoked a slash command.
+function commandTitle(text) {
+  const match = /<command-name>([^<]+)<\/command-name>/.exec(text);
+  if (!match) {
+    return null;
+  }
+  const args = /<command-args>([^<]*)<\/command-args>/.exec(text);
+  return [match[1].trim(), args ? args[1].trim() : ""].filter(Boolean).join(" ");
+}
+
+function emptySignals() {
+  return {
+    summaryTitle: null,
+    commandTitle: null,
+    userTexts: [],
+    gitBranch: null,
+    cwd: null,
+    messageCount: 0,
+    userMessageCount: 0,
+    assistantMessageCount: 0,
+    toolCallCount: 0,
+    sidechainMessageCount: 0
+  };
+}
+
+const SIGNAL_FIELDS = Object.keys(emptySignals());
+
+function pickSignals(source) {
+  return Object.fromEntries(SIGNAL_FIELDS.map((field) => [field, source[field]]));
+}
+
+// Streams the whole session once. Title preference: a summary record, then
+// the first real user message the detection rules let through (chosen at
+// listing time from the leading ones kept here), then the first slash
+// command that was run.
+// Subagent (isSidechain) records are counted on their own so they do not
+// inflate the conversation counts; assistant replies split over several
+// records count once per message id.
+async function readSessionSignals(absolutePath) {
   let input;
   try {
     input = fsSync.createReadStream(absolutePath, { encoding: "utf8" });
   } catch {
-    return { title: null, gitBranch: null, messageCount: 0 };
+    return emptySignals();
   }
 
   const lineReader = readline.createInterface({
@@ -58,18 +176,13 @@ async function readFirstUserMessage(absolutePath) {
     crlfDelay: Infinity
   });
 
-  let scannedLines = 0;
-  let firstUserContent = null;
-  let gitBranch = null;
-  let messageCount = 0;
+  const signals = emptySignals();
+  let summary = null;
+  let firstCommand = null;
+  const assistantMessageIds = new Set();
 
   try {
     for await (const line of lineReader) {
-      scannedLines += 1;
-      if (scannedLines > MAX_TITLE_SCAN_LINES) {
-        break;
-      }
-
       let record;
       try {
         record = JSON.parse(line);
@@ -77,17 +190,52 @@ async function readFirstUserMessage(absolutePath) {
         continue;
       }
 
-      if (record.type === "user") {
-        messageCount += 1;
-        if (!gitBranch && record.gitBranch) {
-          gitBranch = record.gitBranch;
-        }
-        if (!firstUserContent && record.message && record.message.content) {
-          const content = record.message.content;
-          if (typeof content === "string") {
-            firstUserContent = content;
+      if (!signals.cwd && typeof record.cwd === "string" && record.cwd) {
+        signals.cwd = record.cwd;
+      }
+
+      if (!summary && record.type === "summary" && typeof record.summary === "string") {
+        summary = record.summary;
+      }
+
+      if (record.type !== "user" && record.type !== "assistant") {
+        continue;
+      }
+      if (record.isSidechain) {
+        signals.sidechainMessageCount += 1;
+        continue;
+      }
+
+      const content = record.message ? record.message.content : null;
+      if (record.type === "assistant") {
+        const messageId = record.message && record.message.id;
+        if (!messageId || !assistantMessageIds.has(messageId)) {
+          signals.assistantMessageCount += 1;
+          if (messageId) {
+            assistantMessageIds.add(messageId);
           }
         }
+        if (Array.isArray(content)) {
+          signals.toolCallCount += content.filter((block) => block && block.type === "tool_use").length;
+        }
+        continue;
+      }
+
+      if (!signals.gitBranch && record.gitBranch) {
+        signals.gitBranch = record.gitBranch;
+      }
+      // Tool results come back as user records; they are not user messages.
+      const text = userMessageText(content);
+      if (!text.trim() || record.isMeta) {
+        continue;
+      }
+      signals.userMessageCount += 1;
+      if (!isWrapperMessage(text)) {
+        if (signals.userTexts.length < RULE_CANDIDATE_COUNT) {
+          signals.userTexts.push(systemRuleText(text));
+        }
+      } else if (!firstCommand && signals.userTexts.length === 0) {
+        firstCommand = commandTitle(text);
       }
     }
   } finally {
@@ -95,19 +243,76 @@ async function readFirstUserMessage(absolutePath) {
     input.destroy();
   }
 
-  const title = normalizeTitle(firstUserContent);
-  return { title, gitBranch, messageCount };
+  signals.summaryTitle = normalizeTitle(summary);
+  signals.commandTitle = normalizeTitle(firstCommand);
+  signals.messageCount = signals.userMessageCount + signals.assistantMessageCount;
+  return signals;
+}
+
+function emitTranscriptRecord(record, page) {
+  if (!record || (record.type !== "user" && record.type !== "assistant") || record.isMeta) {
+    return;
+  }
+
+  const content = record.message && record.message.content;
+  const timestamp = record.timestamp;
+
+  if (typeof content === "string") {
+    if (content.trim()) {
+      page.push({ kind: record.type, text: content, timestamp });
+    }
+    return;
+  }
+
+  if (!Array.isArray(content)) {
+    return;
+  }
+
+  for (const block of content) {
+    if (!block || typeof block !== "object") {
+      continue;
+    }
+
+    if (block.type === "text" && typeof block.text === "string" && block.text.trim()) {
+      page.push({ kind: record.type, text: block.text, timestamp });
+    } else if (block.type === "tool_use") {
+      page.push({
+        kind: "tool_call",
+        text: block.input,
+        toolName: block.name,
+        callId: block.id,
+        timestamp
+      });
+    } else if (block.type === "tool_result") {
+      const result = block.content;
+      page.push({
+        kind: "tool_result",
+        // Structured results that are neither text nor blocks show as JSON.
+        text: typeof result === "string" || Array.isArray(result) ? contentText(result) : result,
+        callId: block.tool_use_id,
+        timestamp
+      });
+    }
+  }
 }
 
 class ClaudeSessionStore {
-  constructor({ claudeHome }) {
+  constructor({ claudeHome, metadataCachePath = null, systemRules = new SystemRules() }) {
     this.claudeHome = claudeHome;
+    this.systemRules = systemRules;
     this.projectsRoot = path.join(claudeHome, "projects");
     this.archivedRoot = path.join(claudeHome, "archived_sessions");
-    this.titleCache = new Map();
+    this.titleCache = new MetadataCache({
+      filePath: metadataCachePath,
+      version: METADATA_CACHE_VERSION
+    });
+    this.itemIndex = new ItemIndex();
+    // project folder name -> resolved path, for sessions that record no cwd
+    this.projectPathCache = new Map();
   }
 
   async listSessions() {
+    await this.titleCache.load();
     const [active, archived] = await Promise.all([
       this.#scanRoot(this.projectsRoot, "active"),
       this.#scanRoot(this.archivedRoot, "archived")
@@ -122,15 +327,19 @@ class ClaudeSessionStore {
         this.titleCache.delete(cachedPath);
       }
     }
+    await this.titleCache.flush();
 
-    const result = items.map(({ updatedAtEpochMs, ...item }) => item);
+    const allItems = items.map(({ updatedAtEpochMs, ...item }) => item);
+    this.itemIndex.replace(allItems);
 
+    const result = allItems.filter((item) => !item.systemReason);
     return {
       items: result,
+      hiddenItems: allItems.filter((item) => item.systemReason),
       counts: {
         total: result.length,
-        active: active.length,
-        archived: archived.length
+        active: result.filter((item) => item.state === "active").length,
+        archived: result.filter((item) => item.state === "archived").length
       }
     };
   }
@@ -150,7 +359,7 @@ class ClaudeSessionStore {
     await movePath(item.absolutePath, destinationPath);
     return {
       from: item.relativePath,
-      to: normalizeRelativePath(path.relative(this.claudeHome, destinationPath))
+      to: this.#reindexMovedItem(item, "archived", destinationPath)
     };
   }
 
@@ -169,10 +378,29 @@ class ClaudeSessionStore {
     await movePath(item.absolutePath, destinationPath);
     return {
       from: item.relativePath,
-      to: normalizeRelativePath(path.relative(this.claudeHome, destinationPath))
+      to: this.#reindexMovedItem(item, "active", destinationPath)
     };
   }
 
+  async readTranscript(item, pageOptions) {
+    const page = new TranscriptPage(pageOptions);
+    await readJsonlTranscript(item.absolutePath, page, emitTranscriptRecord);
+    return page.toJSON();
+  }
+
+  #reindexMovedItem(item, state, absolutePath) {
+    const relativePath = normalizeRelativePath(path.relative(this.claudeHome, absolutePath));
+    this.itemIndex.delete(item.itemId);
+    this.itemIndex.set({
+      ...item,
+      itemId: item.itemId,
+      state,
+      absolutePath,
+      relativePath
+    });
+    return relativePath;
+  }
+
   async #scanRoot(rootPath, state) {
     let projectDirs;
     try {
@@ -189,7 +417,6 @@ class ClaudeSessionStore {
 
     for (const projectDir of projectDirs) {
       const projectPath = path.join(rootPath, projectDir.name);
-      const projectName = decodeProjectName(projectDir.name);
 
       let files;
       try {
@@ -217,6 +444,10 @@ class ClaudeSessionStore {
         }
 
         const meta = await this.#resolveItemMeta(absolutePath, stats.mtimeMs, stats.size, sessionId);
+        const title =
+          meta.summaryTitle ||
+          normalizeTitle(this.systemRules.firstUnmatched("claude", meta.userTexts)) ||
+          meta.commandTitle;
 
         const itemId = encodeClaudeItemId(sessionId);
         const relativePath = path.relative(this.claudeHome, absolutePath).split(path.sep).join("/");
@@ -224,7 +455,7 @@ class ClaudeSessionStore {
         items.push({
           itemId,
           threadId: sessionId,
-          title: meta.title || `Untitled ${sessionId.slice(0, 8)}`,
+          title: title || `Untitled ${sessionId.slice(0, 8)}`,
           fileName: file.name,
           state,
           provider: "claude",
@@ -234,9 +465,14 @@ class ClaudeSessionStore {
           createdAt: new Date(stats.birthtimeMs || stats.ctimeMs || stats.mtimeMs || Date.now()).toISOString(),
           updatedAt: new Date(stats.mtimeMs || stats.ctimeMs || Date.now()).toISOString(),
           updatedAtEpochMs: stats.mtimeMs || stats.ctimeMs || Date.now(),
-          projectName,
+          projectName: meta.cwd || (await this.#resolveProjectName(projectDir.name)),
           gitBranch: meta.gitBranch || null,
-          messageCount: meta.messageCount || 0
+          messageCount: meta.messageCount || 0,
+          userMessageCount: meta.userMessageCount || 0,
+          assistantMessageCount: meta.assistantMessageCount || 0,
+          toolCallCount: meta.toolCallCount || 0,
+          sidechainMessageCount: meta.sidechainMessageCount || 0,
+          systemReason: this.systemRules.reasonFor("claude", meta.userTexts[0] || null)
         });
       }
     }
@@ -245,55 +481,34 @@ class ClaudeSessionStore {
   }
 
   async findItemsByIds(itemIds) {
-    const { items } = await this.listSessions();
-    const byId = new Map(items.map((item) => [item.itemId, item]));
-    const found = [];
-    const missing = [];
-
-    for (const itemId of itemIds) {
-      const item = byId.get(itemId);
-      if (item) {
-        found.push(item);
-      } else {
-        missing.push(itemId);
-      }
-    }
-
-    return { found, missing };
+    return this.itemIndex.findItemsByIds(itemIds, () => this.listSessions());
   }
 
   async #resolveItemMeta(absolutePath, mtimeMs, sizeBytes, sessionId) {
     const cached = this.titleCache.get(absolutePath);
     if (cached && cached.mtimeMs === mtimeMs && cached.sizeBytes === sizeBytes) {
-      return {
-        title: cached.title,
-        gitBranch: cached.gitBranch,
-        messageCount: cached.messageCount
-      };
+      return pickSignals(cached);
     }
 
-    let signals = { title: null, gitBranch: null, messageCount: 0 };
+    let signals = emptySignals();
     try {
-      signals = await readFirstUserMessage(absolutePath);
+      signals = await readSessionSignals(absolutePath);
     } catch (error) {
       if (!error || error.code !== "ENOENT") {
         throw error;
       }
     }
 
-    this.titleCache.set(absolutePath, {
-      mtimeMs,
-      sizeBytes,
-      title: signals.title,
-      gitBranch: signals.gitBranch,
-      messageCount: signals.messageCount
-    });
+    this.titleCache.set(absolutePath, { mtimeMs, sizeBytes, ...pickSignals(signals) });
+    return pickSignals(signals);
+  }
 
-    return {
-      title: signals.title,
-      gitBranch: signals.gitBranch,
-      messageCount: signals.messageCount
-    };
+  async #resolveProjectName(dirName) {
+    if (!this.projectPathCache.has(dirName)) {
+      const resolved = await resolveProjectDirName(dirName);
+      this.projectPathCache.set(dirName, resolved || decodeProjectName(dirName));
+    }
+    return this.projectPathCache.get(dirName);
   }
 }
 
@@ -301,5 +516,6 @@ module.exports = {
   ClaudeSessionStore,
   decodeClaudeItemId,
   encodeClaudeItemId,
-  isClaudeItemId
+  isClaudeItemId,
+  resolveProjectDirName
 };
@@ -5,23 +5,57 @@ const os = require("node:os");
 const path = require("node:path");
 const { spawn } = require("node:child_process");
 const { startServer } = require("./server");
+const { BUILTIN_PROVIDERS } = require("./providers");
+const { defaultPluginDir, loadProviderPlugins } = require("./plugin-loader");
+const { defaultSystemRulesPath } = require("./system-rules");
+const { defaultTitleOverridesPath } = require("./title-overrides");
 const { ensureDir, pathExists } = require("./fs-utils");
 const { TrashStore } = require("./trash-store");
 
+// Options that sit next to the provider homes in startServer() and on the
+// command line; plugins may not claim them for their own home.
+const OPTION_KEYS = [
+  "trashRoot",
+  "retentionDays",
+  "port",
+  "providers",
+  "workspaceDirs",
+  "systemRulesPath",
+  "titleOverridesPath"
+];
+const OPTION_FLAGS = [
+  "workspace-dirs",
+  "plugin-dir",
+  "system-rules",
+  "titles-file",
+  "trash-root",
+  "retention-days",
+  "port",
+  "no-open",
+  "bin-dir",
+  "help",
+  "h"
+];
+
 function printHelp() {
+  const homeFlags = BUILTIN_PROVIDERS.map(({ home }) => `[--${home.flag} ${home.multiple ? "PATHS" : "PATH"}]`).join(" ");
+  const homeDefaults = BUILTIN_PROVIDERS.map(({ home }) => `  ${home.flag}: ${path.join("~", home.defaultDir)}`).join("\n");
+
   console.log(`
 session-hub
 
 Usage:
-  session-hub start [--codex-home PATH] [--claude-home PATH] [--gemini-home PATH] [--trash-root PATH] [--retention-days N] [--port N] [--no-open]
+  session-hub start ${homeFlags} [--workspace-dirs PATHS] [--plugin-dir PATH] [--system-rules PATH] [--titles-file PATH] [--trash-root PATH] [--retention-days N] [--port N] [--no-open]
   session-hub cleanup [--codex-home PATH] [--trash-root PATH] [--retention-days N]
   session-hub install [--bin-dir PATH]
   session-hub uninstall [--bin-dir PATH]
 
 Defaults:
-  codex-home: ~/.codex
-  claude-home: ~/.claude
-  gemini-home: ~/.gemini
+${homeDefaults}
+  workspace-dirs: none (Gemini/Qwen project hashes are matched against these dirs and their subdirs)
+  plugin-dir: ~/.config/session-hub/providers
+  system-rules: ~/.config/session-hub/system-rules.json
+  titles-file: ~/.config/session-hub/titles.json
   trash-root: ~/.codex-trash
   retention-days: 30
 `);
@@ -57,21 +91,39 @@ function parseArgs(argv) {
   return parsed;
 }
 
-function resolvePaths(flags) {
-  const codexHome = path.resolve(
-    String(flags["codex-home"] || process.env.CODEX_HOME || path.join(os.homedir(), ".codex"))
-  );
-  const claudeHome = path.resolve(
-    String(flags["claude-home"] || process.env.CLAUDE_HOME || path.join(os.homedir(), ".claude"))
-  );
-  const geminiHome = path.resolve(
-    String(flags["gemini-home"] || process.env.GEMINI_HOME || path.join(os.homedir(), ".gemini"))
-  );
+function resolvePaths(flags, providers = BUILTIN_PROVIDERS) {
+  const homes = {};
+  for (const { home } of providers) {
+    if (!home) {
+      continue;
+    }
+    const xdgDataHome = home.xdgDataDir && process.env.XDG_DATA_HOME;
+    const value = String(
+      flags[home.flag] ||
+        (home.env && process.env[home.env]) ||
+        (xdgDataHome ? path.join(xdgDataHome, home.xdgDataDir) : path.resolve(os.homedir(), home.defaultDir))
+    );
+    homes[home.key] = home.multiple
+      ? value.split(path.delimiter).filter(Boolean).map((entry) => path.resolve(entry))
+      : path.resolve(value);
+  }
   const trashRoot = path.resolve(
     String(flags["trash-root"] || path.join(os.homedir(), ".codex-trash"))
   );
+  const workspaceDirs = String(flags["workspace-dirs"] || process.env.SESSION_HUB_WORKSPACE_DIRS || "")
+    .split(path.delimiter)
+    .filter(Boolean)
+    .map((entry) => path.resolve(entry));
 
-  return { codexHome, claudeHome, geminiHome, trashRoot };
+  const systemRulesPath = path.resolve(
+    String(flags["system-rules"] || process.env.SESSION_HUB_SYSTEM_RULES || defaultSystemRulesPath())
+  );
+
+  const titleOverridesPath = path.resolve(
+    String(flags["titles-file"] || process.env.SESSION_HUB_TITLES_FILE || defaultTitleOverridesPath())
+  );
+
+  return { ...homes, trashRoot, workspaceDirs, systemRulesPath, titleOverridesPath };
 }
 
 function parseIntFlag(value, fallbackValue) {
@@ -160,25 +212,54 @@ async function uninstallBinary(flags) {
   }
 }
 
+function loadPlugins(flags) {
+  const pluginDir = path.resolve(
+    String(flags["plugin-dir"] || process.env.SESSION_HUB_PLUGIN_DIR || defaultPluginDir())
+  );
+  const loaded = loadProviderPlugins(pluginDir, {
+    reservedIds: BUILTIN_PROVIDERS.map((definition) => definition.id),
+    reservedHomeKeys: BUILTIN_PROVIDERS.map((definition) => definition.home.key).concat(OPTION_KEYS),
+    reservedFlags: BUILTIN_PROVIDERS.map((definition) => definition.home.flag).concat(OPTION_FLAGS)
+  });
+  return { pluginDir, ...loaded };
+}
+
 async function runStart(flags) {
-  const { codexHome, claudeHome, geminiHome, trashRoot } = resolvePaths(flags);
+  const plugins = loadPlugins(flags);
+  const providers = BUILTIN_PROVIDERS.concat(plugins.definitions);
+  const { trashRoot, workspaceDirs, systemRulesPath, titleOverridesPath, ...homes } = resolvePaths(flags, providers);
   const retentionDays = parseIntFlag(flags["retention-days"], 30);
   const port = parseIntFlag(flags.port, 0);
   const shouldOpenBrowser = !Boolean(flags["no-open"]);
 
   const running = await startServer({
-    codexHome,
-    claudeHome,
-    geminiHome,
+    ...homes,
     trashRoot,
     retentionDays,
-    port
+    port,
+    providers,
+    workspaceDirs,
+    systemRulesPath,
+    titleOverridesPath
   });
 
   console.log(`Session Hub is running on ${running.url}`);
-  console.log(`codex-home: ${codexHome}`);
-  console.log(`claude-home: ${claudeHome}`);
-  console.log(`gemini-home: ${geminiHome}`);
+  for (const provider of running.registry.list()) {
+    const home = providers.find((definition) => definition.id === provider.id).home;
+    if (home) {
+      console.log(`${home.flag}: ${[].concat(provider.home).join(path.delimiter)}`);
+    }
+  }
+  if (workspaceDirs.length > 0) {
+    console.log(`workspace-dirs: ${workspaceDirs.join(path.delimiter)}`);
+  }
+  const pluginCount = plugins.definitions.filter((definition) => running.registry.get(definition.id)).length;
+  console.log(`plugin-dir: ${plugins.pluginDir} (${pluginCount} loaded)`);
+  console.log(`system-rules: ${systemRulesPath}`);
+  console.log(`titles-file: ${titleOverridesPath}`);
+  for (const failure of plugins.errors.concat(running.registry.loadErrors)) {
+    console.warn(`plugin skipped: ${failure.filePath}: ${failure.error}`);
+  }
   console.log(`trash-root: ${trashRoot} (retention: ${retentionDays} days)`);
   console.log(
     `expired cleanup at startup: ${running.cleanupReport.succeeded.length} deleted, ${running.cleanupReport.failed.length} failed`
@@ -49,6 +49,12 @@ async function movePath(sourcePath, destinationPath) {
     if (!error || error.code !== "EXDEV") {
       throw error;
     }
+    const stats = await fs.stat(sourcePath);
+    if (stats.isDirectory()) {
+      await fs.cp(sourcePath, destinationPath, { recursive: true, errorOnExist: true, force: false });
+      await fs.rm(sourcePath, { recursive: true, force: true });
+      return;
+    }
     await fs.copyFile(sourcePath, destinationPath);
     await fs.unlink(sourcePath);
   }
@@ -85,6 +91,19 @@ function resolvePathWithinRoot(rootPath, relativePath, label = "path") {
   return resolvedCandidate;
 }
 
+// Concurrent writers each get their own temp file, so the last rename wins
+// instead of two writes interleaving in one file.
+async function writeFileAtomic(filePath, content) {
+  const tempPath = `${filePath}.${process.pid}-${Math.random().toString(36).slice(2, 10)}.tmp`;
+  try {
+    await fs.writeFile(tempPath, content, "utf8");
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.rm(tempPath, { force: true }).catch(() => {});
+    throw error;
+  }
+}
+
 module.exports = {
   ensureDir,
   isPathInsideRoot,
@@ -92,5 +111,6 @@ module.exports = {
   normalizeRelativePath,
   pathExists,
   resolvePathWithinRoot,
-  walkFiles
+  walkFiles,
+  writeFileAtomic
 };
@@ -1,17 +1,31 @@
 const fs = require("node:fs/promises");
 const path = require("node:path");
 const { ensureDir, movePath, normalizeRelativePath, pathExists } = require("./fs-utils");
+const { ItemIndex } = require("./item-index");
+const { scanJsonFile } = require("./json-stream");
+const { MetadataCache } = require("./metadata-cache");
+const { RULE_CANDIDATE_COUNT, SystemRules, systemRuleText } = require("./system-rules");
+const { decodeProviderItemId, encodeProviderItemId } = require("./provider-registry");
+const { TranscriptPage, contentText } = require("./transcript");
+
+const METADATA_CACHE_VERSION = 6;
+// Gemini CLI forks (Qwen Code) keep the chat format but name the model turn
+// after themselves.
+const ASSISTANT_MESSAGE_TYPES = new Set(["gemini", "qwen", "model"]);
+const CHAT_META_FIELDS = new Set(["sessionId", "startTime", "lastUpdated", "summary"]);
+
+// A missing or malformed time falls back to the file times when listed;
+// NaN would break sorting and the keyset cursor.
+function parseableTimestamp(value) {
+  return typeof value === "string" && Number.isFinite(Date.parse(value)) ? value : null;
+}
 
 function encodeGeminiItemId(sessionId) {
-  return Buffer.from(`gemini:${sessionId}`, "utf8").toString("base64url");
+  return encodeProviderItemId("gemini", sessionId);
 }
 
 function decodeGeminiItemId(itemId) {
-  const decoded = Buffer.from(itemId, "base64url").toString("utf8");
-  if (!decoded.startsWith("gemini:")) {
-    return null;
-  }
-  return decoded.slice("gemini:".length);
+  return decodeProviderItemId("gemini", itemId);
 }
 
 function isGeminiItemId(itemId) {
@@ -37,15 +51,128 @@ function normalizeTitle(rawTitle) {
   return `${titleChars.slice(0, maxLength - 1).join("")}…`;
 }
 
+function emitTranscriptMessage(message, page) {
+  if (!message || typeof message !== "object") {
+    return;
+  }
+
+  const kind = message.type === "user" ? "user" : ASSISTANT_MESSAGE_TYPES.has(message.type) ? "assistant" : null;
+  if (!kind) {
+    return;
+  }
+
+  const text = contentText(message.content);
+  if (text.trim()) {
+    page.push({ kind, text, timestamp: message.timestamp });
+  }
+
+  if (!Array.isArray(message.toolCalls)) {
+    return;
+  }
+
+  for (const toolCall of message.toolCalls) {
+    if (!toolCall || typeof toolCall !== "object") {
+      continue;
+    }
+    page.pushToolCall({
+      input: toolCall.args,
+      output: toolCall.resultDisplay || toolCall.result,
+      toolName: toolCall.name,
+      callId: toolCall.id,
+      timestamp: toolCall.timestamp || message.timestamp
+    });
+  }
+}
+
+// Chat files hold every tool call and output, so the listing streams them and
+// keeps only the header fields, the message count and the leading user
+// messages (the detection rules pick the title from those at listing time).
+async function readChatMeta(absolutePath) {
+  const fields = {};
+  const messageTypes = new Map();
+  let messageCount = 0;
+  let pendingContent = null;
+  const userTexts = [];
+  // Empty and attachment-only user messages say nothing about the session;
+  // only the ones with text are kept.
+  const takeUserContent = (content) => {
+    const text = systemRuleText(contentText(content));
+    if (text) {
+      userTexts.push(text);
+    }
+  };
+
+  await scanJsonFile(absolutePath, {
+    want(keyPath) {
+      if (keyPath.length === 1) {
+        return CHAT_META_FIELDS.has(keyPath[0]);
+      }
+      if (keyPath[0] !== "messages" || typeof keyPath[1] !== "number") {
+        return false;
+      }
+      if (keyPath.length === 2) {
+        messageCount = keyPath[1] + 1;
+        return false;
+      }
+      if (keyPath.length !== 3 || userTexts.length >= RULE_CANDIDATE_COUNT) {
+        return false;
+      }
+      if (keyPath[2] === "type") {
+        return true;
+      }
+      // Content usually follows the type; when it comes first it is held
+      // until the type says whether it is a user message.
+      return keyPath[2] === "content" && (messageTypes.get(keyPath[1]) || "user") === "user";
+    },
+    onValue(keyPath, value) {
+      if (keyPath.length === 1) {
+        fields[keyPath[0]] = value;
+        return;
+      }
+      const [, index, key] = keyPath;
+      if (key === "type") {
+        messageTypes.set(index, value);
+        if (value === "user" && pendingContent && pendingContent.index === index) {
+          takeUserContent(pendingContent.content);
+        }
+        pendingContent = null;
+      } else if (messageTypes.get(index) === "user") {
+        takeUserContent(value);
+      } else {
+        pendingContent = { index, content: value };
+      }
+    }
+  });
+
+  return {
+    sessionId: typeof fields.sessionId === "string" ? fields.sessionId : "",
+    summaryTitle: normalizeTitle(fields.summary),
+    userTexts,
+    startTime: parseableTimestamp(fields.startTime),
+    lastUpdated: parseableTimestamp(fields.lastUpdated),
+    messageCount
+  };
+}
+
+// Reads the Gemini CLI chat layout (tmp/<projectHash>/chats/session-*.json).
+// The same layout is written by forks under their own home, so the provider
+// id doubles as the item-id prefix.
 class GeminiSessionStore {
-  constructor({ geminiHome }) {
+  constructor({ geminiHome, providerId = "gemini", metadataCachePath = null, systemRules = new SystemRules() }) {
     this.geminiHome = geminiHome;
+    this.providerId = providerId;
+    this.systemRules = systemRules;
     this.projectsRoot = path.join(geminiHome, "tmp");
     this.archivedRoot = path.join(geminiHome, "archived_sessions");
-    this.titleCache = new Map();
+    this.titleCache = new MetadataCache({
+      filePath: metadataCachePath,
+      version: METADATA_CACHE_VERSION
+    });
+    this.itemIndex = new ItemIndex();
   }
 
   async listSessions() {
+    await this.titleCache.load();
     const [active, archived] = await Promise.all([
       this.#scanRoot(this.projectsRoot, "active"),
       this.#scanRoot(this.archivedRoot, "archived")
@@ -60,15 +187,19 @@ class GeminiSessionStore {
         this.titleCache.delete(cachedPath);
       }
     }
+    await this.titleCache.flush();
 
-    const result = items.map(({ updatedAtEpochMs, ...item }) => item);
+    const allItems = items.map(({ updatedAtEpochMs, ...item }) => item);
+    this.itemIndex.replace(allItems);
 
+    const result = allItems.filter((item) => !item.systemReason);
     return {
       items: result,
+      hiddenItems: allItems.filter((item) => item.systemReason),
       counts: {
         total: result.length,
-        active: active.length,
-        archived: archived.length
+        active: result.filter((item) => item.state === "active").length,
+        archived: result.filter((item) => item.state === "archived").length
       }
     };
   }
@@ -88,7 +219,7 @@ class GeminiSessionStore {
     await movePath(item.absolutePath, destinationPath);
     return {
       from: item.relativePath,
-      to: normalizeRelativePath(path.relative(this.geminiHome, destinationPath))
+      to: this.#reindexMovedItem(item, "archived", destinationPath)
     };
   }
 
@@ -107,26 +238,36 @@ class GeminiSessionStore {
     await movePath(item.absolutePath, destinationPath);
     return {
       from: item.relativePath,
-      to: normalizeRelativePath(path.relative(this.geminiHome, destinationPath))
+      to: this.#reindexMovedItem(item, "active", destinationPath)
     };
   }
 
   async findItemsByIds(itemIds) {
-    const { items } = await this.listSessions();
-    const byId = new Map(items.map((item) => [item.itemId, item]));
-    const found = [];
-    const missing = [];
-
-    for (const itemId of itemIds) {
-      const item = byId.get(itemId);
-      if (item) {
-        found.push(item);
-      } else {
-        missing.push(itemId);
-      }
-    }
+    return this.itemIndex.findItemsByIds(itemIds, () => this.listSessions());
+  }
 
-    return { found, missing };
+  async readTranscript(item, pageOptions) {
+    // Messages are parsed one at a time, so only the current message (and
+    // the requested page) is held in memory, however large the chat file.
+    const page = new TranscriptPage(pageOptions);
+    await scanJsonFile(item.absolutePath, {
+      want: (keyPath) => keyPath.length === 2 && keyPath[0] === "messages" && typeof keyPath[1] === "number",
+      onValue: (keyPath, message) => emitTranscriptMessage(message, page)
+    });
+    return page.toJSON();
+  }
+
+  #reindexMovedItem(item, state, absolutePath) {
+    const relativePath = normalizeRelativePath(path.relative(this.geminiHome, absolutePath));
+    this.itemIndex.delete(item.itemId);
+    this.itemIndex.set({
+      ...item,
+      itemId: item.itemId,
+      state,
+      absolutePath,
+      relativePath
+    });
+    return relativePath;
   }
 
   async #scanRoot(rootPath, state) {
@@ -172,16 +313,19 @@ class GeminiSessionStore {
 
         const meta = await this.#resolveItemMeta(absolutePath, stats.mtimeMs, stats.size);
 
-        const itemId = encodeGeminiItemId(meta.sessionId);
+        const itemId = encodeProviderItemId(this.providerId, meta.sessionId);
         const relativePath = path.relative(this.geminiHome, absolutePath).split(path.sep).join("/");
 
         items.push({
           itemId,
           threadId: meta.sessionId,
-          title: meta.title || `Untitled ${meta.sessionId.slice(0, 8)}`,
+          title:
+            meta.summaryTitle ||
+            normalizeTitle(this.systemRules.firstUnmatched(this.providerId, meta.userTexts)) ||
+            `Untitled ${meta.sessionId.slice(0, 8)}`,
           fileName: file.name,
           state,
-          provider: "gemini",
+          provider: this.providerId,
           absolutePath,
           relativePath,
           sizeBytes: stats.size,
@@ -189,7 +333,8 @@ class GeminiSessionStore {
           updatedAt: meta.lastUpdated || new Date(stats.mtimeMs || stats.ctimeMs || Date.now()).toISOString(),
           updatedAtEpochMs: meta.lastUpdated ? Date.parse(meta.lastUpdated) : (stats.mtimeMs || stats.ctimeMs || Date.now()),
           projectHash: hashDir.name,
-          messageCount: meta.messageCount || 0
+          messageCount: meta.messageCount || 0,
+          systemReason: this.systemRules.reasonFor(this.providerId, meta.userTexts[0] || null)
         });
       }
     }
@@ -203,28 +348,11 @@ class GeminiSessionStore {
       return cached;
     }
 
-    let meta = { sessionId: "", title: null, startTime: null, lastUpdated: null, messageCount: 0 };
+    let meta = { sessionId: "", summaryTitle: null, userTexts: [], startTime: null, lastUpdated: null, messageCount: 0 };
     try {
-      const raw = await fs.readFile(absolutePath, "utf8");
-      const data = JSON.parse(raw);
-
-      meta.sessionId = data.sessionId || "";
-      meta.startTime = data.startTime || null;
-      meta.lastUpdated = data.lastUpdated || null;
-      meta.messageCount = Array.isArray(data.messages) ? data.messages.length : 0;
-
-      if (data.summary) {
-        meta.title = normalizeTitle(data.summary);
-      }
-
-      if (!meta.title && Array.isArray(data.messages)) {
-        const firstUser = data.messages.find((m) => m.type === "user");
-        if (firstUser && typeof firstUser.content === "string") {
-          meta.title = normalizeTitle(firstUser.content);
-        }
-      }
+      meta = await readChatMeta(absolutePath);
     } catch {
-      // Ignore read/parse errors
+      // Ignore read errors
     }
 
     const entry = { ...meta, mtimeMs, sizeBytes };
@@ -0,0 +1,91 @@
+const fs = require("node:fs/promises");
+
+// Live itemId -> item lookup that each store refreshes on every listing.
+// Batch actions resolve ids here and only pay for a full rescan when an id
+// is unknown or its file has moved since the last scan.
+class ItemIndex {
+  constructor() {
+    this.items = new Map();
+  }
+
+  replace(items) {
+    this.items = new Map(items.map((item) => [item.itemId, item]));
+  }
+
+  set(item) {
+    this.items.set(item.itemId, item);
+  }
+
+  delete(itemId) {
+    this.items.delete(itemId);
+  }
+
+  async findItemsByIds(itemIds, rescan) {
+    const resolved = new Map();
+    const unresolved = [];
+
+    for (const itemId of itemIds) {
+      const item = await this.#resolveLive(itemId);
+      if (item) {
+        resolved.set(itemId, item);
+      } else {
+        unresolved.push(itemId);
+      }
+    }
+
+    if (unresolved.length > 0) {
+      await rescan();
+      for (const itemId of unresolved) {
+        const item = this.items.get(itemId);
+        if (item) {
+          resolved.set(itemId, item);
+        }
+      }
+    }
+
+    const found = [];
+    const missing = [];
+    for (const itemId of itemIds) {
+      const item = resolved.get(itemId);
+      if (item) {
+        found.push(item);
+      } else {
+        missing.push(itemId);
+      }
+    }
+
+    return { found, missing };
+  }
+
+  async #resolveLive(itemId) {
+    const item = this.items.get(itemId);
+    if (!item) {
+      return null;
+    }
+
+    let stats;
+    try {
+      stats = await fs.stat(item.absolutePath);
+    } catch (error) {
+      if (error && error.code === "ENOENT") {
+        this.items.delete(itemId);
+        return null;
+      }
+      throw error;
+    }
+
+    // The stat only proves the session is still there. Its size stays the
+    // one the store computed: a file can hold several sessions (Aider) and a
+    // session can span several files or a directory bundle (OpenCode).
+    if (!stats.isFile() && !stats.isDirectory()) {
+      this.items.delete(itemId);
+      return null;
+    }
+
+    return { ...item };
+  }
+}
+
+module.exports = {
+  ItemIndex
+};
@@ -0,0 +1,181 @@
+const fsSync = require("node:fs");
+
+const QUOTE = 34;
+const BACKSLASH = 92;
+const WHITESPACE = new Set([" ", "\t", "\n", "\r"]);
+
+// Walks a JSON document chunk by chunk without building it. For every value
+// it asks `want(path)`, where path lists the keys and array indexes from the
+// root; accepted values are parsed on their own and passed to
+// `onValue(path, value)`, everything else is skipped as it streams past.
+// Malformed input is not rejected: the scanner reports what it could read.
+class JsonPathScanner {
+  constructor({ want, onValue }) {
+    this.want = want;
+    this.onValue = onValue;
+    this.stack = [];
+    this.inString = false;
+    this.stringIsKey = false;
+    this.escape = false;
+    this.keyText = "";
+    this.inScalar = false;
+    this.capture = null;
+  }
+
+  write(chunk) {
+    let index = 0;
+    while (index < chunk.length) {
+      if (this.inString) {
+        index = this.#scanString(chunk, index);
+        continue;
+      }
+
+      const char = chunk[index];
+      if (this.inScalar && (WHITESPACE.has(char) || char === "," || char === "}" || char === "]")) {
+        this.inScalar = false;
+        this.#endValue();
+      }
+
+      if (WHITESPACE.has(char)) {
+        index += 1;
+        continue;
+      }
+
+      const container = this.stack[this.stack.length - 1];
+      if (char === "\"") {
+        this.stringIsKey = Boolean(container && container.kind === "object" && container.expectKey);
+        if (this.stringIsKey) {
+          this.keyText = "";
+        } else {
+          this.#beginValue();
+        }
+        this.#append(char);
+        this.inString = true;
+      } else if (char === "{" || char === "[") {
+        this.#beginValue();
+        this.#append(char);
+        this.stack.push({ kind: char === "{" ? "object" : "array", key: null, index: -1, expectKey: char === "{" });
+      } else if (char === "}" || char === "]") {
+        this.#append(char);
+        this.stack.pop();
+        this.#endValue();
+      } else if (char === ":") {
+        this.#append(char);
+      } else if (char === ",") {
+        this.#append(char);
+        if (container && container.kind === "object") {
+          container.expectKey = true;
+        }
+      } else {
+        if (!this.inScalar) {
+          this.#beginValue();
+          this.inScalar = true;
+        }
+        this.#append(char);
+      }
+      index += 1;
+    }
+  }
+
+  end() {
+    if (this.inScalar) {
+      this.inScalar = false;
+      this.#endValue();
+    }
+  }
+
+  #scanString(chunk, start) {
+    let index = start;
+    while (index < chunk.length) {
+      const code = chunk.charCodeAt(index);
+      if (this.escape) {
+        this.escape = false;
+      } else if (code === BACKSLASH) {
+        this.escape = true;
+      } else if (code === QUOTE) {
+        break;
+      }
+      index += 1;
+    }
+
+    const segment = chunk.slice(start, index);
+    if (this.stringIsKey) {
+      this.keyText += segment;
+    }
+    this.#append(segment);
+    if (index === chunk.length) {
+      return index;
+    }
+
+    this.inString = false;
+    this.#append("\"");
+    if (this.stringIsKey) {
+      const container = this.stack[this.stack.length - 1];
+      container.key = parseJson(`"${this.keyText}"`);
+      container.expectKey = false;
+    } else {
+      this.#endValue();
+    }
+    return index + 1;
+  }
+
+  #path() {
+    return this.stack.map((container) => (container.kind === "object" ? container.key : container.index));
+  }
+
+  #beginValue() {
+    const container = this.stack[this.stack.length - 1];
+    if (container && container.kind === "array") {
+      container.index += 1;
+    }
+    if (!this.capture) {
+      const path = this.#path();
+      if (this.want(path)) {
+        this.capture = { path, depth: this.stack.length, text: "" };
+      }
+    }
+  }
+
+  #append(text) {
+    if (this.capture) {
+      this.capture.text += text;
+    }
+  }
+
+  #endValue() {
+    if (this.capture && this.stack.length === this.capture.depth) {
+      const { path, text } = this.capture;
+      this.capture = null;
+      const value = parseJson(text);
+      if (value !== undefined) {
+        this.onValue(path, value);
+      }
+    }
+  }
+}
+
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return undefined;
+  }
+}
+
+async function scanJsonFile(filePath, visitor) {
+  const scanner = new JsonPathScanner(visitor);
+  const input = fsSync.createReadStream(filePath, { encoding: "utf8" });
+  try {
+    for await (const chunk of input) {
+      scanner.write(chunk);
+    }
+  } finally {
+    input.destroy();
+  }
+  scanner.end();
+}
+
+module.exports = {
+  JsonPathScanner,
+  scanJsonFile
+};
@@ -0,0 +1,104 @@
+const fs = require("node:fs/promises");
+const path = require("node:path");
+const { ensureDir, writeFileAtomic } = require("./fs-utils");
+
+const CACHE_DIR_NAME = "cache";
+
+function resolveCachePath(rootPath, cacheName) {
+  return path.join(rootPath, CACHE_DIR_NAME, `${cacheName}.json`);
+}
+
+// Map-like store for per-file scan results. Entries are keyed by absolute
+// path; callers validate freshness (mtime, size, ...) themselves. When a
+// file path is given the entries survive restarts, and a version mismatch
+// discards the whole file so parser changes never serve stale metadata.
+class MetadataCache {
+  constructor({ filePath = null, version = 1 } = {}) {
+    this.filePath = filePath;
+    this.version = version;
+    this.entries = new Map();
+    this.loaded = false;
+    this.dirty = false;
+  }
+
+  async load() {
+    if (this.loaded) {
+      return;
+    }
+    this.loaded = true;
+
+    if (!this.filePath) {
+      return;
+    }
+
+    let parsed;
+    try {
+      parsed = JSON.parse(await fs.readFile(this.filePath, "utf8"));
+    } catch {
+      return;
+    }
+
+    if (
+      !parsed ||
+      parsed.version !== this.version ||
+      !parsed.entries ||
+      typeof parsed.entries !== "object"
+    ) {
+      return;
+    }
+
+    for (const [key, entry] of Object.entries(parsed.entries)) {
+      if (entry && typeof entry === "object" && !this.entries.has(key)) {
+        this.entries.set(key, entry);
+      }
+    }
+  }
+
+  get(key) {
+    return this.entries.get(key);
+  }
+
+  set(key, entry) {
+    this.entries.set(key, entry);
+    this.dirty = true;
+  }
+
+  delete(key) {
+    if (this.entries.delete(key)) {
+      this.dirty = true;
+    }
+  }
+
+  keys() {
+    return this.entries.keys();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  async flush() {
+    if (!this.filePath || !this.dirty) {
+      return;
+    }
+    this.dirty = false;
+
+    try {
+      // Inside the try: a cache too large to serialize is dropped, not fatal.
+      const payload = JSON.stringify({
+        version: this.version,
+        entries: Object.fromEntries(this.entries)
+      });
+      await ensureDir(path.dirname(this.filePath));
+      await writeFileAtomic(this.filePath, payload);
+    } catch {
+      // The cache is an optimization; a failed write only costs a rescan.
+      this.dirty = true;
+    }
+  }
+}
+
+module.exports = {
+  MetadataCache,
+  resolveCachePath
+};
@@ -0,0 +1,417 @@
+const fs = require("node:fs/promises");
+const path = require("node:path");
+const { ensureDir, movePath, normalizeRelativePath, pathExists } = require("./fs-utils");
+const { ItemIndex } = require("./item-index");
+const { MetadataCache } = require("./metadata-cache");
+const { encodeProviderItemId } = require("./provider-registry");
+const { TranscriptPage } = require("./transcript");
+
+const STORAGE_DIR_NAME = "storage";
+const ARCHIVE_DIR_NAME = "archived_sessions";
+const METADATA_CACHE_VERSION = 1;
+
+function encodeOpencodeItemId(sessionId) {
+  return encodeProviderItemId("opencode", sessionId);
+}
+
+function normalizeTitle(rawTitle) {
+  if (typeof rawTitle !== "string") {
+    return null;
+  }
+
+  const oneLine = rawTitle.replace(/\s+/g, " ").trim();
+  if (!oneLine) {
+    return null;
+  }
+
+  const titleChars = Array.from(oneLine);
+  const maxLength = 56;
+  if (titleChars.length <= maxLength) {
+    return oneLine;
+  }
+
+  return `${titleChars.slice(0, maxLength - 1).join("")}…`;
+}
+
+async function readJsonIfExists(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, "utf8"));
+  } catch (error) {
+    if (error && error.code === "ENOENT") {
+      return null;
+    }
+    if (error instanceof SyntaxError) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+async function listJsonFiles(directoryPath) {
+  try {
+    const entries = await fs.readdir(directoryPath, { withFileTypes: true });
+    return entries
+      .filter((entry) => entry.isFile() && entry.name.endsWith(".json"))
+      .map((entry) => path.join(directoryPath, entry.name))
+      .sort();
+  } catch (error) {
+    if (error && error.code === "ENOENT") {
+      return [];
+    }
+    throw error;
+  }
+}
+
+function epochToIso(value) {
+  return Number.isFinite(value) ? new Date(value).toISOString() : null;
+}
+
+function emitTranscriptPart(part, role, timestamp, page) {
+  if (!part || typeof part !== "object") {
+    return;
+  }
+
+  if (part.type === "text" && typeof part.text === "string" && part.text.trim()) {
+    page.push({ kind: role === "user" ? "user" : "assistant", text: part.text, timestamp });
+    return;
+  }
+
+  if (part.type === "tool") {
+    const state = part.state || {};
+    page.pushToolCall({
+      input: state.input,
+      output: state.status === "error" ? state.error : state.output,
+      toolName: part.tool,
+      callId: part.callID,
+      timestamp
+    });
+  }
+}
+
+// OpenCode spreads a session over storage/session/<projectID>/<id>.json,
+// storage/message/<id>/*.json and storage/part/<messageID>/*.json.
+// Archived sessions are kept as one bundle per session under
+// archived_sessions/<id>/ that mirrors the storage layout, so archiving and
+// unarchiving are plain moves of each piece.
+class OpencodeSessionStore {
+  constructor({ opencodeHome, metadataCachePath = null }) {
+    this.opencodeHome = opencodeHome;
+    this.storageRoot = path.join(opencodeHome, STORAGE_DIR_NAME);
+    this.archivedRoot = path.join(opencodeHome, ARCHIVE_DIR_NAME);
+    this.titleCache = new MetadataCache({
+      filePath: metadataCachePath,
+      version: METADATA_CACHE_VERSION
+    });
+    this.itemIndex = new ItemIndex();
+  }
+
+  async listSessions() {
+    await this.titleCache.load();
+    this.projectPaths = new Map();
+
+    const active = await this.#scanStorage(this.storageRoot, "active");
+    const archived = [];
+    let bundles = [];
+    try {
+      bundles = (await fs.readdir(this.archivedRoot, { withFileTypes: true }))
+        .filter((entry) => entry.isDirectory());
+    } catch (error) {
+      if (!error || error.code !== "ENOENT") {
+        throw error;
+      }
+    }
+    for (const bundle of bundles) {
+      archived.push(...(await this.#scanStorage(path.join(this.archivedRoot, bundle.name), "archived")));
+    }
+
+    const items = active.concat(archived)
+      .sort((left, right) => right.updatedAtEpochMs - left.updatedAtEpochMs);
+
+    const liveKeys = new Set(items.map((item) => item.sessionFilePath));
+    for (const cachedPath of this.titleCache.keys()) {
+      if (!liveKeys.has(cachedPath)) {
+        this.titleCache.delete(cachedPath);
+      }
+    }
+    await this.titleCache.flush();
+
+    const result = items.map(({ updatedAtEpochMs, ...item }) => item);
+    this.itemIndex.replace(result);
+
+    return {
+      items: result,
+      counts: {
+        total: result.length,
+        active: active.length,
+        archived: archived.length
+      }
+    };
+  }
+
+  async findItemsByIds(itemIds) {
+    return this.itemIndex.findItemsByIds(itemIds, () => this.listSessions());
+  }
+
+  async archiveItem(item) {
+    if (item.state !== "active") {
+      throw new Error("only active sessions can be archived");
+    }
+
+    const archived = await this.#moveToBundle(item);
+    return {
+      from: item.relativePath,
+      to: archived.relativePath
+    };
+  }
+
+  async unarchiveItem(item) {
+    if (item.state !== "archived") {
+      throw new Error("only archived sessions can be restored to active");
+    }
+
+    const pieces = await this.#sessionPieces(item.absolutePath, item.projectId, item.threadId);
+    for (const piece of pieces) {
+      if (await pathExists(path.join(this.storageRoot, piece))) {
+        throw new Error("active destination already exists");
+      }
+    }
+
+    await this.#movePieces(item.absolutePath, this.storageRoot, pieces);
+    await fs.rm(item.absolutePath, { recursive: true, force: true });
+
+    const sessionFilePath = path.join(this.storageRoot, pieces[0]);
+    const relativePath = normalizeRelativePath(path.relative(this.opencodeHome, sessionFilePath));
+    this.itemIndex.set({
+      ...item,
+      state: "active",
+      absolutePath: sessionFilePath,
+      sessionFilePath,
+      relativePath
+    });
+    return {
+      from: item.relativePath,
+      to: relativePath
+    };
+  }
+
+  // A session is several files, so before TrashStore moves it the pieces
+  // are gathered into a single archive bundle directory.
+  async detachItem(item) {
+    if (item.state === "archived") {
+      return item;
+    }
+    return this.#moveToBundle(item);
+  }
+
+  async readTranscript(item, pageOptions) {
+    const page = new TranscriptPage(pageOptions);
+    const root = item.state === "archived" ? item.absolutePath : this.storageRoot;
+
+    const messages = [];
+    for (const messagePath of await listJsonFiles(path.join(root, "message", item.threadId))) {
+      const message = await readJsonIfExists(messagePath);
+      if (message && message.id) {
+        messages.push(message);
+      }
+    }
+    messages.sort((left, right) => {
+      const leftTime = (left.time && left.time.created) || 0;
+      const rightTime = (right.time && right.time.created) || 0;
+      return leftTime - rightTime || String(left.id).localeCompare(String(right.id));
+    });
+
+    for (const message of messages) {
+      const timestamp = epochToIso(message.time && message.time.created);
+      for (const partPath of await listJsonFiles(path.join(root, "part", message.id))) {
+        emitTranscriptPart(await readJsonIfExists(partPath), message.role, timestamp, page);
+      }
+    }
+
+    return page.toJSON();
+  }
+
+  async #moveToBundle(item) {
+    const bundlePath = path.join(this.archivedRoot, item.threadId);
+    if (await pathExists(bundlePath)) {
+      throw new Error("archived destination already exists");
+    }
+
+    const pieces = await this.#sessionPieces(this.storageRoot, item.projectId, item.threadId);
+    await this.#movePieces(this.storageRoot, bundlePath, pieces);
+
+    const archived = {
+      ...item,
+      state: "archived",
+      absolutePath: bundlePath,
+      sessionFilePath: path.join(bundlePath, pieces[0]),
+      relativePath: normalizeRelativePath(path.relative(this.opencodeHome, bundlePath))
+    };
+    this.itemIndex.set(archived);
+    return archived;
+  }
+
+  // Paths relative to a storage root that belong to one session; the
+  // session file always comes first.
+  async #sessionPieces(root, projectId, sessionId) {
+    const pieces = [path.join("session", projectId, `${sessionId}.json`)];
+    const messageDir = path.join("message", sessionId);
+    if (await pathExists(path.join(root, messageDir))) {
+      pieces.push(messageDir);
+      for (const messagePath of await listJsonFiles(path.join(root, messageDir))) {
+        const partDir = path.join("part", path.basename(messagePath, ".json"));
+        if (await pathExists(path.join(root, partDir))) {
+          pieces.push(partDir);
+        }
+      }
+    }
+    const diffFile = path.join("session_diff", `${sessionId}.json`);
+    if (await pathExists(path.join(root, diffFile))) {
+      pieces.push(diffFile);
+    }
+    return pieces;
+  }
+
+  async #movePieces(fromRoot, toRoot, pieces) {
+    const moved = [];
+    try {
+      for (const piece of pieces) {
+        const destinationPath = path.join(toRoot, piece);
+        await ensureDir(path.dirname(destinationPath));
+        await movePath(path.join(fromRoot, piece), destinationPath);
+        moved.push(piece);
+      }
+    } catch (error) {
+      for (const piece of moved.reverse()) {
+        await movePath(path.join(toRoot, piece), path.join(fromRoot, piece)).catch(() => {});
+      }
+      throw error;
+    }
+  }
+
+  // Project records are shared by every session of a project and stay in
+  // live storage, so archived bundles resolve theirs from there too.
+  async #projectPath(projectId) {
+    if (!this.projectPaths.has(projectId)) {
+      const project = await readJsonIfExists(path.join(this.storageRoot, "project", `${projectId}.json`));
+      this.projectPaths.set(projectId, project && typeof project.worktree === "string" ? project.worktree : null);
+    }
+    return this.projectPaths.get(projectId);
+  }
+
+  async #scanStorage(root, state) {
+    let projectDirs;
+    try {
+      projectDirs = (await fs.readdir(path.join(root, "session"), { withFileTypes: true }))
+        .filter((entry) => entry.isDirectory());
+    } catch (error) {
+      if (error && error.code === "ENOENT") {
+        return [];
+      }
+      throw error;
+    }
+
+    const items = [];
+    for (const projectDir of projectDirs) {
+      for (const sessionFilePath of await listJsonFiles(path.join(root, "session", projectDir.name))) {
+        let stats;
+        try {
+          stats = await fs.stat(sessionFilePath);
+        } catch (error) {
+          if (error && error.code === "ENOENT") {
+            continue;
+          }
+          throw error;
+        }
+
+        const meta = await this.#resolveItemMeta(root, sessionFilePath, stats);
+        if (!meta) {
+          continue;
+        }
+
+        const absolutePath = state === "archived" ? root : sessionFilePath;
+        const createdAt = epochToIso(meta.created) || new Date(stats.birthtimeMs || stats.mtimeMs).toISOString();
+        const updatedAt = epochToIso(meta.updated) || new Date(stats.mtimeMs).toISOString();
+        items.push({
+          itemId: encodeOpencodeItemId(meta.sessionId),
+          threadId: meta.sessionId,
+          title: meta.title || `Untitled ${meta.sessionId.slice(0, 12)}`,
+          fileName: path.basename(sessionFilePath),
+          state,
+          provider: "opencode",
+          absolutePath,
+          sessionFilePath,
+          relativePath: normalizeRelativePath(path.relative(this.opencodeHome, absolutePath)),
+          projectId: projectDir.name,
+          projectPath: meta.directory || (await this.#projectPath(projectDir.name)) || "",
+          sizeBytes: meta.totalBytes,
+          createdAt,
+          updatedAt,
+          updatedAtEpochMs: Date.parse(updatedAt) || 0,
+          messageCount: meta.messageCount
+        });
+      }
+    }
+
+    return items;
+  }
+
+  async #resolveItemMeta(root, sessionFilePath, stats) {
+    const sessionId = path.basename(sessionFilePath, ".json");
+    const messageDir = path.join(root, "message", sessionId);
+    let messageDirMtimeMs = 0;
+    try {
+      messageDirMtimeMs = (await fs.stat(messageDir)).mtimeMs;
+    } catch {
+      messageDirMtimeMs = 0;
+    }
+
+    const cached = this.titleCache.get(sessionFilePath);
+    if (
+      cached &&
+      cached.mtimeMs === stats.mtimeMs &&
+      cached.sizeBytes === stats.size &&
+      cached.messageDirMtimeMs === messageDirMtimeMs
+    ) {
+      return cached;
+    }
+
+    const session = await readJsonIfExists(sessionFilePath);
+    if (!session || session.id !== sessionId) {
+      return null;
+    }
+
+    const messagePaths = await listJsonFiles(messageDir);
+    let totalBytes = stats.size;
+    for (const messagePath of messagePaths) {
+      const partPaths = await listJsonFiles(path.join(root, "part", path.basename(messagePath, ".json")));
+      for (const filePath of [messagePath, ...partPaths]) {
+        try {
+          totalBytes += (await fs.stat(filePath)).size;
+        } catch {
+          // A part removed mid-scan only skews the size.
+        }
+      }
+    }
+
+    const time = session.time || {};
+    const meta = {
+      sessionId: session.id,
+      title: normalizeTitle(session.title),
+      directory: typeof session.directory === "string" ? session.directory : null,
+      created: time.created,
+      updated: time.updated,
+      messageCount: messagePaths.length,
+      totalBytes,
+      mtimeMs: stats.mtimeMs,
+      sizeBytes: stats.size,
+      messageDirMtimeMs
+    };
+    this.titleCache.set(sessionFilePath, meta);
+    return meta;
+  }
+}
+
+module.exports = {
+  OpencodeSessionStore,
+  encodeOpencodeItemId
+};
@@ -0,0 +1,100 @@
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+
+const PLUGIN_FILE_PATTERN = /\.c?js$/;
+
+function defaultPluginDir() {
+  const configHome = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), ".config");
+  return path.join(configHome, "session-hub", "providers");
+}
+
+function validateDefinition(definition) {
+  if (!definition || typeof definition !== "object") {
+    return "module does not export a provider definition";
+  }
+  if (typeof definition.id !== "string" || !definition.id) {
+    return "provider definition is missing an id";
+  }
+  if (typeof definition.createStore !== "function") {
+    return "provider definition is missing createStore()";
+  }
+
+  const home = definition.home;
+  const hasHome = home && typeof home.key === "string" && typeof home.flag === "string" && typeof home.defaultDir === "string";
+  if (!hasHome && typeof definition.resolveTrashRoot !== "function") {
+    return "provider definition needs home { key, flag, defaultDir } or resolveTrashRoot()";
+  }
+
+  return null;
+}
+
+// Loads third-party provider definitions from *.js files in pluginDir. A
+// broken plugin is reported in `errors` and skipped so it cannot take the
+// built-in providers down with it.
+function loadProviderPlugins(pluginDir, { reservedIds = [], reservedHomeKeys = [], reservedFlags = [] } = {}) {
+  const definitions = [];
+  const errors = [];
+
+  let fileNames;
+  try {
+    fileNames = fs.readdirSync(pluginDir).filter((name) => PLUGIN_FILE_PATTERN.test(name)).sort();
+  } catch (error) {
+    if (error && error.code === "ENOENT") {
+      return { definitions, errors };
+    }
+    throw error;
+  }
+
+  const takenIds = new Set(reservedIds);
+  // Homes are resolved into one options object keyed by home.key and read
+  // from --home.flag, so a clash would silently replace another provider's
+  // home (or a built-in option such as the trash root).
+  const takenHomeKeys = new Set(reservedHomeKeys);
+  const takenFlags = new Set(reservedFlags);
+  for (const fileName of fileNames) {
+    const filePath = path.join(pluginDir, fileName);
+
+    let definition;
+    try {
+      const loaded = require(filePath);
+      definition = loaded && loaded.default ? loaded.default : loaded;
+    } catch (error) {
+      errors.push({ filePath, error: error instanceof Error ? error.message : String(error) });
+      continue;
+    }
+
+    const problem = validateDefinition(definition);
+    if (problem) {
+      errors.push({ filePath, error: problem });
+      continue;
+    }
+    if (takenIds.has(definition.id)) {
+      errors.push({ filePath, error: `provider id ${definition.id} is already in use` });
+      continue;
+    }
+
+    if (definition.home && takenHomeKeys.has(definition.home.key)) {
+      errors.push({ filePath, error: `home key ${definition.home.key} is already in use` });
+      continue;
+    }
+    if (definition.home && takenFlags.has(definition.home.flag)) {
+      errors.push({ filePath, error: `flag --${definition.home.flag} is already in use` });
+      continue;
+    }
+
+    takenIds.add(definition.id);
+    if (definition.home) {
+      takenHomeKeys.add(definition.home.key);
+      takenFlags.add(definition.home.flag);
+    }
+    definitions.push({ ...definition, pluginPath: filePath });
+  }
+
+  return { definitions, errors };
+}
+
+module.exports = {
+  defaultPluginDir,
+  loadProviderPlugins
+};
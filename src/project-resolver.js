@@ -0,0 +1,113 @@
+const crypto = require("node:crypto");
+const fs = require("node:fs/promises");
+const path = require("node:path");
+
+const WORKSPACE_SCAN_DEPTH = 2;
+const WORKSPACE_SCAN_TTL_MS = 60 * 1000;
+const SKIPPED_DIR_NAMES = new Set(["node_modules"]);
+
+// Gemini CLI (and Qwen Code) keep per-project state under tmp/<hash>, where
+// the hash is the sha256 of the absolute project root.
+function hashProjectPath(projectPath) {
+  return crypto.createHash("sha256").update(projectPath).digest("hex");
+}
+
+function ancestorsOf(directory) {
+  const paths = [];
+  let current = directory;
+  while (current && !paths.includes(current)) {
+    paths.push(current);
+    current = path.dirname(current);
+  }
+  return paths;
+}
+
+// Directories other providers know the sessions ran in.
+function knownProjectPaths(items) {
+  const paths = new Set();
+  for (const item of items) {
+    for (const candidate of [item.projectPath, item.cwd, item.projectName]) {
+      if (typeof candidate === "string" && path.isAbsolute(candidate)) {
+        paths.add(candidate);
+      }
+    }
+  }
+  return paths;
+}
+
+async function listWorkspaceDirs(root, depth, found) {
+  found.add(root);
+  if (depth === 0) {
+    return;
+  }
+
+  let entries;
+  try {
+    entries = await fs.readdir(root, { withFileTypes: true });
+  } catch {
+    return;
+  }
+  for (const entry of entries) {
+    if (!entry.isDirectory() || entry.name.startsWith(".") || SKIPPED_DIR_NAMES.has(entry.name)) {
+      continue;
+    }
+    await listWorkspaceDirs(path.join(root, entry.name), depth - 1, found);
+  }
+}
+
+// Maps project hashes back to directories by hashing candidate paths: the
+// working directories other providers recorded (and their parents) plus the
+// configured workspace dirs and their subdirectories.
+class ProjectHashResolver {
+  constructor({ workspaceDirs = [] } = {}) {
+    this.workspaceDirs = [].concat(workspaceDirs || []);
+    this.hashes = new Map();
+    this.workspaceScan = null;
+  }
+
+  async annotate(items) {
+    if (!items.some((item) => item.projectHash && !item.projectPath)) {
+      return items;
+    }
+
+    const byHash = new Map();
+    const candidates = [...(await this.#workspaceCandidates())];
+    for (const known of knownProjectPaths(items)) {
+      candidates.push(...ancestorsOf(known));
+    }
+    for (const candidate of candidates) {
+      const hash = this.#hash(candidate);
+      if (!byHash.has(hash)) {
+        byHash.set(hash, candidate);
+      }
+    }
+
+    return items.map((item) => {
+      const projectPath = item.projectHash && !item.projectPath ? byHash.get(item.projectHash) : null;
+      return projectPath ? { ...item, projectPath } : item;
+    });
+  }
+
+  #hash(candidate) {
+    if (!this.hashes.has(candidate)) {
+      this.hashes.set(candidate, hashProjectPath(candidate));
+    }
+    return this.hashes.get(candidate);
+  }
+
+  async #workspaceCandidates() {
+    if (!this.workspaceScan || Date.now() - this.workspaceScan.at > WORKSPACE_SCAN_TTL_MS) {
+      const found = new Set();
+      for (const root of this.workspaceDirs) {
+        await listWorkspaceDirs(root, WORKSPACE_SCAN_DEPTH, found);
+      }
+      this.workspaceScan = { at: Date.now(), paths: found };
+    }
+    return this.workspaceScan.paths;
+  }
+}
+
+module.exports = {
+  ProjectHashResolver,
+  hashProjectPath
+};
@@ -0,0 +1,240 @@
+const { SystemRules } = require("./system-rules");
+
+const STORE_CAPABILITIES = {
+  archive: "archiveItem",
+  unarchive: "unarchiveItem",
+  transcript: "readTranscript",
+  titleWriteBack: "writeThreadTitle"
+};
+
+const REQUIRED_STORE_METHODS = ["listSessions", "findItemsByIds"];
+
+// Names of the web UI's own views, which share the tab namespace with providers.
+const RESERVED_PROVIDER_IDS = new Set(["all", "hidden", "search", "trash"]);
+
+function encodeProviderItemId(providerId, sessionId) {
+  return Buffer.from(`${providerId}:${sessionId}`, "utf8").toString("base64url");
+}
+
+function decodeProviderItemId(providerId, itemId) {
+  const decoded = Buffer.from(String(itemId), "base64url").toString("utf8");
+  const prefix = `${providerId}:`;
+  if (!decoded.startsWith(prefix)) {
+    return null;
+  }
+  return decoded.slice(prefix.length);
+}
+
+function capabilitiesFor(definition, store) {
+  const capabilities = {};
+  for (const [capability, methodName] of Object.entries(STORE_CAPABILITIES)) {
+    capabilities[capability] = typeof store[methodName] === "function";
+  }
+  capabilities.trash = true;
+  return { ...capabilities, ...(definition.capabilities || {}) };
+}
+
+// Turns a provider definition (static metadata + store factory) into the
+// runtime provider the server and UI work with.
+function createProvider(definition, { home, metadataCachePath = null, systemRules = new SystemRules() } = {}) {
+  if (!definition || typeof definition.id !== "string" || !/^[a-z][a-z0-9-]*$/.test(definition.id)) {
+    throw new Error("provider id must be lowercase letters, digits or dashes");
+  }
+  if (RESERVED_PROVIDER_IDS.has(definition.id)) {
+    throw new Error(`provider id ${definition.id} is reserved`);
+  }
+  if (typeof definition.createStore !== "function") {
+    throw new Error(`provider ${definition.id} is missing createStore()`);
+  }
+
+  const store = definition.createStore({
+    home,
+    metadataCachePath,
+    systemRules,
+    encodeItemId: (sessionId) => encodeProviderItemId(definition.id, sessionId)
+  });
+  for (const methodName of REQUIRED_STORE_METHODS) {
+    if (!store || typeof store[methodName] !== "function") {
+      throw new Error(`provider ${definition.id} store is missing ${methodName}()`);
+    }
+  }
+
+  const id = definition.id;
+  return {
+    id,
+    label: definition.label || id,
+    home,
+    store,
+    columns: Array.isArray(definition.columns) ? definition.columns : [],
+    searchFields: Array.isArray(definition.searchFields)
+      ? definition.searchFields
+      : ["title", "threadId", "state"],
+    capabilities: capabilitiesFor(definition, store),
+    ownsItemId:
+      typeof definition.ownsItemId === "function"
+        ? definition.ownsItemId
+        : (itemId) => decodeProviderItemId(id, itemId) !== null,
+    resolveTrashRoot:
+      typeof definition.resolveTrashRoot === "function"
+        ? (item) => definition.resolveTrashRoot(item, home)
+        : () => home
+  };
+}
+
+class ProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+    this.loadErrors = [];
+  }
+
+  register(provider) {
+    if (this.providers.has(provider.id)) {
+      throw new Error(`provider ${provider.id} is already registered`);
+    }
+    this.providers.set(provider.id, provider);
+    return provider;
+  }
+
+  list() {
+    return Array.from(this.providers.values());
+  }
+
+  get(providerId) {
+    return this.providers.get(providerId) || null;
+  }
+
+  providerForItemId(itemId) {
+    for (const provider of this.providers.values()) {
+      if (provider.ownsItemId(itemId)) {
+        return provider;
+      }
+    }
+    return null;
+  }
+
+  providerForItem(item) {
+    return this.get(item.provider);
+  }
+
+  describe() {
+    return this.list().map((provider) => ({
+      id: provider.id,
+      label: provider.label,
+      home: provider.home,
+      capabilities: provider.capabilities,
+      columns: provider.columns,
+      searchFields: provider.searchFields
+    }));
+  }
+
+  async listSessions() {
+    const providers = this.list();
+    const results = await Promise.all(providers.map((provider) => provider.store.listSessions()));
+
+    const merged = [];
+    const hidden = [];
+    const byProvider = {};
+    providers.forEach((provider, index) => {
+      const items = results[index].items.map((item) => ({ ...item, provider: provider.id }));
+      byProvider[provider.id] = {
+        total: items.length,
+        active: items.filter((item) => item.state === "active").length,
+        archived: items.filter((item) => item.state === "archived").length
+      };
+      merged.push(...items);
+      // Stores that recognise system-generated sessions report them apart.
+      for (const item of results[index].hiddenItems || []) {
+        hidden.push({ ...item, provider: provider.id });
+      }
+    });
+
+    const byUpdatedDesc = (left, right) => {
+      const leftTime = Date.parse(left.updatedAt) || 0;
+      const rightTime = Date.parse(right.updatedAt) || 0;
+      return rightTime - leftTime;
+    };
+    merged.sort(byUpdatedDesc);
+    hidden.sort(byUpdatedDesc);
+
+    return {
+      items: merged,
+      hiddenItems: hidden,
+      counts: {
+        total: merged.length,
+        active: merged.filter((item) => item.state === "active").length,
+        archived: merged.filter((item) => item.state === "archived").length,
+        byProvider
+      }
+    };
+  }
+
+  async findItemsByIds(itemIds) {
+    const grouped = new Map();
+    const unowned = [];
+
+    for (const itemId of itemIds) {
+      const provider = this.providerForItemId(itemId);
+      if (!provider) {
+        unowned.push(itemId);
+        continue;
+      }
+      if (!grouped.has(provider.id)) {
+        grouped.set(provider.id, []);
+      }
+      grouped.get(provider.id).push(itemId);
+    }
+
+    const lookups = await Promise.all(
+      Array.from(grouped.entries()).map(async ([providerId, ids]) => {
+        const provider = this.get(providerId);
+        const result = await provider.store.findItemsByIds(ids);
+        return {
+          found: result.found.map((item) => ({ ...item, provider: provider.id })),
+          missing: result.missing
+        };
+      })
+    );
+
+    return lookups.reduce(
+      (combined, result) => ({
+        found: combined.found.concat(result.found),
+        missing: combined.missing.concat(result.missing)
+      }),
+      { found: [], missing: unowned }
+    );
+  }
+}
+
+function createRegistry(definitions, { homes, metadataCachePathFor = () => null, systemRules = new SystemRules() }) {
+  const registry = new ProviderRegistry();
+  for (const definition of definitions) {
+    const homeKey = definition.home ? definition.home.key : null;
+    try {
+      registry.register(
+        createProvider(definition, {
+          home: homeKey ? homes[homeKey] : null,
+          metadataCachePath: metadataCachePathFor(definition.id),
+          systemRules
+        })
+      );
+    } catch (error) {
+      // Plugins are skipped and reported; a broken built-in is a bug.
+      if (!definition.pluginPath) {
+        throw error;
+      }
+      registry.loadErrors.push({
+        filePath: definition.pluginPath,
+        error: error instanceof Error ? error.message : String(error)
+      });
+    }
+  }
+  return registry;
+}
+
+module.exports = {
+  ProviderRegistry,
+  createProvider,
+  createRegistry,
+  decodeProviderItemId,
+  encodeProviderItemId
+};
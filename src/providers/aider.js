@@ -0,0 +1,28 @@
+const { AiderSessionStore } = require("../aider-session-store");
+
+module.exports = {
+  id: "aider",
+  label: "Aider",
+  home: {
+    key: "aiderRoots",
+    flag: "aider-roots",
+    env: "AIDER_PROJECT_ROOTS",
+    defaultDir: ".",
+    multiple: true
+  },
+  columns: [
+    { key: "projectName", label: "Project", format: "text", maxLength: 30, sort: "project" },
+    { key: "messageCount", label: "Prompts", format: "number", sort: "messageCount" },
+    { key: "createdAt", label: "Created", format: "date", sort: "createdAt" },
+    { key: "updatedAt", label: "Updated", format: "date", sort: "updatedAt" },
+    { key: "sizeBytes", label: "Size", format: "bytes", sort: "sizeBytes" }
+  ],
+  searchFields: ["title", "threadId", "projectPath", "state"],
+  createStore({ home, metadataCachePath }) {
+    return new AiderSessionStore({ projectRoots: home, metadataCachePath });
+  },
+  // Each project keeps its own history, so trash restores go back there.
+  resolveTrashRoot(item) {
+    return item.projectPath;
+  }
+};
@@ -0,0 +1,21 @@
+const { ClaudeSessionStore, isClaudeItemId } = require("../claude-session-store");
+
+module.exports = {
+  id: "claude",
+  label: "Claude",
+  home: { key: "claudeHome", flag: "claude-home", env: "CLAUDE_HOME", defaultDir: ".claude" },
+  columns: [
+    { key: "projectName", label: "Project", format: "text", maxLength: 30, sort: "project" },
+    { key: "gitBranch", label: "Branch", format: "text", maxLength: 20, sort: "branch" },
+    { key: "messageCount", label: "Messages", format: "number", sort: "messageCount" },
+    { key: "toolCallCount", label: "Tools", format: "number" },
+    { key: "createdAt", label: "Created", format: "date", sort: "createdAt" },
+    { key: "updatedAt", label: "Updated", format: "date", sort: "updatedAt" },
+    { key: "sizeBytes", label: "Size", format: "bytes", sort: "sizeBytes" }
+  ],
+  searchFields: ["title", "threadId", "projectName", "gitBranch", "state"],
+  createStore({ home, metadataCachePath, systemRules }) {
+    return new ClaudeSessionStore({ claudeHome: home, metadataCachePath, systemRules });
+  },
+  ownsItemId: isClaudeItemId
+};
@@ -0,0 +1,35 @@
+const { SessionStore, decodeItemId } = require("../session-store");
+
+module.exports = {
+  id: "codex",
+  label: "Codex",
+  home: { key: "codexHome", flag: "codex-home", env: "CODEX_HOME", defaultDir: ".codex" },
+  columns: [
+    { key: "threadId", label: "Thread", format: "text", maxLength: 14 },
+    { key: "cwd", label: "Project", format: "text", maxLength: 30, sort: "project" },
+    { key: "gitBranch", label: "Branch", format: "text", maxLength: 20, sort: "branch" },
+    { key: "model", label: "Model", format: "text", maxLength: 16, sort: "model" },
+    { key: "createdAt", label: "Created", format: "date", sort: "createdAt" },
+    { key: "updatedAt", label: "Updated", format: "date", sort: "updatedAt" },
+    { key: "sizeBytes", label: "Size", format: "bytes", sort: "sizeBytes" },
+    { key: "relativePath", label: "Relative Path", format: "text", maxLength: 48 }
+  ],
+  searchFields: [
+    "title",
+    "threadId",
+    "fileName",
+    "relativePath",
+    "cwd",
+    "gitBranch",
+    "gitRepositoryUrl",
+    "model",
+    "state"
+  ],
+  createStore({ home, metadataCachePath, systemRules }) {
+    return new SessionStore({ codexHome: home, metadataCachePath, systemRules });
+  },
+  ownsItemId(itemId) {
+    const relativePath = decodeItemId(itemId);
+    return relativePath.startsWith("sessions/") || relativePath.startsWith("archived_sessions/");
+  }
+};
@@ -0,0 +1,19 @@
+const { GeminiSessionStore, isGeminiItemId } = require("../gemini-session-store");
+
+module.exports = {
+  id: "gemini",
+  label: "Gemini",
+  home: { key: "geminiHome", flag: "gemini-home", env: "GEMINI_HOME", defaultDir: ".gemini" },
+  columns: [
+    { key: "projectPath", fallback: "projectHash", label: "Project", format: "text", maxLength: 30, sort: "project" },
+    { key: "messageCount", label: "Messages", format: "number", sort: "messageCount" },
+    { key: "createdAt", label: "Created", format: "date", sort: "createdAt" },
+    { key: "updatedAt", label: "Updated", format: "date", sort: "updatedAt" },
+    { key: "sizeBytes", label: "Size", format: "bytes", sort: "sizeBytes" }
+  ],
+  searchFields: ["title", "threadId", "projectPath", "projectHash", "state"],
+  createStore({ home, metadataCachePath, systemRules }) {
+    return new GeminiSessionStore({ geminiHome: home, providerId: "gemini", metadataCachePath, systemRules });
+  },
+  ownsItemId: isGeminiItemId
+};
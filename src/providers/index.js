@@ -0,0 +1,12 @@
+const codex = require("./codex");
+const claude = require("./claude");
+const gemini = require("./gemini");
+const qwen = require("./qwen");
+const aider = require("./aider");
+const opencode = require("./opencode");
+
+const BUILTIN_PROVIDERS = [codex, claude, gemini, qwen, aider, opencode];
+
+module.exports = {
+  BUILTIN_PROVIDERS
+};
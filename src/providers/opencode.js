@@ -0,0 +1,24 @@
+const { OpencodeSessionStore } = require("../opencode-session-store");
+
+module.exports = {
+  id: "opencode",
+  label: "OpenCode",
+  home: {
+    key: "opencodeHome",
+    flag: "opencode-home",
+    env: "OPENCODE_HOME",
+    defaultDir: ".local/share/opencode",
+    xdgDataDir: "opencode"
+  },
+  columns: [
+    { key: "projectPath", label: "Project", format: "text", maxLength: 36, sort: "project" },
+    { key: "messageCount", label: "Messages", format: "number", sort: "messageCount" },
+    { key: "createdAt", label: "Created", format: "date", sort: "createdAt" },
+    { key: "updatedAt", label: "Updated", format: "date", sort: "updatedAt" },
+    { key: "sizeBytes", label: "Size", format: "bytes", sort: "sizeBytes" }
+  ],
+  searchFields: ["title", "threadId", "projectPath", "state"],
+  createStore({ home, metadataCachePath }) {
+    return new OpencodeSessionStore({ opencodeHome: home, metadataCachePath });
+  }
+};
@@ -0,0 +1,18 @@
+const { GeminiSessionStore } = require("../gemini-session-store");
+
+module.exports = {
+  id: "qwen",
+  label: "Qwen",
+  home: { key: "qwenHome", flag: "qwen-home", env: "QWEN_HOME", defaultDir: ".qwen" },
+  columns: [
+    { key: "projectPath", fallback: "projectHash", label: "Project", format: "text", maxLength: 30, sort: "project" },
+    { key: "messageCount", label: "Messages", format: "number", sort: "messageCount" },
+    { key: "createdAt", label: "Created", format: "date", sort: "createdAt" },
+    { key: "updatedAt", label: "Updated", format: "date", sort: "updatedAt" },
+    { key: "sizeBytes", label: "Size", format: "bytes", sort: "sizeBytes" }
+  ],
+  searchFields: ["title", "threadId", "projectPath", "projectHash", "state"],
+  createStore({ home, metadataCachePath, systemRules }) {
+    return new GeminiSessionStore({ geminiHome: home, providerId: "qwen", metadataCachePath, systemRules });
+  }
+};
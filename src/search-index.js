@@ -0,0 +1,298 @@
+const { MetadataCache } = require("./metadata-cache");
+
+const INDEX_VERSION = 2;
+const INDEXED_TURN_KINDS = new Set(["user", "assistant"]);
+const TOKEN_PATTERN = /[\p{L}\p{N}_]+/gu;
+const MIN_TOKEN_LENGTH = 2;
+const MAX_TOKEN_LENGTH = 48;
+const DEFAULT_RESULT_LIMIT = 20;
+const MAX_RESULT_LIMIT = 100;
+const SNIPPET_RADIUS = 90;
+const MAX_SNIPPETS = 2;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+// A first build over a long history takes a while; persisting along the way
+// means an interrupted build resumes instead of starting over. Each flush
+// rewrites the whole index, so it runs on a timer, not per document.
+const FLUSH_INTERVAL_MS = 60 * 1000;
+// Turns are already clipped one by one; this bounds a whole session.
+const MAX_INDEXED_TEXT_LENGTH = 1000000;
+
+function tokenize(text) {
+  if (typeof text !== "string" || !text) {
+    return [];
+  }
+  const tokens = [];
+  for (const match of text.toLowerCase().matchAll(TOKEN_PATTERN)) {
+    const token = match[0];
+    if (token.length >= MIN_TOKEN_LENGTH && token.length <= MAX_TOKEN_LENGTH) {
+      tokens.push(token);
+    }
+  }
+  return tokens;
+}
+
+function parseSearchLimit(searchParams) {
+  const raw = Number.parseInt(String(searchParams.get("limit") || DEFAULT_RESULT_LIMIT), 10);
+  if (!Number.isFinite(raw) || raw <= 0) {
+    return DEFAULT_RESULT_LIMIT;
+  }
+  return Math.min(raw, MAX_RESULT_LIMIT);
+}
+
+// Size and update time change whenever a store sees the session change, so
+// together with the path they tell us when a document must be re-read. The
+// title is part of the indexed text and can change on its own (renames).
+function documentSignature(item) {
+  return [item.absolutePath, item.sizeBytes, item.updatedAt, item.title || ""].join("|");
+}
+
+// Turns are streamed through onTurn rather than collected into a page, so
+// only the indexed text of a long session is held in memory.
+async function readSearchText(provider, item) {
+  const parts = [item.title || ""];
+  let length = parts[0].length;
+  const collect = (turn) => {
+    if (INDEXED_TURN_KINDS.has(turn.kind) && length < MAX_INDEXED_TEXT_LENGTH) {
+      parts.push(turn.text);
+      length += turn.text.length;
+    }
+  };
+  if (provider && provider.capabilities.transcript) {
+    const page = await provider.store.readTranscript(item, { offset: 0, limit: Infinity, onTurn: collect });
+    // Stores that build their own page instead of a TranscriptPage.
+    page.turns.forEach(collect);
+  }
+  return parts.join("\n");
+}
+
+function highlightRanges(text, terms) {
+  const ranges = [];
+  for (const match of text.matchAll(TOKEN_PATTERN)) {
+    if (terms.has(match[0].toLowerCase())) {
+      ranges.push([match.index, match.index + match[0].length]);
+    }
+  }
+  return ranges;
+}
+
+// Cuts short windows of text around the first hits of the query terms and
+// reports where each term sits inside the snippet so the UI can mark it.
+function buildSnippets(text, queryTerms, maxSnippets = MAX_SNIPPETS) {
+  const terms = new Set(queryTerms);
+  const hits = [];
+  const seenTerms = new Set();
+  for (const match of text.matchAll(TOKEN_PATTERN)) {
+    const token = match[0].toLowerCase();
+    if (terms.has(token) && !seenTerms.has(token)) {
+      seenTerms.add(token);
+      hits.push(match.index);
+    }
+  }
+
+  const snippets = [];
+  let coveredUntil = -1;
+  for (const hit of hits) {
+    if (snippets.length >= maxSnippets) {
+      break;
+    }
+    if (hit < coveredUntil) {
+      continue;
+    }
+
+    const start = Math.max(0, hit - SNIPPET_RADIUS);
+    const end = Math.min(text.length, hit + SNIPPET_RADIUS);
+    coveredUntil = end;
+
+    const body = text.slice(start, end).replace(/\s+/g, " ").trim();
+    const snippetText = `${start > 0 ? "…" : ""}${body}${end < text.length ? "…" : ""}`;
+    snippets.push({ text: snippetText, highlights: highlightRanges(snippetText, terms) });
+  }
+
+  return snippets;
+}
+
+// Inverted index over session text. Documents are keyed by item id and
+// carry the signature they were built from, so a refresh only re-reads the
+// sessions that changed. Term frequencies are persisted through
+// MetadataCache; postings are kept in memory and updated per document, so
+// searches made while a refresh is running see what is indexed so far.
+class SearchIndex {
+  constructor({ filePath = null, flushIntervalMs = FLUSH_INTERVAL_MS } = {}) {
+    this.documents = new MetadataCache({ filePath, version: INDEX_VERSION });
+    this.flushIntervalMs = flushIntervalMs;
+    this.postings = null;
+    this.totalLength = 0;
+    this.running = null;
+    this.pendingCount = 0;
+  }
+
+  // Only one refresh runs at a time; callers arriving meanwhile share it and
+  // the next refresh picks up whatever changed in between.
+  refresh(items, readText) {
+    if (!this.running) {
+      const run = this.#refresh(items, readText);
+      this.running = run;
+      run.then(
+        () => {
+          this.running = null;
+        },
+        () => {
+          this.running = null;
+        }
+      );
+    }
+    return this.running;
+  }
+
+  status() {
+    return {
+      documents: this.documents.size,
+      pending: this.pendingCount,
+      building: Boolean(this.running)
+    };
+  }
+
+  async #refresh(items, readText) {
+    await this.documents.load();
+    if (!this.postings) {
+      this.#rebuildPostings();
+    }
+
+    const liveIds = new Set();
+    const stale = [];
+    for (const item of items) {
+      liveIds.add(item.itemId);
+      const existing = this.documents.get(item.itemId);
+      if (!existing || existing.signature !== documentSignature(item)) {
+        stale.push(item);
+      }
+    }
+
+    let removed = 0;
+    for (const itemId of Array.from(this.documents.keys())) {
+      if (!liveIds.has(itemId)) {
+        this.#removeDocument(itemId);
+        removed += 1;
+      }
+    }
+
+    this.pendingCount = stale.length;
+    let flushedAt = Date.now();
+    try {
+      for (const item of stale) {
+        let text;
+        try {
+          text = await readText(item);
+        } catch {
+          text = item.title || "";
+        }
+        this.#addDocument(item, text);
+        this.pendingCount -= 1;
+        if (Date.now() - flushedAt >= this.flushIntervalMs) {
+          await this.documents.flush();
+          flushedAt = Date.now();
+        }
+      }
+    } finally {
+      this.pendingCount = 0;
+    }
+    await this.documents.flush();
+
+    return { documents: liveIds.size, reindexed: stale.length, removed };
+  }
+
+  #addDocument(item, text) {
+    this.#removeDocument(item.itemId);
+
+    const terms = {};
+    const tokens = tokenize(text);
+    for (const token of tokens) {
+      terms[token] = (terms[token] || 0) + 1;
+    }
+    const document = { signature: documentSignature(item), length: tokens.length, terms };
+    this.documents.set(item.itemId, document);
+    this.#addPostings(item.itemId, document);
+  }
+
+  #removeDocument(itemId) {
+    const document = this.documents.get(itemId);
+    if (!document) {
+      return;
+    }
+    this.totalLength -= document.length;
+    for (const token of Object.keys(document.terms)) {
+      const postings = this.postings.get(token);
+      if (postings) {
+        postings.delete(itemId);
+        if (postings.size === 0) {
+          this.postings.delete(token);
+        }
+      }
+    }
+    this.documents.delete(itemId);
+  }
+
+  #addPostings(itemId, document) {
+    this.totalLength += document.length;
+    for (const [token, frequency] of Object.entries(document.terms)) {
+      if (!this.postings.has(token)) {
+        this.postings.set(token, new Map());
+      }
+      this.postings.get(token).set(itemId, frequency);
+    }
+  }
+
+  #rebuildPostings() {
+    this.postings = new Map();
+    this.totalLength = 0;
+    for (const itemId of this.documents.keys()) {
+      this.#addPostings(itemId, this.documents.get(itemId));
+    }
+  }
+
+  // Every query term must appear; matches are ranked with BM25.
+  search(query) {
+    const terms = Array.from(new Set(tokenize(query)));
+    if (terms.length === 0 || !this.postings) {
+      return { terms, matches: [] };
+    }
+
+    const termPostings = terms.map((term) => this.postings.get(term) || new Map());
+    if (termPostings.some((postings) => postings.size === 0)) {
+      return { terms, matches: [] };
+    }
+
+    const documentCount = this.documents.size;
+    const averageLength = documentCount > 0 ? this.totalLength / documentCount : 0;
+    const [rarest, ...others] = termPostings.slice().sort((left, right) => left.size - right.size);
+
+    const matches = [];
+    for (const itemId of rarest.keys()) {
+      if (!others.every((postings) => postings.has(itemId))) {
+        continue;
+      }
+
+      const length = this.documents.get(itemId).length;
+      let score = 0;
+      for (const postings of termPostings) {
+        const frequency = postings.get(itemId);
+        const idf = Math.log(1 + (documentCount - postings.size + 0.5) / (postings.size + 0.5));
+        const norm = BM25_K1 * (1 - BM25_B + (BM25_B * length) / (averageLength || 1));
+        score += (idf * frequency * (BM25_K1 + 1)) / (frequency + norm);
+      }
+      matches.push({ itemId, score });
+    }
+
+    matches.sort((left, right) => right.score - left.score);
+    return { terms, matches };
+  }
+}
+
+module.exports = {
+  SearchIndex,
+  buildSnippets,
+  parseSearchLimit,
+  readSearchText,
+  tokenize
+};
@@ -2,12 +2,23 @@ const fs = require("node:fs/promises");
 const http = require("node:http");
 const path = require("node:path");
 const { isPathInsideRoot } = require("./fs-utils");
-const { SessionStore } = require("./session-store");
-const { ClaudeSessionStore, isClaudeItemId } = require("./claude-session-store");
-const { GeminiSessionStore, isGeminiItemId } = require("./gemini-session-store");
 const { TrashStore } = require("./trash-store");
+const { resolveCachePath } = require("./metadata-cache");
+const { createRegistry } = require("./provider-registry");
+const { BUILTIN_PROVIDERS } = require("./providers");
+const { ProjectHashResolver } = require("./project-resolver");
+const { parseListingParams, queryListing } = require("./session-listing");
+const { SearchIndex, buildSnippets, parseSearchLimit, readSearchText } = require("./search-index");
+const { SystemRules, normalizeSystemRules } = require("./system-rules");
+const { TitleOverrides, cleanTitle, hasTitleKey } = require("./title-overrides");
+const { parsePageParams } = require("./transcript");
 
 const WEB_ROOT = path.join(__dirname, "..", "web");
+const LISTING_TTL_MS = 2000;
+// How long a search waits for the index to catch up before answering from
+// what is indexed so far; the client polls while the build continues.
+const SEARCH_INDEX_WAIT_MS = 1500;
+const TRANSCRIPT_ROUTE_PATTERN = /^\/api\/sessions\/([A-Za-z0-9_-]+)\/transcript$/;
 
 function json(response, statusCode, payload) {
   response.writeHead(statusCode, {
@@ -93,35 +104,8 @@ async function serveStatic(requestPath, response) {
   }
 }
 
-async function findItemAcrossStores(itemIds, codexStore, claudeStore, geminiStore) {
-  const codexIds = [];
-  const claudeIds = [];
-  const geminiIds = [];
-
-  for (const itemId of itemIds) {
-    if (isClaudeItemId(itemId)) {
-      claudeIds.push(itemId);
-    } else if (isGeminiItemId(itemId)) {
-      geminiIds.push(itemId);
-    } else {
-      codexIds.push(itemId);
-    }
-  }
-
-  const [codexResult, claudeResult, geminiResult] = await Promise.all([
-    codexIds.length > 0 ? codexStore.findItemsByIds(codexIds) : { found: [], missing: [] },
-    claudeIds.length > 0 ? claudeStore.findItemsByIds(claudeIds) : { found: [], missing: [] },
-    geminiIds.length > 0 ? geminiStore.findItemsByIds(geminiIds) : { found: [], missing: [] }
-  ]);
-
-  return {
-    found: codexResult.found.concat(claudeResult.found).concat(geminiResult.found),
-    missing: codexResult.missing.concat(claudeResult.missing).concat(geminiResult.missing)
-  };
-}
-
-async function runMultiSourceBatch(itemIds, codexStore, claudeStore, geminiStore, action) {
-  const selection = await findItemAcrossStores(itemIds, codexStore, claudeStore, geminiStore);
+async function runMultiSourceBatch(itemIds, registry, action) {
+  const selection = await registry.findItemsByIds(itemIds);
   const report = {
     requested: itemIds.length,
     succeeded: [],
@@ -137,7 +121,7 @@ async function runMultiSourceBatch(itemIds, codexStore, claudeStore, geminiStore
 
   for (const item of selection.found) {
     try {
-      const details = await action(item);
+      const details = await action(item, registry.providerForItem(item));
       report.succeeded.push({
         itemId: item.itemId,
         threadId: item.threadId,
@@ -157,54 +141,72 @@ async function runMultiSourceBatch(itemIds, codexStore, claudeStore, geminiStore
   return report;
 }
 
-async function runSessionBatch(itemIds, sessionStore, action) {
-  const selection = await sessionStore.findItemsByIds(itemIds);
-  const report = {
-    requested: itemIds.length,
-    succeeded: [],
-    failed: []
-  };
+function searchableText(registry, item) {
+  const provider = registry.providerForItem(item);
+  const fields = provider ? provider.searchFields : ["title", "threadId"];
+  return fields.map((field) => item[field] || "").join(" ");
+}
 
-  for (const missingId of selection.missing) {
-    report.failed.push({
-      itemId: missingId,
-      error: "session not found"
-    });
+function requireCapability(provider, capability) {
+  if (!provider.capabilities[capability]) {
+    throw new Error(`${provider.label} sessions do not support ${capability}`);
   }
-
-  for (const item of selection.found) {
-    try {
-      const details = await action(item);
-      report.succeeded.push({
-        itemId: item.itemId,
-        threadId: item.threadId,
-        ...details
-      });
-    } catch (error) {
-      report.failed.push({
-        itemId: item.itemId,
-        threadId: item.threadId,
-        error: toErrorMessage(error)
-      });
-    }
-  }
-
-  report.succeededCount = report.succeeded.length;
-  report.failedCount = report.failed.length;
-  return report;
 }
 
 async function startServer({
-  codexHome,
-  claudeHome,
-  geminiHome,
   trashRoot,
   retentionDays = 30,
-  port = 0
+  port = 0,
+  providers = BUILTIN_PROVIDERS,
+  workspaceDirs = [],
+  systemRulesPath = null,
+  titleOverridesPath = null,
+  ...homes
 }) {
-  const sessionStore = new SessionStore({ codexHome });
-  const claudeStore = new ClaudeSessionStore({ claudeHome });
-  const geminiStore = new GeminiSessionStore({ geminiHome });
+  const systemRules = new SystemRules({ filePath: systemRulesPath });
+  await systemRules.load();
+  const registry = createRegistry(providers, {
+    homes,
+    metadataCachePathFor: (providerId) => resolveCachePath(trashRoot, `${providerId}-metadata`),
+    systemRules
+  });
+  const projectResolver = new ProjectHashResolver({ workspaceDirs });
+  const titleOverrides = new TitleOverrides({ filePath: titleOverridesPath });
+  // Paged requests and facet counts arrive in bursts; they share one scan
+  // until it ages out or a mutation invalidates it.
+  let listingSnapshot = null;
+  const currentListing = () => {
+    if (!listingSnapshot || Date.now() - listingSnapshot.at > LISTING_TTL_MS) {
+      // Rules edited on disk apply from the next scan.
+      const promise = Promise.all([systemRules.load(), titleOverrides.load()])
+        .then(() => registry.listSessions())
+        .then(async (listing) => {
+          // One pass over both lists, so visible and hidden sessions are
+          // matched against the same projects and titles.
+          const annotated = titleOverrides.apply(
+            await projectResolver.annotate(listing.items.concat(listing.hiddenItems))
+          );
+          return {
+            ...listing,
+            items: annotated.slice(0, listing.items.length),
+            hiddenItems: annotated.slice(listing.items.length)
+          };
+        });
+      listingSnapshot = { at: Date.now(), promise };
+      promise.catch(() => {
+        if (listingSnapshot && listingSnapshot.promise === promise) {
+          listingSnapshot = null;
+        }
+      });
+    }
+    return listingSnapshot.promise;
+  };
+  const invalidateListing = () => {
+    listingSnapshot = null;
+  };
+
+  const searchIndex = new SearchIndex({ filePath: resolveCachePath(trashRoot, "search-index") });
+  const { codexHome } = homes;
   const trashStore = new TrashStore({ codexHome, trashRoot, retentionDays });
   const cleanupReport = await trashStore.cleanupExpired();
 
@@ -214,7 +216,12 @@ async function startServer({
       return;
     }
 
-    const { pathname } = new URL(request.url, "http://127.0.0.1");
+    const { pathname, searchParams } = new URL(request.url, "http://127.0.0.1");
+    if (request.method === "POST") {
+      // Every POST route moves sessions or trash items.
+      invalidateListing();
+      response.on("finish", invalidateListing);
+    }
 
     try {
       if (request.method === "GET" && pathname === "/api/health") {
@@ -224,42 +231,107 @@ async function startServer({
 
       if (request.method === "GET" && pathname === "/api/config") {
         json(response, 200, {
-          codexHome,
-          claudeHome,
-          geminiHome,
+          ...homes,
           trashRoot,
-          retentionDays
+          retentionDays,
+          workspaceDirs,
+          providers: registry.describe()
         });
         return;
       }
 
       if (request.method === "GET" && pathname === "/api/sessions") {
-        const [codexResult, claudeResult, geminiResult] = await Promise.all([
-          sessionStore.listSessions(),
-          claudeStore.listSessions(),
-          geminiStore.listSessions()
-        ]);
+        const params = parseListingParams(searchParams);
+        if (params.invalidCursor) {
+          json(response, 400, { error: "invalid cursor" });
+          return;
+        }
+
+        const listing = await currentListing();
+        const result = queryListing(params.hidden ? listing.hiddenItems : listing.items, params, {
+          textOf: (item) => searchableText(registry, item),
+          providerIds: registry.list().map((provider) => provider.id)
+        });
+        if (params.idsOnly) {
+          json(response, 200, {
+            items: result.items.map(({ itemId, provider, state }) => ({ itemId, provider, state })),
+            total: result.total
+          });
+          return;
+        }
+        json(response, 200, {
+          ...result,
+          counts: { ...result.counts, hidden: listing.hiddenItems.length }
+        });
+        return;
+      }
 
-        const codexItems = codexResult.items.map((item) => ({
-          ...item,
-          provider: "codex"
-        }));
-        const claudeItems = claudeResult.items;
-        const geminiItems = geminiResult.items;
+      if (request.method === "GET" && pathname === "/api/search") {
+        const query = String(searchParams.get("q") || "").trim();
+        const limit = parseSearchLimit(searchParams);
+        const { items } = await currentListing();
+        const readText = (item) => readSearchText(registry.providerForItem(item), item);
+        const refreshing = searchIndex.refresh(items, readText);
+        let waitTimer = null;
+        await Promise.race([
+          refreshing,
+          new Promise((resolve) => {
+            waitTimer = setTimeout(resolve, SEARCH_INDEX_WAIT_MS);
+          })
+        ]);
+        clearTimeout(waitTimer);
+
+        const itemsById = new Map(items.map((item) => [item.itemId, item]));
+        // A refresh started by an earlier request may still hold sessions
+        // that have since moved or gone.
+        const { terms, matches: indexed } = searchIndex.search(query);
+        const matches = indexed.filter((match) => itemsById.has(match.itemId));
+        const results = [];
+        for (const match of matches.slice(0, limit)) {
+          const item = itemsById.get(match.itemId);
+          let snippets = [];
+          try {
+            snippets = buildSnippets(await readText(item), terms);
+          } catch {
+            // The session may have moved since indexing; rank without a snippet.
+          }
+          results.push({ ...item, score: match.score, snippets });
+        }
 
-        const merged = codexItems.concat(claudeItems).concat(geminiItems).sort((left, right) => {
-          const leftTime = Date.parse(left.updatedAt) || 0;
-          const rightTime = Date.parse(right.updatedAt) || 0;
-          return rightTime - leftTime;
+        json(response, 200, {
+          query,
+          terms,
+          total: matches.length,
+          results,
+          index: searchIndex.status()
         });
+        return;
+      }
 
+      const transcriptMatch = request.method === "GET" ? TRANSCRIPT_ROUTE_PATTERN.exec(pathname) : null;
+      if (transcriptMatch) {
+        const itemId = transcriptMatch[1];
+        const selection = await registry.findItemsByIds([itemId]);
+        await titleOverrides.load();
+        const [item] = titleOverrides.apply(selection.found);
+        if (!item) {
+          json(response, 404, { error: "session not found" });
+          return;
+        }
+
+        const provider = registry.providerForItem(item);
+        if (!provider.capabilities.transcript) {
+          json(response, 400, { error: `${provider.label} sessions do not support transcript` });
+          return;
+        }
+
+        const page = await provider.store.readTranscript(item, parsePageParams(searchParams));
         json(response, 200, {
-          items: merged,
-          counts: {
-            total: merged.length,
-            active: merged.filter((item) => item.state === "active").length,
-            archived: merged.filter((item) => item.state === "archived").length
-          }
+          itemId,
+          threadId: item.threadId,
+          provider: provider.id,
+          title: item.title,
+          ...page
         });
         return;
       }
@@ -267,21 +339,10 @@ async function startServer({
       if (request.method === "POST" && pathname === "/api/sessions/archive") {
         const payload = await readJsonBody(request);
         const itemIds = parseStringArrayField(payload, "itemIds");
-        const report = await runMultiSourceBatch(
-          itemIds,
-          sessionStore,
-          claudeStore,
-          geminiStore,
-          (item) => {
-            if (item.provider === "claude") {
-              return claudeStore.archiveItem(item);
-            }
-            if (item.provider === "gemini") {
-              return geminiStore.archiveItem(item);
-            }
-            return sessionStore.archiveItem(item);
-          }
-        );
+        const report = await runMultiSourceBatch(itemIds, registry, (item, provider) => {
+          requireCapability(provider, "archive");
+          return provider.store.archiveItem(item);
+        });
         json(response, 200, report);
         return;
       }
@@ -289,21 +350,10 @@ async function startServer({
       if (request.method === "POST" && pathname === "/api/sessions/unarchive") {
         const payload = await readJsonBody(request);
         const itemIds = parseStringArrayField(payload, "itemIds");
-        const report = await runMultiSourceBatch(
-          itemIds,
-          sessionStore,
-          claudeStore,
-          geminiStore,
-          (item) => {
-            if (item.provider === "claude") {
-              return claudeStore.unarchiveItem(item);
-            }
-            if (item.provider === "gemini") {
-              return geminiStore.unarchiveItem(item);
-            }
-            return sessionStore.unarchiveItem(item);
-          }
-        );
+        const report = await runMultiSourceBatch(itemIds, registry, (item, provider) => {
+          requireCapability(provider, "unarchive");
+          return provider.store.unarchiveItem(item);
+        });
         json(response, 200, report);
         return;
       }
@@ -311,22 +361,89 @@ async function startServer({
       if (request.method === "POST" && pathname === "/api/sessions/delete") {
         const payload = await readJsonBody(request);
         const itemIds = parseStringArrayField(payload, "itemIds");
-        const report = await runMultiSourceBatch(
-          itemIds,
-          sessionStore,
-          claudeStore,
-          geminiStore,
-          (item) => {
-            const homeRoot = item.provider === "claude" ? claudeHome
-              : item.provider === "gemini" ? geminiHome
-              : codexHome;
-            return trashStore.trashSessionItem(item, homeRoot);
-          }
-        );
+        const report = await runMultiSourceBatch(itemIds, registry, async (item, provider) => {
+          requireCapability(provider, "trash");
+          // Stores whose sessions share a file split them out before trashing.
+          const trashable = typeof provider.store.detachItem === "function"
+            ? await provider.store.detachItem(item)
+            : item;
+          return trashStore.trashSessionItem(trashable, provider.resolveTrashRoot(trashable));
+        });
         json(response, 200, report);
         return;
       }
 
+      if (request.method === "POST" && pathname === "/api/sessions/title") {
+        const payload = await readJsonBody(request);
+        if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+          json(response, 400, { error: "request body must be a JSON object" });
+          return;
+        }
+        const selection = await registry.findItemsByIds([String(payload.itemId || "")]);
+        const item = selection.found[0];
+        if (!item) {
+          json(response, 404, { error: "session not found" });
+          return;
+        }
+
+        let title;
+        try {
+          title = cleanTitle(payload.title);
+        } catch (error) {
+          json(response, 400, { error: toErrorMessage(error) });
+          return;
+        }
+        const provider = registry.providerForItem(item);
+        if (!hasTitleKey(item)) {
+          json(response, 400, { error: "session has no thread id to keep a title for" });
+          return;
+        }
+        if (payload.writeBack && !provider.capabilities.titleWriteBack) {
+          json(response, 400, { error: `${provider.label} sessions do not support titleWriteBack` });
+          return;
+        }
+
+        // Write back first: if the provider refuses, nothing has been saved.
+        if (payload.writeBack) {
+          await provider.store.writeThreadTitle(item, title || null);
+        }
+        title = await titleOverrides.set(provider.id, item.threadId, title);
+        json(response, 200, {
+          itemId: item.itemId,
+          provider: provider.id,
+          threadId: item.threadId,
+          title: title || item.title,
+          autoTitle: item.title,
+          customTitle: Boolean(title),
+          writtenBack: Boolean(payload.writeBack)
+        });
+        return;
+      }
+
+      if (request.method === "GET" && pathname === "/api/system-rules") {
+        await systemRules.load();
+        json(response, 200, systemRules.toJSON());
+        return;
+      }
+
+      if (request.method === "POST" && pathname === "/api/system-rules") {
+        const payload = await readJsonBody(request);
+        if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+          json(response, 400, { error: "request body must be a JSON object" });
+          return;
+        }
+        let rules;
+        try {
+          rules = normalizeSystemRules(payload.rules);
+        } catch (error) {
+          json(response, 400, { error: toErrorMessage(error) });
+          return;
+        }
+        await systemRules.save(rules);
+        json(response, 200, systemRules.toJSON());
+        return;
+      }
+
       if (request.method === "GET" && pathname === "/api/trash") {
         json(response, 200, {
           items: await trashStore.listTrashItems()
@@ -337,7 +454,14 @@ async function startServer({
       if (request.method === "POST" && pathname === "/api/trash/restore") {
         const payload = await readJsonBody(request);
         const trashIds = parseStringArrayField(payload, "trashIds");
-        json(response, 200, await trashStore.restore(trashIds));
+        json(response, 200, await trashStore.restore(trashIds, {
+          reattach: (metadata, absolutePath) => {
+            const provider = registry.get(metadata.provider);
+            return provider && typeof provider.store.reattachItem === "function"
+              ? provider.store.reattachItem(metadata, absolutePath)
+              : null;
+          }
+        }));
         return;
       }
 
@@ -375,11 +499,10 @@ async function startServer({
   }
 
   return {
+    ...homes,
     cleanupReport,
-    codexHome,
-    claudeHome,
-    geminiHome,
     port: address.port,
+    registry,
     retentionDays,
     server,
     trashRoot,
@@ -0,0 +1,195 @@
+const { compileQuery, projectOf } = require("../web/session-query");
+
+const DEFAULT_SORT = { key: "updatedAt", order: "desc" };
+const MAX_PAGE_LIMIT = 1000;
+const SESSION_STATES = new Set(["active", "archived"]);
+
+// Sort values are normalized so dates and sizes compare as numbers and text
+// compares case-insensitively. Missing values always sort last.
+const SORT_KEYS = {
+  updatedAt: (item) => Date.parse(item.updatedAt),
+  createdAt: (item) => Date.parse(item.createdAt),
+  sizeBytes: (item) => item.sizeBytes,
+  messageCount: (item) => item.messageCount,
+  title: (item) => item.title,
+  provider: (item) => item.provider,
+  state: (item) => item.state,
+  project: projectOf,
+  branch: (item) => item.gitBranch || item.branch,
+  model: (item) => item.model,
+  reason: (item) => item.systemReason
+};
+
+function sortValue(item, key) {
+  const value = SORT_KEYS[key](item);
+  if (typeof value === "number") {
+    return Number.isFinite(value) ? value : null;
+  }
+  if (typeof value === "string" && value) {
+    return value.toLowerCase();
+  }
+  return null;
+}
+
+function compareValues(left, right) {
+  if (left === right) {
+    return 0;
+  }
+  return left < right ? -1 : 1;
+}
+
+function compareEntries(left, right, order) {
+  if (left.value === null || right.value === null) {
+    if (left.value !== right.value) {
+      return left.value === null ? 1 : -1;
+    }
+  } else {
+    const byValue = compareValues(left.value, right.value);
+    if (byValue !== 0) {
+      return order === "asc" ? byValue : -byValue;
+    }
+  }
+  return compareValues(left.itemId, right.itemId);
+}
+
+function encodeCursor(entry) {
+  return Buffer.from(JSON.stringify([entry.value, entry.itemId]), "utf8").toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  try {
+    const [value, itemId] = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    if (typeof itemId !== "string" || (value !== null && typeof value !== "string" && typeof value !== "number")) {
+      return null;
+    }
+    return { value, itemId };
+  } catch {
+    return null;
+  }
+}
+
+function parseListingParams(searchParams) {
+  const providers = String(searchParams.get("provider") || "")
+    .split(",")
+    .map((value) => value.trim())
+    .filter(Boolean);
+
+  const rawState = String(searchParams.get("state") || "all");
+  const sessionState = SESSION_STATES.has(rawState) ? rawState : "all";
+
+  const rawSort = String(searchParams.get("sort") || DEFAULT_SORT.key);
+  const rawOrder = String(searchParams.get("order") || "");
+  const sortKey = Object.prototype.hasOwnProperty.call(SORT_KEYS, rawSort) ? rawSort : DEFAULT_SORT.key;
+  const order = rawOrder === "asc" || rawOrder === "desc" ? rawOrder : DEFAULT_SORT.order;
+
+  let limit = null;
+  if (searchParams.has("limit")) {
+    const parsed = Number.parseInt(String(searchParams.get("limit")), 10);
+    limit = Number.isFinite(parsed) && parsed >= 0 ? Math.min(parsed, MAX_PAGE_LIMIT) : null;
+  }
+
+  const rawCursor = searchParams.get("cursor");
+  const cursor = rawCursor ? decodeCursor(rawCursor) : null;
+
+  return {
+    providers,
+    state: sessionState,
+    project: String(searchParams.get("project") || ""),
+    q: String(searchParams.get("q") || "").trim(),
+    sort: { key: sortKey, order },
+    limit,
+    cursor,
+    invalidCursor: Boolean(rawCursor) && !cursor,
+    hidden: searchParams.get("hidden") === "1",
+    idsOnly: searchParams.get("fields") === "ids"
+  };
+}
+
+function tallyStates(items) {
+  return {
+    total: items.length,
+    active: items.filter((item) => item.state === "active").length,
+    archived: items.filter((item) => item.state === "archived").length
+  };
+}
+
+// Applies query, facet filters, sort and keyset pagination to a merged
+// listing. `counts` cover everything the text query matches, `facets` count
+// each facet's values with the other facets applied, and `total` is the size
+// of the fully filtered result the cursor pages through.
+function queryListing(items, params, { textOf, providerIds = [] }) {
+  const filter = compileQuery(params.q, { textOf });
+  const base = filter.isEmpty ? items : items.filter((item) => filter.matches(item));
+
+  const byProvider = Object.fromEntries(providerIds.map((providerId) => [providerId, []]));
+  for (const item of base) {
+    if (!byProvider[item.provider]) {
+      byProvider[item.provider] = [];
+    }
+    byProvider[item.provider].push(item);
+  }
+
+  const providerSet = new Set(params.providers);
+  const inProvider = (item) => providerSet.size === 0 || providerSet.has(item.provider);
+  const inState = (item) => params.state === "all" || item.state === params.state;
+  const inProject = (item) => !params.project || projectOf(item) === params.project;
+
+  const facets = { provider: {}, state: { active: 0, archived: 0 }, project: {} };
+  const matched = [];
+  for (const item of base) {
+    const providerMatch = inProvider(item);
+    const stateMatch = inState(item);
+    const projectMatch = inProject(item);
+    if (stateMatch && projectMatch) {
+      facets.provider[item.provider] = (facets.provider[item.provider] || 0) + 1;
+    }
+    if (providerMatch && projectMatch && SESSION_STATES.has(item.state)) {
+      facets.state[item.state] += 1;
+    }
+    const project = projectOf(item);
+    if (providerMatch && stateMatch && project) {
+      facets.project[project] = (facets.project[project] || 0) + 1;
+    }
+    if (providerMatch && stateMatch && projectMatch) {
+      matched.push(item);
+    }
+  }
+
+  const { key, order } = params.sort;
+  const entries = matched
+    .map((item) => ({ item, itemId: item.itemId, value: sortValue(item, key) }))
+    .sort((left, right) => compareEntries(left, right, order));
+
+  let start = 0;
+  if (params.cursor) {
+    const position = entries.findIndex((entry) => compareEntries(entry, params.cursor, order) > 0);
+    start = position === -1 ? entries.length : position;
+  }
+  const end = params.limit === null ? entries.length : start + params.limit;
+  const page = entries.slice(start, end);
+  const hasMore = end < entries.length && page.length > 0;
+
+  return {
+    items: page.map((entry) => entry.item),
+    total: entries.length,
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+    sort: params.sort,
+    counts: {
+      ...tallyStates(base),
+      byProvider: Object.fromEntries(
+        Object.entries(byProvider).map(([providerId, providerItems]) => [providerId, tallyStates(providerItems)])
+      )
+    },
+    facets,
+    query: { q: params.q, errors: filter.errors }
+  };
+}
+
+module.exports = {
+  SORT_KEYS,
+  decodeCursor,
+  encodeCursor,
+  parseListingParams,
+  projectOf,
+  queryListing
+};
@@ -2,12 +2,27 @@ const fsSync = require("node:fs");
 const fs = require("node:fs/promises");
 const path = require("node:path");
 const readline = require("node:readline");
-const { ensureDir, movePath, normalizeRelativePath, pathExists, walkFiles } = require("./fs-utils");
+const { ensureDir, movePath, normalizeRelativePath, pathExists, walkFiles, writeFileAtomic } = require("./fs-utils");
+const { ItemIndex } = require("./item-index");
+const { MetadataCache } = require("./metadata-cache");
+const { SystemRules, systemRuleText } = require("./system-rules");
+const { TranscriptPage, contentText, readJsonlTranscript } = require("./transcript");
 
 const ROLLOUT_FILENAME_PATTERN =
   /^rollout-(\d{4})-(\d{2})-(\d{2})T(\d{2})-(\d{2})-(\d{2})-(.+)\.jsonl$/;
 const MAX_TITLE_SCAN_LINES = 700;
 const USER_MESSAGE_BEGIN = "## My request for Codex:";
+const METADATA_CACHE_VERSION = 6;
+// Where and with what a session ran, read from session_meta and turn_context.
+const RUN_CONTEXT_FIELDS = [
+  "cwd",
+  "gitBranch",
+  "gitCommit",
+  "gitRepositoryUrl",
+  "originator",
+  "cliVersion",
+  "model"
+];
 
 function parseRolloutFilename(fileName) {
   const match = ROLLOUT_FILENAME_PATTERN.exec(fileName);
@@ -88,19 +103,38 @@ function stripUserMessagePrefix(text) {
   return text.trim();
 }
 
-function isSystemGeneratedMessage(title) {
-  const lowered = title.toLowerCase();
-  return (
-    lowered.startsWith("$skill-") ||
-    lowered.startsWith("# agents.md instructions") ||
-    lowered.startsWith("<environment_context>") ||
-    lowered.startsWith("<permissions instructions>") ||
-    lowered.startsWith("<app-context>") ||
-    lowered.startsWith("<collaboration_mode>") ||
-    lowered.startsWith("<instructions>") ||
-    lowered.startsWith("<user_instructions>") ||
-    lowered.startsWith("<skill>")
-  );
+function stringOrNull(value) {
+  return typeof value === "string" && value.trim() ? value.trim() : null;
+}
+
+function pickRunContext(source) {
+  return Object.fromEntries(RUN_CONTEXT_FIELDS.map((field) => [field, (source && source[field]) || null]));
+}
+
+function runContextFromRecord(record) {
+  const payload = record.payload;
+  if (!payload || typeof payload !== "object") {
+    return null;
+  }
+
+  if (record.type === "session_meta") {
+    const git = payload.git && typeof payload.git === "object" ? payload.git : {};
+    return {
+      cwd: stringOrNull(payload.cwd),
+      gitBranch: stringOrNull(git.branch),
+      gitCommit: stringOrNull(git.commit_hash),
+      gitRepositoryUrl: stringOrNull(git.repository_url),
+      originator: stringOrNull(payload.originator),
+      cliVersion: stringOrNull(payload.cli_version)
+    };
+  }
+  if (record.type === "turn_context") {
+    return {
+      cwd: stringOrNull(payload.cwd),
+      model: stringOrNull(payload.model)
+    };
+  }
+  return null;
 }
 
 async function readSessionSignalsFromRollout(absolutePath) {
@@ -111,10 +145,12 @@ async function readSessionSignalsFromRollout(absolutePath) {
   });
 
   let scannedLines = 0;
+  let sawSessionMeta = false;
   let source = "unknown";
+  const context = pickRunContext(null);
   let hasUserMessage = false;
   let firstUserTitle = null;
-  let firstUserIsSystem = false;
+  let firstUserText = null;
   try {
     for await (const line of lineReader) {
       scannedLines += 1;
@@ -129,6 +165,9 @@ async function readSessionSignalsFromRollout(absolutePath) {
         continue;
       }
 
+      if (record.type === "session_meta") {
+        sawSessionMeta = true;
+      }
       if (
         source === "unknown" &&
         record.type === "session_meta" &&
@@ -139,16 +178,29 @@ async function readSessionSignalsFromRollout(absolutePath) {
         source = record.payload.source.trim();
       }
 
+      // The first record to mention a field wins; later turns may change
+      // model or cwd, but the session is labelled by how it started.
+      const recordContext = runContextFromRecord(record);
+      if (recordContext) {
+        for (const [field, value] of Object.entries(recordContext)) {
+          if (value && !context[field]) {
+            context[field] = value;
+          }
+        }
+      }
+
       const extracted = extractTitleFromRecord(record);
       if (extracted) {
         hasUserMessage = true;
         if (!firstUserTitle) {
           firstUserTitle = extracted;
-          firstUserIsSystem = isSystemGeneratedMessage(extracted);
+          firstUserText = systemRuleText(stripUserMessagePrefix(record.payload.message));
         }
       }
 
-      if (source !== "unknown" && firstUserTitle) {
+      // Run context comes before the first user message; a model still
+      // missing by then (older CLIs, exec runs) is not waited for.
+      if (sawSessionMeta && firstUserTitle) {
         break;
       }
     }
@@ -159,30 +211,90 @@ async function readSessionSignalsFromRollout(absolutePath) {
 
   return {
     source,
+    ...context,
     hasUserMessage,
     firstUserTitle,
-    firstUserIsSystem
+    firstUserText
   };
 }
 
-function isSystemSession(signals) {
-  if (!signals.hasUserMessage) {
-    return true;
+function emitTranscriptRecord(record, page, isSystemText) {
+  if (!record || record.type !== "response_item" || !record.payload) {
+    return;
+  }
+
+  const payload = record.payload;
+  const timestamp = record.timestamp;
+
+  if (payload.type === "message") {
+    if (payload.role !== "user" && payload.role !== "assistant") {
+      return;
+    }
+    const text = contentText(payload.content);
+    if (!text.trim()) {
+      return;
+    }
+    if (payload.role === "user" && isSystemText(text)) {
+      return;
+    }
+    page.push({
+      kind: payload.role,
+      text: payload.role === "user" ? stripUserMessagePrefix(text) : text,
+      timestamp
+    });
+    return;
+  }
+
+  if (payload.type === "function_call" || payload.type === "custom_tool_call") {
+    page.push({
+      kind: "tool_call",
+      text: payload.type === "function_call" ? payload.arguments : payload.input,
+      toolName: payload.name,
+      callId: payload.call_id,
+      timestamp
+    });
+    return;
+  }
+
+  if (payload.type === "local_shell_call") {
+    const command = payload.action && payload.action.command;
+    page.push({
+      kind: "tool_call",
+      text: Array.isArray(command) ? command.join(" ") : command,
+      toolName: "shell",
+      callId: payload.call_id,
+      timestamp
+    });
+    return;
   }
 
-  if (signals.firstUserTitle && signals.firstUserIsSystem) {
-    return true;
+  if (payload.type === "function_call_output" || payload.type === "custom_tool_call_output") {
+    const output = payload.output;
+    page.push({
+      kind: "tool_result",
+      text: output && typeof output === "object" && "content" in output ? output.content : output,
+      callId: payload.call_id,
+      timestamp
+    });
+  }
+}
+
+// Why a session is hidden from the normal listing, or null when it is not.
+function systemSessionReason(signals, systemRules) {
+  if (!signals.hasUserMessage) {
+    return "no user message";
   }
 
-  if (signals.source === "exec" || signals.source === "mcp") {
-    return true;
+  const ruleReason = systemRules.reasonFor("codex", signals.firstUserText);
+  if (ruleReason) {
+    return ruleReason;
   }
 
-  if (signals.source.startsWith("sub_agent")) {
-    return true;
+  if (signals.source === "exec" || signals.source === "mcp" || signals.source.startsWith("sub_agent")) {
+    return `source is ${signals.source}`;
   }
 
-  return false;
+  return null;
 }
 
 function fallbackTitleForThread(threadId) {
@@ -193,12 +305,17 @@ function fallbackTitleForThread(threadId) {
 }
 
 class SessionStore {
-  constructor({ codexHome }) {
+  constructor({ codexHome, metadataCachePath = null, systemRules = new SystemRules() }) {
     this.codexHome = codexHome;
+    this.systemRules = systemRules;
     this.sessionsRoot = path.join(codexHome, "sessions");
     this.archivedRoot = path.join(codexHome, "archived_sessions");
     this.globalStatePath = path.join(codexHome, ".codex-global-state.json");
-    this.titleCache = new Map();
+    this.titleCache = new MetadataCache({
+      filePath: metadataCachePath,
+      version: METADATA_CACHE_VERSION
+    });
+    this.itemIndex = new ItemIndex();
     this.desktopTitleCache = {
       version: "none",
       titles: new Map()
@@ -206,6 +323,7 @@ class SessionStore {
   }
 
   async listSessions() {
+    await this.titleCache.load();
     const desktopTitles = await this.#loadDesktopThreadTitles();
     const [active, archived] = await Promise.all([
       this.#scanRoot(this.sessionsRoot, "active", desktopTitles),
@@ -222,36 +340,28 @@ class SessionStore {
         this.titleCache.delete(cachedPath);
       }
     }
+    await this.titleCache.flush();
 
-    const items = mergedItems
+    const allItems = mergedItems
       .map(({ updatedAtEpochMs, ...item }) => item);
+    this.itemIndex.replace(allItems);
 
+    // System sessions stay out of the listing but remain addressable by id,
+    // so the hidden view can archive or trash them.
+    const items = allItems.filter((item) => !item.isSystemMessage);
     return {
       items,
+      hiddenItems: allItems.filter((item) => item.isSystemMessage),
       counts: {
         total: items.length,
-        active: active.length,
-        archived: archived.length
+        active: items.filter((item) => item.state === "active").length,
+        archived: items.filter((item) => item.state === "archived").length
       }
     };
   }
 
   async findItemsByIds(itemIds) {
-    const { items } = await this.listSessions();
-    const byId = new Map(items.map((item) => [item.itemId, item]));
-    const found = [];
-    const missing = [];
-
-    for (const itemId of itemIds) {
-      const item = byId.get(itemId);
-      if (item) {
-        found.push(item);
-      } else {
-        missing.push(itemId);
-      }
-    }
-
-    return { found, missing };
+    return this.itemIndex.findItemsByIds(itemIds, () => this.listSessions());
   }
 
   async archiveItem(item) {
@@ -268,7 +378,7 @@ class SessionStore {
     await movePath(item.absolutePath, destinationPath);
     return {
       from: item.relativePath,
-      to: normalizeRelativePath(path.relative(this.codexHome, destinationPath))
+      to: this.#reindexMovedItem(item, "archived", destinationPath)
     };
   }
 
@@ -297,10 +407,62 @@ class SessionStore {
     await movePath(item.absolutePath, destinationPath);
     return {
       from: item.relativePath,
-      to: normalizeRelativePath(path.relative(this.codexHome, destinationPath))
+      to: this.#reindexMovedItem(item, "active", destinationPath)
     };
   }
 
+  async readTranscript(item, pageOptions) {
+    const page = new TranscriptPage(pageOptions);
+    const isSystemText = (text) => this.systemRules.reasonFor("codex", systemRuleText(text)) !== null;
+    await readJsonlTranscript(item.absolutePath, page, (record) => emitTranscriptRecord(record, page, isSystemText));
+    return page.toJSON();
+  }
+
+  // Writes a title into the desktop app's thread-titles map, so Codex shows
+  // it too; an empty title removes the entry. Other state is left as is.
+  async writeThreadTitle(item, title) {
+    let parsed;
+    try {
+      parsed = JSON.parse(await fs.readFile(this.globalStatePath, "utf8"));
+    } catch (error) {
+      if (error && error.code === "ENOENT") {
+        throw new Error("Codex global state file not found");
+      }
+      throw new Error(`cannot read Codex global state: ${error.message}`);
+    }
+    if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+      throw new Error("Codex global state is not an object");
+    }
+
+    const threadTitles =
+      parsed["thread-titles"] && typeof parsed["thread-titles"] === "object" ? parsed["thread-titles"] : {};
+    const titles =
+      threadTitles.titles && typeof threadTitles.titles === "object" && !Array.isArray(threadTitles.titles)
+        ? { ...threadTitles.titles }
+        : {};
+    if (title) {
+      titles[item.threadId] = title;
+    } else {
+      delete titles[item.threadId];
+    }
+    parsed["thread-titles"] = { ...threadTitles, titles };
+
+    await writeFileAtomic(this.globalStatePath, JSON.stringify(parsed));
+  }
+
+  #reindexMovedItem(item, state, absolutePath) {
+    const relativePath = normalizeRelativePath(path.relative(this.codexHome, absolutePath));
+    this.itemIndex.delete(item.itemId);
+    this.itemIndex.set({
+      ...item,
+      itemId: encodeItemId(relativePath),
+      state,
+      absolutePath,
+      relativePath
+    });
+    return relativePath;
+  }
+
   async #scanRoot(rootPath, state, desktopTitles) {
     const files = await walkFiles(rootPath);
     const items = [];
@@ -326,24 +488,18 @@ class SessionStore {
       const relativePath = normalizeRelativePath(path.relative(this.codexHome, absolutePath));
       const updatedAtEpochMs = stats.mtimeMs || stats.ctimeMs || Date.now();
       const createdAtEpochMs = stats.birthtimeMs || stats.ctimeMs || stats.mtimeMs || Date.now();
-      const resolved = await this.#resolveItemMeta(
-        absolutePath,
-        stats.mtimeMs,
-        stats.size,
-        threadId,
-        desktopTitles
-      );
-      if (resolved.isSystemMessage) {
-        continue;
-      }
+      const resolved = await this.#resolveItemMeta(absolutePath, stats.mtimeMs, stats.size);
+      const systemReason = systemSessionReason(resolved, this.systemRules);
 
       items.push({
         itemId: encodeItemId(relativePath),
         threadId,
-        title: resolved.title,
+        title: desktopTitles.get(threadId) || resolved.firstUserTitle || fallbackTitleForThread(threadId),
         hasUserMessage: resolved.hasUserMessage,
-        isSystemMessage: resolved.isSystemMessage,
+        isSystemMessage: systemReason !== null,
+        systemReason,
         source: resolved.source,
+        ...pickRunContext(resolved),
         fileName,
         state,
         absolutePath,
@@ -358,27 +514,26 @@ class SessionStore {
     return items;
   }
 
-  async #resolveItemMeta(absolutePath, mtimeMs, sizeBytes, threadId, desktopTitles) {
+  // Desktop titles are applied at listing time, so renaming a thread in the
+  // global state does not invalidate the cached rollout signals.
+  async #resolveItemMeta(absolutePath, mtimeMs, sizeBytes) {
     const cached = this.titleCache.get(absolutePath);
-    if (
-      cached &&
-      cached.mtimeMs === mtimeMs &&
-      cached.sizeBytes === sizeBytes &&
-      cached.desktopTitleVersion === this.desktopTitleCache.version
-    ) {
+    if (cached && cached.mtimeMs === mtimeMs && cached.sizeBytes === sizeBytes) {
       return {
-        title: cached.title,
+        firstUserTitle: cached.firstUserTitle,
         hasUserMessage: cached.hasUserMessage,
-        isSystemMessage: cached.isSystemMessage,
-        source: cached.source
+        firstUserText: cached.firstUserText,
+        source: cached.source,
+        ...pickRunContext(cached)
       };
     }
 
     let signals = {
       source: "unknown",
+      ...pickRunContext(null),
       hasUserMessage: false,
       firstUserTitle: null,
-      firstUserIsSystem: false
+      firstUserText: null
     };
 
     try {
@@ -389,25 +544,22 @@ class SessionStore {
       }
     }
 
-    const desktopTitle = desktopTitles.get(threadId);
-    const title = desktopTitle || signals.firstUserTitle || fallbackTitleForThread(threadId);
-    const isSystemMessage = isSystemSession(signals);
-
     this.titleCache.set(absolutePath, {
       mtimeMs,
       sizeBytes,
-      desktopTitleVersion: this.desktopTitleCache.version,
-      title,
+      firstUserTitle: signals.firstUserTitle,
       source: signals.source,
+      ...pickRunContext(signals),
       hasUserMessage: signals.hasUserMessage,
-      isSystemMessage
+      firstUserText: signals.firstUserText
     });
 
     return {
-      title,
+      firstUserTitle: signals.firstUserTitle,
       source: signals.source,
+      ...pickRunContext(signals),
       hasUserMessage: signals.hasUserMessage,
-      isSystemMessage
+      firstUserText: signals.firstUserText
     };
   }
 
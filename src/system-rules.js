@@ -0,0 +1,201 @@
+const fs = require("node:fs/promises");
+const os = require("node:os");
+const path = require("node:path");
+const { ensureDir } = require("./fs-utils");
+
+// How much of a first user message the rules see, whitespace collapsed.
+const RULE_TEXT_MAX_LENGTH = 500;
+// How many leading user messages stores keep, so a title can skip the ones
+// the rules mark as injected.
+const RULE_CANDIDATE_COUNT = 5;
+
+// Built-in rules. Prefixes compare case-insensitively; patterns are regular
+// expressions, also case-insensitive. A rules file replaces the entry of
+// every provider it lists.
+const DEFAULT_SYSTEM_RULES = {
+  codex: {
+    prefixes: [
+      "$skill-",
+      "# agents.md instructions",
+      "<environment_context>",
+      "<permissions instructions>",
+      "<app-context>",
+      "<collaboration_mode>",
+      "<instructions>",
+      "<user_instructions>",
+      "<skill>"
+    ],
+    patterns: []
+  },
+  claude: { prefixes: [], patterns: [] },
+  gemini: { prefixes: [], patterns: [] },
+  qwen: { prefixes: [], patterns: [] }
+};
+
+function defaultSystemRulesPath() {
+  const configHome = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), ".config");
+  return path.join(configHome, "session-hub", "system-rules.json");
+}
+
+function systemRuleText(text) {
+  if (typeof text !== "string") {
+    return null;
+  }
+  const oneLine = text.replace(/\s+/g, " ").trim();
+  return oneLine ? oneLine.slice(0, RULE_TEXT_MAX_LENGTH) : null;
+}
+
+function stringList(value, label) {
+  if (value === undefined) {
+    return [];
+  }
+  if (!Array.isArray(value) || value.some((entry) => typeof entry !== "string")) {
+    throw new Error(`${label} must be an array of strings`);
+  }
+  return value.map((entry) => entry.trim()).filter(Boolean);
+}
+
+// Validates a { providerId: { prefixes, patterns } } object and returns a
+// cleaned copy; throws with the offending entry named.
+function normalizeSystemRules(rawRules) {
+  if (!rawRules || typeof rawRules !== "object" || Array.isArray(rawRules)) {
+    throw new Error("system rules must be an object keyed by provider id");
+  }
+
+  const rules = {};
+  for (const [providerId, entry] of Object.entries(rawRules)) {
+    if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+      throw new Error(`${providerId} rules must be an object with prefixes and patterns`);
+    }
+    const prefixes = stringList(entry.prefixes, `${providerId} prefixes`);
+    const patterns = stringList(entry.patterns, `${providerId} patterns`);
+    for (const pattern of patterns) {
+      try {
+        new RegExp(pattern, "i");
+      } catch (error) {
+        throw new Error(`${providerId} pattern ${pattern} is invalid: ${error.message}`);
+      }
+    }
+    rules[providerId] = { prefixes, patterns };
+  }
+  return rules;
+}
+
+function compileSystemRules(rules) {
+  const compiled = new Map();
+  for (const [providerId, entry] of Object.entries(rules)) {
+    compiled.set(providerId, {
+      prefixes: entry.prefixes.map((prefix) => ({ prefix, lowered: prefix.toLowerCase() })),
+      patterns: entry.patterns.map((pattern) => new RegExp(pattern, "i"))
+    });
+  }
+  return compiled;
+}
+
+// Decides which first user messages mark a session as system-generated,
+// from the built-in rules merged with an optional JSON rules file. The file
+// is re-read whenever it changes on disk.
+class SystemRules {
+  constructor({ filePath = null } = {}) {
+    this.filePath = filePath;
+    this.fileVersion = null;
+    this.loadError = null;
+    this.#apply({});
+  }
+
+  async load() {
+    if (!this.filePath) {
+      return;
+    }
+
+    let stats;
+    try {
+      stats = await fs.stat(this.filePath);
+    } catch (error) {
+      if (error && error.code === "ENOENT") {
+        if (this.fileVersion !== null) {
+          this.fileVersion = null;
+          this.loadError = null;
+          this.#apply({});
+        }
+        return;
+      }
+      throw error;
+    }
+
+    const version = `${stats.mtimeMs}:${stats.size}`;
+    if (version === this.fileVersion) {
+      return;
+    }
+    this.fileVersion = version;
+
+    try {
+      const raw = await fs.readFile(this.filePath, "utf8");
+      this.#apply(normalizeSystemRules(JSON.parse(raw)));
+      this.loadError = null;
+    } catch (error) {
+      // A broken file keeps the built-in rules; the editor shows why.
+      this.#apply({});
+      this.loadError = error instanceof Error ? error.message : String(error);
+    }
+  }
+
+  async save(rawRules) {
+    const rules = normalizeSystemRules(rawRules);
+    if (this.filePath) {
+      await ensureDir(path.dirname(this.filePath));
+      await fs.writeFile(this.filePath, `${JSON.stringify(rules, null, 2)}\n`, "utf8");
+      const stats = await fs.stat(this.filePath);
+      this.fileVersion = `${stats.mtimeMs}:${stats.size}`;
+    }
+    this.loadError = null;
+    this.#apply(rules);
+  }
+
+  // The reason a first user message makes its session system-generated,
+  // or null when no rule of the provider matches.
+  reasonFor(providerId, text) {
+    const entry = this.compiled.get(providerId);
+    if (!entry || !text) {
+      return null;
+    }
+
+    const lowered = text.toLowerCase();
+    const prefix = entry.prefixes.find((candidate) => lowered.startsWith(candidate.lowered));
+    if (prefix) {
+      return `first user message starts with ${prefix.prefix}`;
+    }
+    const pattern = entry.patterns.find((candidate) => candidate.test(text));
+    return pattern ? `first user message matches /${pattern.source}/` : null;
+  }
+
+  // The first of a session's leading user messages that no rule of the
+  // provider matches; titles come from it so injected text never names a
+  // session.
+  firstUnmatched(providerId, texts) {
+    return (texts || []).find((text) => text && this.reasonFor(providerId, text) === null) || null;
+  }
+
+  toJSON() {
+    return {
+      filePath: this.filePath,
+      rules: this.rules,
+      defaults: DEFAULT_SYSTEM_RULES,
+      error: this.loadError
+    };
+  }
+
+  #apply(fileRules) {
+    this.rules = { ...DEFAULT_SYSTEM_RULES, ...fileRules };
+    this.compiled = compileSystemRules(this.rules);
+  }
+}
+
+module.exports = {
+  DEFAULT_SYSTEM_RULES,
+  RULE_CANDIDATE_COUNT,
+  SystemRules,
+  defaultSystemRulesPath,
+  normalizeSystemRules,
+  systemRuleText
+};
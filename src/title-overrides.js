@@ -0,0 +1,131 @@
+const fs = require("node:fs/promises");
+const os = require("node:os");
+const path = require("node:path");
+const { ensureDir, writeFileAtomic } = require("./fs-utils");
+
+const MAX_TITLE_LENGTH = 200;
+
+function defaultTitleOverridesPath() {
+  const configHome = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), ".config");
+  return path.join(configHome, "session-hub", "titles.json");
+}
+
+// Overrides follow the thread id; sessions without one cannot keep a title.
+function hasTitleKey(item) {
+  return Boolean(item && item.threadId && item.threadId !== "unknown");
+}
+
+function cleanTitle(rawTitle) {
+  if (rawTitle === null || rawTitle === undefined) {
+    return "";
+  }
+  if (typeof rawTitle !== "string") {
+    throw new Error("title must be a string");
+  }
+  return Array.from(rawTitle.replace(/\s+/g, " ").trim()).slice(0, MAX_TITLE_LENGTH).join("");
+}
+
+// Titles the user gave sessions in Session Hub, stored as
+// { providerId: { threadId: title } } so they survive archive, unarchive and
+// trash restore (the item id may change, the thread id does not).
+class TitleOverrides {
+  constructor({ filePath = null } = {}) {
+    this.filePath = filePath;
+    this.fileVersion = null;
+    this.titles = {};
+  }
+
+  async load() {
+    if (!this.filePath) {
+      return;
+    }
+
+    let stats;
+    try {
+      stats = await fs.stat(this.filePath);
+    } catch (error) {
+      if (error && error.code === "ENOENT") {
+        this.fileVersion = null;
+        this.titles = {};
+        return;
+      }
+      throw error;
+    }
+
+    const version = `${stats.mtimeMs}:${stats.size}`;
+    if (version === this.fileVersion) {
+      return;
+    }
+    this.fileVersion = version;
+
+    let parsed = null;
+    try {
+      parsed = JSON.parse(await fs.readFile(this.filePath, "utf8"));
+    } catch {
+      // An unreadable file shows automatic titles until the next rename.
+    }
+    this.titles = {};
+    if (parsed && typeof parsed === "object" && !Array.isArray(parsed)) {
+      for (const [providerId, threads] of Object.entries(parsed)) {
+        if (!threads || typeof threads !== "object" || Array.isArray(threads)) {
+          continue;
+        }
+        for (const [threadId, title] of Object.entries(threads)) {
+          if (typeof title === "string" && title) {
+            this.titles[providerId] = this.titles[providerId] || {};
+            this.titles[providerId][threadId] = title;
+          }
+        }
+      }
+    }
+  }
+
+  get(providerId, threadId) {
+    const threads = this.titles[providerId];
+    return threads && Object.prototype.hasOwnProperty.call(threads, threadId) ? threads[threadId] : null;
+  }
+
+  // Stores a title; an empty one removes the override. Returns the title kept.
+  async set(providerId, threadId, rawTitle) {
+    const title = cleanTitle(rawTitle);
+    if (!threadId || threadId === "unknown") {
+      throw new Error("session has no thread id to keep a title for");
+    }
+    await this.load();
+
+    const threads = { ...(this.titles[providerId] || {}) };
+    if (title) {
+      threads[threadId] = title;
+    } else {
+      delete threads[threadId];
+    }
+    this.titles = { ...this.titles, [providerId]: threads };
+    if (Object.keys(threads).length === 0) {
+      delete this.titles[providerId];
+    }
+
+    if (this.filePath) {
+      await ensureDir(path.dirname(this.filePath));
+      await writeFileAtomic(this.filePath, `${JSON.stringify(this.titles, null, 2)}\n`);
+      const stats = await fs.stat(this.filePath);
+      this.fileVersion = `${stats.mtimeMs}:${stats.size}`;
+    }
+    return title || null;
+  }
+
+  // Copies of the items with overridden titles; the provider's own title
+  // stays available as autoTitle.
+  apply(items) {
+    return items.map((item) => {
+      const title = hasTitleKey(item) ? this.get(item.provider, item.threadId) : null;
+      return title ? { ...item, title, autoTitle: item.title, customTitle: true } : item;
+    });
+  }
+}
+
+module.exports = {
+  TitleOverrides,
+  cleanTitle,
+  defaultTitleOverridesPath,
+  hasTitleKey
+};
@@ -0,0 +1,174 @@
+const fsSync = require("node:fs");
+const readline = require("node:readline");
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+const MAX_TURN_TEXT_LENGTH = 20000;
+
+const TURN_KINDS = new Set(["user", "assistant", "tool_call", "tool_result"]);
+
+function parsePageParams(searchParams) {
+  const rawOffset = Number.parseInt(String(searchParams.get("offset") || "0"), 10);
+  const rawLimit = Number.parseInt(String(searchParams.get("limit") || DEFAULT_PAGE_SIZE), 10);
+
+  const offset = Number.isFinite(rawOffset) && rawOffset > 0 ? rawOffset : 0;
+  let limit = Number.isFinite(rawLimit) && rawLimit > 0 ? rawLimit : DEFAULT_PAGE_SIZE;
+  if (limit > MAX_PAGE_SIZE) {
+    limit = MAX_PAGE_SIZE;
+  }
+
+  return { offset, limit };
+}
+
+function stringifyPayload(value) {
+  if (value === undefined || value === null) {
+    return "";
+  }
+  if (typeof value === "string") {
+    return value;
+  }
+  try {
+    return JSON.stringify(value, null, 2);
+  } catch {
+    return String(value);
+  }
+}
+
+// Text of a message whose content is a string or a list of blocks; blocks
+// without text (images, tool calls) are left out.
+function contentText(content) {
+  if (typeof content === "string") {
+    return content;
+  }
+  if (!Array.isArray(content)) {
+    return "";
+  }
+  return content
+    .filter((block) => block && typeof block.text === "string" && block.text)
+    .map((block) => block.text)
+    .join("\n");
+}
+
+function clampTurnText(text) {
+  const chars = Array.from(text);
+  if (chars.length <= MAX_TURN_TEXT_LENGTH) {
+    return { text, truncated: false };
+  }
+  return {
+    text: chars.slice(0, MAX_TURN_TEXT_LENGTH).join(""),
+    truncated: true
+  };
+}
+
+function toTimestamp(value) {
+  if (typeof value === "string" && value) {
+    return value;
+  }
+  if (typeof value === "number" && Number.isFinite(value)) {
+    return new Date(value).toISOString();
+  }
+  return null;
+}
+
+// Collects turns as a parser emits them, keeping only the requested page in
+// memory so long sessions can be paged without materializing every turn.
+// With onTurn, turns in the page are handed over instead of kept.
+class TranscriptPage {
+  constructor({ offset = 0, limit = DEFAULT_PAGE_SIZE, onTurn = null } = {}) {
+    this.offset = offset;
+    this.limit = limit;
+    this.onTurn = onTurn;
+    this.total = 0;
+    this.turns = [];
+  }
+
+  push({ kind, text, timestamp, toolName, callId }) {
+    if (!TURN_KINDS.has(kind)) {
+      return;
+    }
+
+    const index = this.total;
+    this.total += 1;
+    if (index < this.offset || index >= this.offset + this.limit) {
+      return;
+    }
+
+    const clamped = clampTurnText(stringifyPayload(text));
+    const turn = {
+      index,
+      kind,
+      timestamp: toTimestamp(timestamp),
+      text: clamped.text
+    };
+    if (clamped.truncated) {
+      turn.truncated = true;
+    }
+    if (toolName) {
+      turn.toolName = String(toolName);
+    }
+    if (callId) {
+      turn.callId = String(callId);
+    }
+    if (this.onTurn) {
+      this.onTurn(turn);
+      return;
+    }
+    this.turns.push(turn);
+  }
+
+  // A tool call and, when the provider stores it alongside, its output.
+  pushToolCall({ input, output, toolName, callId, timestamp }) {
+    this.push({ kind: "tool_call", text: input, toolName, callId, timestamp });
+    if (output !== undefined && output !== null) {
+      this.push({ kind: "tool_result", text: output, callId, timestamp });
+    }
+  }
+
+  toJSON() {
+    const end = this.offset + this.turns.length;
+    return {
+      turns: this.turns,
+      total: this.total,
+      offset: this.offset,
+      limit: this.limit,
+      nextOffset: end < this.total ? end : null
+    };
+  }
+}
+
+// Feeds every record of a JSONL session file to emitRecord(record, page);
+// lines that do not parse (a write still in progress) are skipped.
+async function readJsonlTranscript(absolutePath, page, emitRecord) {
+  const input = fsSync.createReadStream(absolutePath, { encoding: "utf8" });
+  const lineReader = readline.createInterface({
+    input,
+    crlfDelay: Infinity
+  });
+
+  try {
+    for await (const line of lineReader) {
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch {
+        continue;
+      }
+      emitRecord(record, page);
+    }
+  } finally {
+    lineReader.close();
+    input.destroy();
+  }
+
+  return page;
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  TranscriptPage,
+  contentText,
+  parsePageParams,
+  readJsonlTranscript,
+  stringifyPayload
+};
@@ -49,7 +49,10 @@ class TrashStore {
       trashId,
       threadId: item.threadId,
       fileName: item.fileName,
-      originalState: item.state,
+      // A session split out of a shared file remembers the state it had
+      // there, so restore can put it back.
+      originalState: item.detachedFrom || item.state,
+      detached: Boolean(item.detachedFrom),
       originalRelativePath: item.relativePath,
       payloadRelativePath,
       sizeBytes: item.sizeBytes,
@@ -106,7 +109,7 @@ class TrashStore {
     }));
   }
 
-  async restore(trashIds) {
+  async restore(trashIds, { reattach = null } = {}) {
     const result = {
       succeeded: [],
       failed: []
@@ -114,7 +117,7 @@ class TrashStore {
 
     for (const trashId of trashIds) {
       try {
-        const restored = await this.#restoreOne(trashId);
+        const restored = await this.#restoreOne(trashId, reattach);
         result.succeeded.push(restored);
       } catch (error) {
         result.failed.push({
@@ -158,7 +161,7 @@ class TrashStore {
     };
   }
 
-  async #restoreOne(trashId) {
+  async #restoreOne(trashId, reattach) {
     const loaded = await this.#loadItem(trashId);
     if (!loaded) {
       throw new Error("trash item not found");
@@ -186,6 +189,14 @@ class TrashStore {
 
     await ensureDir(path.dirname(restoreAbsolutePath));
     await movePath(payloadAbsolutePath, restoreAbsolutePath);
+    if (metadata.detached && reattach) {
+      try {
+        await reattach(metadata, restoreAbsolutePath);
+      } catch (error) {
+        await movePath(restoreAbsolutePath, payloadAbsolutePath);
+        throw error;
+      }
+    }
     await fs.rm(itemRoot, { recursive: true, force: true });
 
     return {
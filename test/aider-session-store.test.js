@@ -0,0 +1,266 @@
+const assert = require("node:assert/strict");
+const fs = require("node:fs/promises");
+const os = require("node:os");
+const path = require("node:path");
+const test = require("node:test");
+const {
+  AiderSessionStore,
+  parseInputHistory,
+  splitChatHistory
+} = require("../src/aider-session-store");
+const { TrashStore } = require("../src/trash-store");
+
+async function createTempDir() {
+  return fs.mkdtemp(path.join(os.tmpdir(), "session-hub-aider-"));
+}
+
+const CHAT_HISTORY = [
+  "",
+  "# aider chat started at 2025-03-01 09:00:00",
+  "",
+  "> Aider v0.75.0",
+  "> Added app.py to the chat.",
+  "",
+  "#### Add a health check endpoint",
+  "",
+  "Here is the endpoint you asked for.",
+  "",
+  "# aider chat started at 2025-03-02 14:30:00",
+  "",
+  "#### Rename the config loader",
+  "#### and update imports",
+  "",
+  "Done.",
+  "",
+  "#### Thanks",
+  ""
+].join("\n");
+
+const INPUT_HISTORY = [
+  "",
+  "# 2025-03-01 09:00:05.123456",
+  "+Add a health check endpoint",
+  "",
+  "# 2025-03-02 14:31:00.000000",
+  "+Rename the config loader",
+  "+and update imports",
+  "",
+  "# 2025-03-02 14:40:00.000000",
+  "+Thanks",
+  ""
+].join("\n");
+
+async function createProject(root, name) {
+  const projectPath = path.join(root, name);
+  await fs.mkdir(projectPath, { recursive: true });
+  await fs.writeFile(path.join(projectPath, ".aider.chat.history.md"), CHAT_HISTORY, "utf8");
+  await fs.writeFile(path.join(projectPath, ".aider.input.history"), INPUT_HISTORY, "utf8");
+  return projectPath;
+}
+
+test("splitChatHistory keeps segment text exact", () => {
+  const { preamble, segments } = splitChatHistory(CHAT_HISTORY);
+  assert.equal(preamble, "\n");
+  assert.deepEqual(segments.map((segment) => segment.sessionKey), [
+    "2025-03-01 09:00:00",
+    "2025-03-02 14:30:00"
+  ]);
+  assert.equal(preamble + segments.map((segment) => segment.text).join(""), CHAT_HISTORY);
+});
+
+test("splitChatHistory disambiguates sessions started in the same second", () => {
+  const text = "# aider chat started at 2025-03-01 09:00:00\n\n# aider chat started at 2025-03-01 09:00:00\n";
+  const { segments } = splitChatHistory(text);
+  assert.deepEqual(segments.map((segment) => segment.sessionKey), [
+    "2025-03-01 09:00:00",
+    "2025-03-01 09:00:00#2"
+  ]);
+});
+
+test("parseInputHistory joins multi-line entries", () => {
+  const entries = parseInputHistory(INPUT_HISTORY);
+  assert.equal(entries.length, 3);
+  assert.equal(entries[1].at, "2025-03-02 14:31:00");
+  assert.equal(entries[1].text, "Rename the config loader\nand update imports");
+});
+
+test("listSessions discovers projects under roots and splits sessions", async () => {
+  const root = await createTempDir();
+  const projectPath = await createProject(path.join(root, "work"), "api");
+  await fs.mkdir(path.join(root, "node_modules", "pkg"), { recursive: true });
+  await fs.writeFile(path.join(root, "node_modules", "pkg", ".aider.chat.history.md"), CHAT_HISTORY);
+
+  const store = new AiderSessionStore({ projectRoots: [root] });
+  const result = await store.listSessions();
+
+  assert.equal(result.counts.total, 2);
+  assert.equal(result.counts.active, 2);
+  for (const item of result.items) {
+    assert.equal(item.projectPath, projectPath);
+    assert.equal(item.projectName, "api");
+    assert.equal(item.relativePath, ".aider.chat.history.md");
+  }
+
+  const first = result.items.find((item) => item.sessionKey === "2025-03-01 09:00:00");
+  const second = result.items.find((item) => item.sessionKey === "2025-03-02 14:30:00");
+  assert.equal(first.title, "Add a health check endpoint");
+  assert.equal(first.messageCount, 1);
+  assert.equal(second.title, "Rename the config loader and update imports");
+  assert.equal(second.messageCount, 2);
+  assert.notEqual(first.itemId, second.itemId);
+});
+
+test("sessions started in the same second in two projects get their own thread ids", async () => {
+  const root = await createTempDir();
+  const apiPath = await createProject(root, "api");
+  const webPath = await createProject(root, "web");
+  const store = new AiderSessionStore({ projectRoots: [root] });
+
+  const { items } = await store.listSessions();
+  const matching = items.filter((item) => item.sessionKey === "2025-03-01 09:00:00");
+  assert.deepEqual(
+    matching.map((item) => item.threadId).sort(),
+    [`${apiPath}#2025-03-01 09:00:00`, `${webPath}#2025-03-01 09:00:00`]
+  );
+});
+
+test("discovered projects are reused until the discovery window expires", async () => {
+  const root = await createTempDir();
+  await createProject(root, "api");
+
+  const cached = new AiderSessionStore({ projectRoots: [root] });
+  const uncached = new AiderSessionStore({ projectRoots: [root], discoveryTtlMs: 0 });
+  await cached.listSessions();
+  await uncached.listSessions();
+
+  await createProject(root, "web");
+  assert.equal((await cached.listSessions()).counts.total, 2);
+  assert.equal((await uncached.listSessions()).counts.total, 4);
+});
+
+test("archiveItem and unarchiveItem move a session out of and back into history", async () => {
+  const root = await createTempDir();
+  const projectPath = await createProject(root, "api");
+  const historyPath = path.join(projectPath, ".aider.chat.history.md");
+  const store = new AiderSessionStore({ projectRoots: [root] });
+
+  const { items } = await store.listSessions();
+  const first = items.find((item) => item.sessionKey === "2025-03-01 09:00:00");
+
+  const archived = await store.archiveItem(first);
+  assert.equal(archived.to, ".aider.archived_sessions/aider-chat-2025-03-01-09-00-00.md");
+  assert.doesNotMatch(await fs.readFile(historyPath, "utf8"), /2025-03-01 09:00:00/);
+
+  const afterArchive = await store.listSessions();
+  assert.equal(afterArchive.counts.archived, 1);
+  const archivedItem = afterArchive.items.find((item) => item.state === "archived");
+  assert.equal(archivedItem.itemId, first.itemId);
+  assert.equal(archivedItem.title, "Add a health check endpoint");
+
+  const { found } = await store.findItemsByIds([first.itemId]);
+  await store.unarchiveItem(found[0]);
+
+  assert.equal(await fs.readFile(historyPath, "utf8"), CHAT_HISTORY);
+  const afterRestore = await store.listSessions();
+  assert.equal(afterRestore.counts.active, 2);
+  assert.equal(afterRestore.counts.archived, 0);
+});
+
+test("a repeated header keeps its own key once archived", async () => {
+  const root = await createTempDir();
+  const projectPath = path.join(root, "api");
+  await fs.mkdir(projectPath, { recursive: true });
+  const historyPath = path.join(projectPath, ".aider.chat.history.md");
+  const history = [
+    "# aider chat started at 2025-03-01 09:00:00",
+    "#### First run",
+    "# aider chat started at 2025-03-01 09:00:00",
+    "#### Second run",
+    ""
+  ].join("\n");
+  await fs.writeFile(historyPath, history, "utf8");
+  const store = new AiderSessionStore({ projectRoots: [root] });
+
+  const { items } = await store.listSessions();
+  const second = items.find((item) => item.sessionKey === "2025-03-01 09:00:00#2");
+  await store.archiveItem(second);
+
+  const afterArchive = await store.listSessions();
+  const archived = afterArchive.items.find((item) => item.state === "archived");
+  assert.equal(archived.itemId, second.itemId);
+  assert.equal(archived.title, "Second run");
+  assert.equal(new Set(afterArchive.items.map((item) => item.itemId)).size, 2);
+
+  await store.unarchiveItem(archived);
+  assert.equal(await fs.readFile(historyPath, "utf8"), history);
+});
+
+test("detachItem lets TrashStore trash a single session", async () => {
+  const root = await createTempDir();
+  const trashRoot = await createTempDir();
+  const projectPath = await createProject(root, "api");
+  const store = new AiderSessionStore({ projectRoots: [root] });
+  const trashStore = new TrashStore({ codexHome: root, trashRoot, retentionDays: 30 });
+
+  const { items } = await store.listSessions();
+  const second = items.find((item) => item.sessionKey === "2025-03-02 14:30:00");
+  const detached = await store.detachItem(second);
+  const metadata = await trashStore.trashSessionItem(detached, projectPath);
+
+  assert.equal(metadata.provider, "aider");
+  assert.equal(metadata.homeRoot, projectPath);
+  const remaining = await store.listSessions();
+  assert.deepEqual(remaining.items.map((item) => item.sessionKey), ["2025-03-01 09:00:00"]);
+
+  assert.equal(metadata.originalState, "active");
+
+  const restored = await trashStore.restore([metadata.trashId], {
+    reattach: (restoredMetadata, absolutePath) => store.reattachItem(restoredMetadata, absolutePath)
+  });
+  assert.equal(restored.failed.length, 0);
+  const afterRestore = await store.listSessions();
+  const back = afterRestore.items.find((item) => item.sessionKey === "2025-03-02 14:30:00");
+  assert.equal(back.state, "active");
+  assert.equal(back.itemId, second.itemId);
+  assert.equal(afterRestore.counts.archived, 0);
+  assert.equal(await fs.readFile(path.join(projectPath, ".aider.chat.history.md"), "utf8"), CHAT_HISTORY);
+});
+
+test("trashing an archived session restores it as archived", async () => {
+  const root = await createTempDir();
+  const trashRoot = await createTempDir();
+  const projectPath = await createProject(root, "api");
+  const store = new AiderSessionStore({ projectRoots: [root] });
+  const trashStore = new TrashStore({ codexHome: root, trashRoot, retentionDays: 30 });
+
+  const { items } = await store.listSessions();
+  const first = items.find((item) => item.sessionKey === "2025-03-01 09:00:00");
+  await store.archiveItem(first);
+  const [archived] = (await store.listSessions()).items.filter((item) => item.state === "archived");
+  const metadata = await trashStore.trashSessionItem(await store.detachItem(archived), projectPath);
+  assert.equal(metadata.originalState, "archived");
+
+  await trashStore.restore([metadata.trashId], {
+    reattach: (restoredMetadata, absolutePath) => store.reattachItem(restoredMetadata, absolutePath)
+  });
+  const back = (await store.listSessions()).items.find((item) => item.itemId === first.itemId);
+  assert.equal(back.state, "archived");
+});
+
+test("readTranscript returns the turns of one session", async () => {
+  const root = await createTempDir();
+  await createProject(root, "api");
+  const store = new AiderSessionStore({ projectRoots: [root] });
+  const { items } = await store.listSessions();
+  const first = items.find((item) => item.sessionKey === "2025-03-01 09:00:00");
+
+  const page = await store.readTranscript(first, { offset: 0, limit: 10 });
+  assert.deepEqual(
+    page.turns.map((turn) => [turn.kind, turn.text]),
+    [
+      ["tool_result", "Aider v0.75.0\nAdded app.py to the chat."],
+      ["user", "Add a health check endpoint"],
+      ["assistant", "Here is the endpoint you asked for."]
+    ]
+  );
+});
@@ -7,8 +7,10 @@ const {
   ClaudeSessionStore,
   encodeClaudeItemId,
   decodeClaudeItemId,
-  isClaudeItemId
+  isClaudeItemId,
+  resolveProjectDirName
 } = require("../src/claude-session-store");
+const { SystemRules } = require("../src/system-rules");
 
 async function createTempDir() {
   return fs.mkdtemp(path.join(os.tmpdir(), "session-hub-claude-"));
@@ -160,6 +162,160 @@ test("listSessions falls back to Untitled for empty sessions", async () => {
   await fs.rm(claudeHome, { recursive: true, force: true });
 });
 
+test("project path comes from the cwd recorded in the session", async () => {
+  const claudeHome = await createTempDir();
+  const projectDir = path.join(claudeHome, "projects", "-home-me-my-service");
+  await writeClaudeSession(projectDir, "sess-cwd", [
+    JSON.stringify({ type: "summary", summary: "x" }),
+    userLine("sess-cwd", "Deploy", { cwd: "/home/me/my-service" })
+  ]);
+
+  const store = new ClaudeSessionStore({ claudeHome });
+  const result = await store.listSessions();
+  assert.equal(result.items[0].projectName, "/home/me/my-service");
+
+  await fs.rm(claudeHome, { recursive: true, force: true });
+});
+
+test("project folders without a cwd resolve to the directory that exists", async () => {
+  const root = await fs.realpath(await createTempDir());
+  const realProject = path.join(root, "my-service.v2", "api_server");
+  await fs.mkdir(realProject, { recursive: true });
+  await fs.mkdir(path.join(root, "my"), { recursive: true });
+  const dirName = realProject.replace(/[^a-zA-Z0-9]/g, "-");
+
+  assert.equal(await resolveProjectDirName(dirName), realProject);
+  assert.equal(await resolveProjectDirName(`${dirName}-missing`), null);
+  assert.equal(await resolveProjectDirName("C--Users-me"), null);
+  assert.equal(await resolveProjectDirName(dirName, { maxProbes: 2 }), null);
+
+  const claudeHome = path.join(root, "claude");
+  await writeClaudeSession(path.join(claudeHome, "projects", dirName), "sess-disk", [
+    userLine("sess-disk", "No cwd here")
+  ]);
+  const store = new ClaudeSessionStore({ claudeHome });
+  const result = await store.listSessions();
+  assert.equal(result.items[0].projectName, realProject);
+
+  await fs.rm(root, { recursive: true, force: true });
+});
+
+test("titles come from summaries, content blocks and skip command wrappers", async () => {
+  const claudeHome = await createTempDir();
+  const projectDir = path.join(claudeHome, "projects", "-Users-test-titles");
+
+  await writeClaudeSession(projectDir, "sess-summary", [
+    JSON.stringify({ type: "summary", summary: "Fix flaky login test", leafUuid: "u1" }),
+    userLine("sess-summary", "hi")
+  ]);
+  await writeClaudeSession(projectDir, "sess-blocks", [
+    userLine("sess-blocks", "Caveat: The messages below were generated by the user while running local commands.", {
+      isMeta: true
+    }),
+    userLine("sess-blocks", "<command-name>/clear</command-name>\n<command-message>clear</command-message>"),
+    userLine("sess-blocks", "<local-command-stdout></local-command-stdout>"),
+    userLine("sess-blocks", [
+      { type: "text", text: "Add pagination to the orders API" },
+      { type: "image", source: {} }
+    ])
+  ]);
+  await writeClaudeSession(projectDir, "sess-command", [
+    userLine("sess-command", "<command-name>/review</command-name>\n<command-args>PR 12</command-args>"),
+    userLine("sess-command", [{ type: "tool_result", tool_use_id: "t1", content: "ok" }])
+  ]);
+
+  const store = new ClaudeSessionStore({ claudeHome });
+  const result = await store.listSessions();
+  const titles = Object.fromEntries(result.items.map((item) => [item.threadId, item.title]));
+  assert.deepEqual(titles, {
+    "sess-summary": "Fix flaky login test",
+    "sess-blocks": "Add pagination to the orders API",
+    "sess-command": "/review PR 12"
+  });
+
+  await fs.rm(claudeHome, { recursive: true, force: true });
+});
+
+test("message counts cover the whole file and keep subagent records apart", async () => {
+  const claudeHome = await createTempDir();
+  const projectDir = path.join(claudeHome, "projects", "-Users-test-counts");
+  const lines = [];
+  for (let turn = 0; turn < 40; turn += 1) {
+    lines.push(userLine("sess-long", `Question ${turn}`));
+    const blocks = [
+      { type: "text", text: "Let me check." },
+      { type: "tool_use", id: `t${turn}`, name: "Read", input: {} }
+    ];
+    for (const block of blocks) {
+      lines.push(
+        JSON.stringify({ type: "assistant", message: { id: `msg-${turn}`, role: "assistant", content: [block] } })
+      );
+    }
+    lines.push(userLine("sess-long", [{ type: "tool_result", tool_use_id: `t${turn}`, content: "file" }]));
+  }
+  lines.push(userLine("sess-long", "Investigate the cache", { isSidechain: true }));
+  lines.push(JSON.stringify({ type: "assistant", isSidechain: true, message: { id: "side", content: [] } }));
+  await writeClaudeSession(projectDir, "sess-long", lines);
+
+  const store = new ClaudeSessionStore({ claudeHome });
+  const [item] = (await store.listSessions()).items;
+  assert.equal(item.userMessageCount, 40);
+  assert.equal(item.assistantMessageCount, 40);
+  assert.equal(item.toolCallCount, 40);
+  assert.equal(item.sidechainMessageCount, 2);
+  assert.equal(item.messageCount, 80);
+
+  await fs.rm(claudeHome, { recursive: true, force: true });
+});
+
+test("sessions whose first user message matches a detection rule are hidden", async () => {
+  const claudeHome = await createTempDir();
+  const projectDir = path.join(claudeHome, "projects", "-work-api");
+  await writeClaudeSession(projectDir, "ci-run", [
+    userLine("ci-run", "<command-name>/review</command-name>"),
+    userLine("ci-run", "[CI] Review the pull request diff"),
+    assistantLine("ci-run")
+  ]);
+  await writeClaudeSession(projectDir, "manual", [userLine("manual", "Refactor the router"), assistantLine("manual")]);
+
+  const systemRules = new SystemRules();
+  await systemRules.save({ claude: { prefixes: ["[ci]"], patterns: [] } });
+  const store = new ClaudeSessionStore({ claudeHome, systemRules });
+  const result = await store.listSessions();
+
+  assert.deepEqual(result.items.map((item) => item.threadId), ["manual"]);
+  assert.equal(result.counts.total, 1);
+  assert.deepEqual(result.hiddenItems.map((item) => [item.threadId, item.systemReason]), [
+    ["ci-run", "first user message starts with [ci]"]
+  ]);
+
+  await systemRules.save({});
+  assert.equal((await store.listSessions()).items.length, 2);
+
+  await fs.rm(claudeHome, { recursive: true, force: true });
+});
+
+test("titles skip the leading user messages a detection rule matches", async () => {
+  const claudeHome = await createTempDir();
+  const projectDir = path.join(claudeHome, "projects", "-work-api");
+  await writeClaudeSession(projectDir, "wrapped", [
+    userLine("wrapped", "<team-context>\nrepo: api\nowner: platform\n</team-context>"),
+    userLine("wrapped", "Fix the login redirect"),
+    assistantLine("wrapped")
+  ]);
+
+  const systemRules = new SystemRules();
+  const store = new ClaudeSessionStore({ claudeHome, systemRules });
+  assert.equal((await store.listSessions()).items[0].title, "<team-context> repo: api owner: platform </team-context>");
+
+  await systemRules.save({ claude: { prefixes: ["<team-context>"], patterns: [] } });
+  const result = await store.listSessions();
+  assert.equal(result.hiddenItems[0].title, "Fix the login redirect");
+  assert.equal(result.hiddenItems[0].systemReason, "first user message starts with <team-context>");
+
+  await fs.rm(claudeHome, { recursive: true, force: true });
+});
+
 test("listSessions discovers sessions from multiple projects", async () => {
   const claudeHome = await createTempDir();
   const projA = path.join(claudeHome, "projects", "-Users-test-projA");
@@ -291,3 +447,49 @@ test("listSessions merges active and archived Claude sessions", async () => {
 
   await fs.rm(claudeHome, { recursive: true, force: true });
 });
+
+test("readTranscript splits content blocks into turns", async () => {
+  const claudeHome = await createTempDir();
+  const projectDir = path.join(claudeHome, "projects", "-Users-test-proj");
+
+  await writeClaudeSession(projectDir, "sess-transcript", [
+    userLine("sess-transcript", "Read the config"),
+    JSON.stringify({
+      type: "assistant",
+      sessionId: "sess-transcript",
+      message: {
+        role: "assistant",
+        content: [
+          { type: "text", text: "Reading it now." },
+          { type: "tool_use", id: "toolu_1", name: "Read", input: { file_path: "config.json" } }
+        ]
+      },
+      timestamp: new Date().toISOString()
+    }),
+    userLine("sess-transcript", [
+      { type: "tool_result", tool_use_id: "toolu_1", content: [{ type: "text", text: "{}" }] }
+    ]),
+    assistantLine("sess-transcript")
+  ]);
+
+  const store = new ClaudeSessionStore({ claudeHome });
+  const [item] = (await store.listSessions()).items;
+
+  const firstPage = await store.readTranscript(item, { offset: 0, limit: 3 });
+  assert.equal(firstPage.total, 5);
+  assert.deepEqual(
+    firstPage.turns.map((turn) => turn.kind),
+    ["user", "assistant", "tool_call"]
+  );
+  assert.equal(firstPage.turns[2].toolName, "Read");
+  assert.equal(firstPage.nextOffset, 3);
+
+  const secondPage = await store.readTranscript(item, { offset: 3, limit: 3 });
+  assert.deepEqual(
+    secondPage.turns.map((turn) => [turn.index, turn.kind, turn.text]),
+    [[3, "tool_result", "{}"], [4, "assistant", "Sure."]]
+  );
+  assert.equal(secondPage.nextOffset, null);
+
+  await fs.rm(claudeHome, { recursive: true, force: true });
+});
@@ -1,7 +1,9 @@
 const assert = require("node:assert/strict");
+const fs = require("node:fs/promises");
+const os = require("node:os");
 const path = require("node:path");
 const test = require("node:test");
-const { isPathInsideRoot, resolvePathWithinRoot } = require("../src/fs-utils");
+const { isPathInsideRoot, resolvePathWithinRoot, writeFileAtomic } = require("../src/fs-utils");
 
 test("isPathInsideRoot blocks sibling path with shared prefix", () => {
   const projectRoot = path.resolve(__dirname, "..");
@@ -23,3 +25,15 @@ test("resolvePathWithinRoot rejects escaping relative paths", () => {
   const safePath = resolvePathWithinRoot(root, "nested/file.txt", "test path");
   assert.equal(safePath, path.join(root, "nested/file.txt"));
 });
+
+test("writeFileAtomic keeps concurrent writes whole and leaves no temp files", async () => {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), "session-hub-fs-"));
+  const filePath = path.join(root, "state.json");
+  const contents = ["a", "b", "c", "d"].map((letter) => letter.repeat(64 * 1024));
+
+  await Promise.all(contents.map((content) => writeFileAtomic(filePath, content)));
+  assert.ok(contents.includes(await fs.readFile(filePath, "utf8")));
+  assert.deepEqual(await fs.readdir(root), ["state.json"]);
+
+  await fs.rm(root, { recursive: true, force: true });
+});
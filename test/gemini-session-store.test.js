@@ -9,6 +9,8 @@ const {
   decodeGeminiItemId,
   isGeminiItemId
 } = require("../src/gemini-session-store");
+const { encodeProviderItemId } = require("../src/provider-registry");
+const { SystemRules } = require("../src/system-rules");
 
 async function createTempDir() {
   return fs.mkdtemp(path.join(os.tmpdir(), "session-hub-gemini-"));
@@ -282,3 +284,171 @@ test("listSessions falls back to first user message when no summary", async () =
 
   await fs.rm(geminiHome, { recursive: true, force: true });
 });
+
+test("listSessions skips empty and attachment-only user messages for the title", async () => {
+  const geminiHome = await createTempDir();
+  const chatsDir = path.join(geminiHome, "tmp", "hash1", "chats");
+
+  await writeGeminiSession(chatsDir, "session-2025-10-21T08-53-abc123.json", makeGeminiSession({
+    sessionId: "sess-attachment",
+    projectHash: "hash1",
+    messages: [
+      { type: "user", content: "   " },
+      { type: "user", content: [{ inlineData: { mimeType: "image/png", data: "iVBORw0KGgo=" } }] },
+      { content: "Explain this screenshot", type: "user" }
+    ]
+  }));
+
+  const store = new GeminiSessionStore({ geminiHome });
+  const result = await store.listSessions();
+
+  assert.equal(result.items[0].title, "Explain this screenshot");
+  assert.equal(result.items[0].messageCount, 3);
+
+  await fs.rm(geminiHome, { recursive: true, force: true });
+});
+
+test("listSessions falls back to the file time when lastUpdated is missing or invalid", async () => {
+  const geminiHome = await createTempDir();
+  const chatsDir = path.join(geminiHome, "tmp", "abc123", "chats");
+  const mtime = new Date("2025-06-01T12:00:00.000Z");
+  for (const [fileName, lastUpdated] of [["session-missing.json", undefined], ["session-bad.json", "not a date"]]) {
+    const filePath = await writeGeminiSession(chatsDir, fileName, JSON.stringify({
+      sessionId: fileName,
+      startTime: "yesterday-ish",
+      ...(lastUpdated ? { lastUpdated } : {}),
+      messages: [{ type: "user", content: "hello" }]
+    }));
+    await fs.utimes(filePath, mtime, mtime);
+  }
+
+  const store = new GeminiSessionStore({ geminiHome });
+  const result = await store.listSessions();
+
+  assert.equal(result.items.length, 2);
+  for (const item of result.items) {
+    assert.equal(item.updatedAt, mtime.toISOString());
+    assert.ok(Number.isFinite(Date.parse(item.createdAt)));
+  }
+});
+
+test("listSessions reads metadata from large chat files without a summary", async () => {
+  const geminiHome = await createTempDir();
+  const chatsDir = path.join(geminiHome, "tmp", "hash1", "chats");
+  const toolOutput = "line of tool output\n".repeat(20000);
+
+  await writeGeminiSession(chatsDir, "session-2025-10-21T08-53-abc123.json", JSON.stringify({
+    sessionId: "sess-large",
+    projectHash: "hash1",
+    startTime: "2025-10-21T08:53:00.000Z",
+    messages: [
+      { type: "info", content: "Session started" },
+      { content: [{ text: "Trace the \"slow\" query" }], type: "user" },
+      { type: "gemini", content: "Looking", toolCalls: [{ name: "run_shell_command", result: toolOutput }] },
+      { type: "user", content: "Second question" }
+    ],
+    lastUpdated: "2025-10-21T09:10:00.000Z"
+  }, null, 2));
+
+  const store = new GeminiSessionStore({ geminiHome });
+  const [item] = (await store.listSessions()).items;
+
+  assert.equal(item.threadId, "sess-large");
+  assert.equal(item.title, "Trace the \"slow\" query");
+  assert.equal(item.messageCount, 4);
+  assert.equal(item.createdAt, "2025-10-21T08:53:00.000Z");
+  assert.equal(item.updatedAt, "2025-10-21T09:10:00.000Z");
+
+  await fs.rm(geminiHome, { recursive: true, force: true });
+});
+
+test("detection rules hide sessions per provider id", async () => {
+  const qwenHome = await createTempDir();
+  const chatsDir = path.join(qwenHome, "tmp", "hash1", "chats");
+  await writeGeminiSession(chatsDir, "session-2025-10-21T08-53-abc123.json", makeGeminiSession({
+    sessionId: "sess-bot",
+    projectHash: "hash1",
+    messages: [
+      { type: "user", content: "Nightly run 2025-10-21: update the changelog" },
+      { type: "user", content: "Also bump the version" }
+    ]
+  }));
+
+  const systemRules = new SystemRules();
+  await systemRules.save({ qwen: { prefixes: [], patterns: ["^nightly run \\d{4}"] } });
+  const store = new GeminiSessionStore({ geminiHome: qwenHome, providerId: "qwen", systemRules });
+  const result = await store.listSessions();
+
+  assert.equal(result.items.length, 0);
+  assert.equal(result.hiddenItems[0].systemReason, "first user message matches /^nightly run \\d{4}/");
+  assert.equal(result.hiddenItems[0].title, "Also bump the version");
+
+  await fs.rm(qwenHome, { recursive: true, force: true });
+});
+
+test("readTranscript emits tool calls and results from gemini messages", async () => {
+  const geminiHome = await createTempDir();
+  const chatsDir = path.join(geminiHome, "tmp", "hash1", "chats");
+
+  await writeGeminiSession(chatsDir, "session-2025-10-21T08-53-abc123.json", makeGeminiSession({
+    sessionId: "sess-transcript",
+    projectHash: "hash1",
+    messages: [
+      { type: "info", content: "Logged in" },
+      { type: "user", content: "Check git status", timestamp: "2025-10-21T08:53:00.000Z" },
+      {
+        type: "gemini",
+        content: "Working tree is clean.",
+        toolCalls: [
+          { id: "tool-1", name: "run_shell_command", args: { command: "git status" }, resultDisplay: "nothing to commit" }
+        ]
+      }
+    ]
+  }));
+
+  const store = new GeminiSessionStore({ geminiHome });
+  const [item] = (await store.listSessions()).items;
+  const transcript = await store.readTranscript(item, { offset: 0, limit: 10 });
+
+  assert.equal(transcript.total, 4);
+  assert.deepEqual(
+    transcript.turns.map((turn) => turn.kind),
+    ["user", "assistant", "tool_call", "tool_result"]
+  );
+  assert.equal(transcript.turns[0].timestamp, "2025-10-21T08:53:00.000Z");
+  assert.equal(transcript.turns[2].toolName, "run_shell_command");
+  assert.match(transcript.turns[2].text, /git status/);
+  assert.equal(transcript.turns[3].text, "nothing to commit");
+
+  await fs.rm(geminiHome, { recursive: true, force: true });
+});
+
+test("a providerId scopes item ids and provider for Gemini-format forks", async () => {
+  const qwenHome = await createTempDir();
+  const chatsDir = path.join(qwenHome, "tmp", "hash1", "chats");
+
+  await writeGeminiSession(chatsDir, "session-2025-10-21T08-53-abc123.json", makeGeminiSession({
+    sessionId: "sess-qwen",
+    projectHash: "hash1",
+    messages: [
+      { type: "user", content: "Explain the build" },
+      { type: "qwen", content: "It runs node --test." }
+    ]
+  }));
+
+  const store = new GeminiSessionStore({ geminiHome: qwenHome, providerId: "qwen" });
+  const [item] = (await store.listSessions()).items;
+
+  assert.equal(item.provider, "qwen");
+  assert.equal(item.itemId, encodeProviderItemId("qwen", "sess-qwen"));
+  assert.equal(isGeminiItemId(item.itemId), false);
+  assert.equal(item.title, "Explain the build");
+
+  const { found } = await store.findItemsByIds([item.itemId]);
+  assert.equal(found.length, 1);
+
+  const transcript = await store.readTranscript(item, { offset: 0, limit: 10 });
+  assert.deepEqual(transcript.turns.map((turn) => turn.kind), ["user", "assistant"]);
+
+  await fs.rm(qwenHome, { recursive: true, force: true });
+});
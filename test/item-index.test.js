@@ -0,0 +1,50 @@
+const assert = require("node:assert/strict");
+const fs = require("node:fs/promises");
+const os = require("node:os");
+const path = require("node:path");
+const test = require("node:test");
+const { ItemIndex } = require("../src/item-index");
+
+async function createTempDir() {
+  return fs.mkdtemp(path.join(os.tmpdir(), "session-hub-index-"));
+}
+
+test("findItemsByIds keeps request order and rescans once for unknown ids", async () => {
+  const root = await createTempDir();
+  const firstPath = path.join(root, "first.jsonl");
+  const secondPath = path.join(root, "second.jsonl");
+  await fs.writeFile(firstPath, "{}\n", "utf8");
+  await fs.writeFile(secondPath, "{}\n", "utf8");
+
+  const index = new ItemIndex();
+  index.replace([{ itemId: "first", absolutePath: firstPath, sizeBytes: 120 }]);
+
+  let rescans = 0;
+  const result = await index.findItemsByIds(["second", "first", "ghost"], async () => {
+    rescans += 1;
+    index.replace([
+      { itemId: "first", absolutePath: firstPath, sizeBytes: 120 },
+      { itemId: "second", absolutePath: secondPath }
+    ]);
+  });
+
+  assert.equal(rescans, 1);
+  assert.deepEqual(result.found.map((item) => item.itemId), ["second", "first"]);
+  assert.deepEqual(result.missing, ["ghost"]);
+  // The store's size is kept; the file is only checked for existence.
+  assert.equal(result.found[1].sizeBytes, 120);
+
+  await fs.rm(root, { recursive: true, force: true });
+});
+
+test("findItemsByIds drops entries whose file disappeared", async () => {
+  const root = await createTempDir();
+  const index = new ItemIndex();
+  index.replace([{ itemId: "gone", absolutePath: path.join(root, "gone.jsonl") }]);
+
+  const result = await index.findItemsByIds(["gone"], async () => {});
+  assert.deepEqual(result.missing, ["gone"]);
+  assert.equal(index.items.has("gone"), false);
+
+  await fs.rm(root, { recursive: true, force: true });
+});
@@ -0,0 +1,68 @@
+const assert = require("node:assert/strict");
+const fs = require("node:fs/promises");
+const os = require("node:os");
+const path = require("node:path");
+const test = require("node:test");
+const { JsonPathScanner, scanJsonFile } = require("../src/json-stream");
+
+function scanInChunks(text, chunkSize, want) {
+  const values = [];
+  const scanner = new JsonPathScanner({
+    want,
+    onValue: (keyPath, value) => values.push([keyPath.join("."), value])
+  });
+  for (let index = 0; index < text.length; index += chunkSize) {
+    scanner.write(text.slice(index, index + chunkSize));
+  }
+  scanner.end();
+  return values;
+}
+
+test("JsonPathScanner reports only the values it is asked for, across chunk boundaries", () => {
+  const text = JSON.stringify({
+    "id\"quoted": "a\\b \"c\" ✓",
+    count: -12.5e3,
+    flags: [true, null, { nested: "skip me" }],
+    messages: [
+      { type: "gemini", content: "x".repeat(500) },
+      { type: "user", content: [{ text: "hello" }] }
+    ]
+  }, null, 2);
+
+  const want = (keyPath) =>
+    keyPath.length === 1 ? keyPath[0] !== "messages" : keyPath.length === 2 && keyPath[0] === "messages" && keyPath[1] === 1;
+  const expected = [
+    ["id\"quoted", "a\\b \"c\" ✓"],
+    ["count", -12500],
+    ["flags", [true, null, { nested: "skip me" }]],
+    ["messages.1", { type: "user", content: [{ text: "hello" }] }]
+  ];
+
+  for (const chunkSize of [1, 2, 5, 64, text.length]) {
+    assert.deepEqual(scanInChunks(text, chunkSize, want), expected, `chunk size ${chunkSize}`);
+  }
+});
+
+test("JsonPathScanner passes array indexes in paths and tolerates truncated input", () => {
+  const values = scanInChunks('{"items": [10, 20, {"name": "third"}], "tail": "cut', 4, (keyPath) => keyPath.length === 2);
+  assert.deepEqual(values, [
+    ["items.0", 10],
+    ["items.1", 20],
+    ["items.2", { name: "third" }]
+  ]);
+});
+
+test("scanJsonFile streams a file through the scanner", async () => {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "session-hub-json-stream-"));
+  const filePath = path.join(tempDir, "doc.json");
+  await fs.writeFile(filePath, JSON.stringify({ sessionId: "s-1", messages: [{ type: "user" }] }), "utf8");
+
+  const seen = [];
+  await scanJsonFile(filePath, {
+    want: (keyPath) => keyPath.length === 1 && keyPath[0] === "sessionId",
+    onValue: (keyPath, value) => seen.push(value)
+  });
+  assert.deepEqual(seen, ["s-1"]);
+
+  await fs.rm(tempDir, { recursive: true, force: true });
+});
@@ -0,0 +1,69 @@
+const assert = require("node:assert/strict");
+const fs = require("node:fs/promises");
+const os = require("node:os");
+const path = require("node:path");
+const test = require("node:test");
+const { MetadataCache, resolveCachePath } = require("../src/metadata-cache");
+
+async function createTempDir() {
+  return fs.mkdtemp(path.join(os.tmpdir(), "session-hub-cache-"));
+}
+
+test("flush persists entries that a new cache instance can load", async () => {
+  const root = await createTempDir();
+  const filePath = resolveCachePath(root, "codex-metadata");
+
+  const first = new MetadataCache({ filePath, version: 1 });
+  await first.load();
+  first.set("/tmp/a.jsonl", { mtimeMs: 1, sizeBytes: 2, title: "Alpha" });
+  await first.flush();
+
+  const second = new MetadataCache({ filePath, version: 1 });
+  await second.load();
+  assert.deepEqual(second.get("/tmp/a.jsonl"), { mtimeMs: 1, sizeBytes: 2, title: "Alpha" });
+  assert.equal(second.dirty, false);
+
+  await fs.rm(root, { recursive: true, force: true });
+});
+
+test("load discards entries written by a different cache version", async () => {
+  const root = await createTempDir();
+  const filePath = resolveCachePath(root, "claude-metadata");
+
+  const old = new MetadataCache({ filePath, version: 1 });
+  old.set("/tmp/b.jsonl", { title: "Stale" });
+  await old.flush();
+
+  const current = new MetadataCache({ filePath, version: 2 });
+  await current.load();
+  assert.equal(current.get("/tmp/b.jsonl"), undefined);
+
+  await fs.rm(root, { recursive: true, force: true });
+});
+
+test("load ignores a corrupt cache file", async () => {
+  const root = await createTempDir();
+  const filePath = resolveCachePath(root, "gemini-metadata");
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, "{not json", "utf8");
+
+  const cache = new MetadataCache({ filePath, version: 1 });
+  await cache.load();
+  assert.equal(Array.from(cache.keys()).length, 0);
+
+  await fs.rm(root, { recursive: true, force: true });
+});
+
+test("flush keeps entries dirty when they cannot be serialized", async () => {
+  const root = await createTempDir();
+  const filePath = resolveCachePath(root, "search-index");
+
+  const cache = new MetadataCache({ filePath, version: 1 });
+  cache.set("doc", { length: 10n });
+  await cache.flush();
+  assert.equal(cache.dirty, true);
+  assert.equal(cache.size, 1);
+  await assert.rejects(fs.access(filePath));
+
+  await fs.rm(root, { recursive: true, force: true });
+});
@@ -0,0 +1,152 @@
+const assert = require("node:assert/strict");
+const fs = require("node:fs/promises");
+const os = require("node:os");
+const path = require("node:path");
+const test = require("node:test");
+const { OpencodeSessionStore, encodeOpencodeItemId } = require("../src/opencode-session-store");
+const { TrashStore } = require("../src/trash-store");
+
+async function createTempDir() {
+  return fs.mkdtemp(path.join(os.tmpdir(), "session-hub-opencode-"));
+}
+
+async function writeJson(filePath, value) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, JSON.stringify(value), "utf8");
+}
+
+async function writeSession(opencodeHome, { projectId, sessionId, title, directory, messages = [] }) {
+  const storage = path.join(opencodeHome, "storage");
+  await writeJson(path.join(storage, "session", projectId, `${sessionId}.json`), {
+    id: sessionId,
+    projectID: projectId,
+    title,
+    ...(directory ? { directory } : {}),
+    time: { created: Date.parse("2025-06-01T10:00:00Z"), updated: Date.parse("2025-06-01T11:00:00Z") }
+  });
+  for (const [index, message] of messages.entries()) {
+    const messageId = `msg_${sessionId}_${index}`;
+    await writeJson(path.join(storage, "message", sessionId, `${messageId}.json`), {
+      id: messageId,
+      sessionID: sessionId,
+      role: message.role,
+      time: { created: Date.parse("2025-06-01T10:00:00Z") + index * 1000 }
+    });
+    for (const [partIndex, part] of message.parts.entries()) {
+      await writeJson(path.join(storage, "part", messageId, `prt_${partIndex}.json`), part);
+    }
+  }
+}
+
+const MESSAGES = [
+  { role: "user", parts: [{ type: "text", text: "List the files" }] },
+  {
+    role: "assistant",
+    parts: [
+      { type: "text", text: "Running ls." },
+      { type: "tool", tool: "bash", callID: "call_1", state: { status: "completed", input: { command: "ls" }, output: "README.md" } }
+    ]
+  }
+];
+
+test("listSessions reads title, project path and message count", async () => {
+  const opencodeHome = await createTempDir();
+  await writeSession(opencodeHome, {
+    projectId: "proj1",
+    sessionId: "ses_a",
+    title: "List repository files",
+    directory: "/work/api",
+    messages: MESSAGES
+  });
+  await writeSession(opencodeHome, { projectId: "proj2", sessionId: "ses_b", title: "Empty" });
+  await writeJson(path.join(opencodeHome, "storage", "project", "proj2.json"), { id: "proj2", worktree: "/work/web" });
+
+  const store = new OpencodeSessionStore({ opencodeHome });
+  const result = await store.listSessions();
+
+  assert.equal(result.counts.total, 2);
+  const first = result.items.find((item) => item.threadId === "ses_a");
+  assert.equal(first.itemId, encodeOpencodeItemId("ses_a"));
+  assert.equal(first.title, "List repository files");
+  assert.equal(first.projectPath, "/work/api");
+  assert.equal(first.messageCount, 2);
+  assert.equal(first.updatedAt, "2025-06-01T11:00:00.000Z");
+  assert.ok(first.sizeBytes > 0);
+
+  const second = result.items.find((item) => item.threadId === "ses_b");
+  assert.equal(second.projectPath, "/work/web");
+  assert.equal(second.messageCount, 0);
+});
+
+test("archiveItem moves every piece of a session into a bundle and back", async () => {
+  const opencodeHome = await createTempDir();
+  await writeSession(opencodeHome, { projectId: "proj1", sessionId: "ses_a", title: "Files", messages: MESSAGES });
+  const store = new OpencodeSessionStore({ opencodeHome });
+
+  const { items } = await store.listSessions();
+  const result = await store.archiveItem(items[0]);
+  assert.equal(result.to, "archived_sessions/ses_a");
+
+  const storage = path.join(opencodeHome, "storage");
+  const bundle = path.join(opencodeHome, "archived_sessions", "ses_a");
+  await assert.rejects(fs.access(path.join(storage, "message", "ses_a")));
+  await assert.rejects(fs.access(path.join(storage, "part", "msg_ses_a_1")));
+  await fs.access(path.join(bundle, "session", "proj1", "ses_a.json"));
+  await fs.access(path.join(bundle, "part", "msg_ses_a_1", "prt_1.json"));
+
+  const archived = await store.listSessions();
+  assert.equal(archived.counts.archived, 1);
+  assert.equal(archived.items[0].messageCount, 2);
+  const transcript = await store.readTranscript(archived.items[0], { offset: 0, limit: 10 });
+  assert.equal(transcript.total, 4);
+
+  const { found } = await store.findItemsByIds([archived.items[0].itemId]);
+  await store.unarchiveItem(found[0]);
+  await assert.rejects(fs.access(bundle));
+  await fs.access(path.join(storage, "part", "msg_ses_a_1", "prt_1.json"));
+  const restored = await store.listSessions();
+  assert.equal(restored.counts.active, 1);
+});
+
+test("archived sessions keep the project path from the live project record", async () => {
+  const opencodeHome = await createTempDir();
+  await writeSession(opencodeHome, { projectId: "proj2", sessionId: "ses_b", title: "Web", messages: MESSAGES });
+  await writeJson(path.join(opencodeHome, "storage", "project", "proj2.json"), { id: "proj2", worktree: "/work/web" });
+  const store = new OpencodeSessionStore({ opencodeHome });
+
+  const { items } = await store.listSessions();
+  await store.archiveItem(items[0]);
+
+  const archived = await store.listSessions();
+  assert.equal(archived.items[0].state, "archived");
+  assert.equal(archived.items[0].projectPath, "/work/web");
+});
+
+test("detachItem bundles an active session so TrashStore can move it", async () => {
+  const opencodeHome = await createTempDir();
+  const trashRoot = await createTempDir();
+  await writeSession(opencodeHome, { projectId: "proj1", sessionId: "ses_a", title: "Files", messages: MESSAGES });
+  const store = new OpencodeSessionStore({ opencodeHome });
+  const trashStore = new TrashStore({ codexHome: opencodeHome, trashRoot, retentionDays: 30 });
+
+  const { items } = await store.listSessions();
+  const metadata = await trashStore.trashSessionItem(await store.detachItem(items[0]), opencodeHome);
+  assert.equal(metadata.originalRelativePath, "archived_sessions/ses_a");
+  assert.equal((await store.listSessions()).counts.total, 0);
+
+  await trashStore.restore([metadata.trashId]);
+  const restored = await store.listSessions();
+  assert.equal(restored.counts.archived, 1);
+});
+
+test("readTranscript orders messages and expands tool parts", async () => {
+  const opencodeHome = await createTempDir();
+  await writeSession(opencodeHome, { projectId: "proj1", sessionId: "ses_a", title: "Files", messages: MESSAGES });
+  const store = new OpencodeSessionStore({ opencodeHome });
+  const { items } = await store.listSessions();
+
+  const page = await store.readTranscript(items[0], { offset: 0, limit: 10 });
+  assert.deepEqual(page.turns.map((turn) => turn.kind), ["user", "assistant", "tool_call", "tool_result"]);
+  assert.equal(page.turns[2].toolName, "bash");
+  assert.equal(page.turns[3].text, "README.md");
+});
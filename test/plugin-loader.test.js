@@ -0,0 +1,142 @@
+const assert = require("node:assert/strict");
+const fs = require("node:fs/promises");
+const os = require("node:os");
+const path = require("node:path");
+const test = require("node:test");
+const { loadProviderPlugins } = require("../src/plugin-loader");
+const { createRegistry } = require("../src/provider-registry");
+
+async function createTempDir() {
+  return fs.mkdtemp(path.join(os.tmpdir(), "session-hub-plugins-"));
+}
+
+const JSONL_PLUGIN = `
+const fs = require("node:fs/promises");
+const path = require("node:path");
+
+module.exports = {
+  id: "inhouse",
+  label: "In-house",
+  home: { key: "inhouseHome", flag: "inhouse-home", defaultDir: ".inhouse" },
+  createStore({ home, encodeItemId }) {
+    async function listSessions() {
+      const names = await fs.readdir(home).catch(() => []);
+      const items = names.filter((name) => name.endsWith(".jsonl")).map((name) => ({
+        itemId: encodeItemId(name),
+        threadId: name,
+        title: name,
+        state: "active",
+        fileName: name,
+        absolutePath: path.join(home, name),
+        relativePath: name,
+        updatedAt: new Date(0).toISOString()
+      }));
+      return { items, counts: { total: items.length } };
+    }
+    return {
+      listSessions,
+      async findItemsByIds(itemIds) {
+        const { items } = await listSessions();
+        const found = items.filter((item) => itemIds.includes(item.itemId));
+        return { found, missing: itemIds.filter((id) => !found.some((item) => item.itemId === id)) };
+      }
+    };
+  }
+};
+`;
+
+test("loadProviderPlugins returns nothing for a missing directory", () => {
+  const result = loadProviderPlugins(path.join(os.tmpdir(), "session-hub-no-such-plugin-dir"));
+  assert.deepEqual(result, { definitions: [], errors: [] });
+});
+
+test("loadProviderPlugins loads valid plugins and reports broken ones", async () => {
+  const pluginDir = await createTempDir();
+  await fs.writeFile(path.join(pluginDir, "a-inhouse.js"), JSONL_PLUGIN, "utf8");
+  await fs.writeFile(path.join(pluginDir, "b-syntax.js"), "module.exports = {", "utf8");
+  await fs.writeFile(path.join(pluginDir, "c-shape.js"), "module.exports = { id: 'shape' };", "utf8");
+  await fs.writeFile(
+    path.join(pluginDir, "d-clash.js"),
+    "module.exports = { id: 'codex', home: { key: 'k', flag: 'f', defaultDir: '.x' }, createStore() {} };",
+    "utf8"
+  );
+  await fs.writeFile(path.join(pluginDir, "notes.md"), "ignored", "utf8");
+
+  const result = loadProviderPlugins(pluginDir, { reservedIds: ["codex"] });
+  assert.deepEqual(result.definitions.map((definition) => definition.id), ["inhouse"]);
+  assert.equal(result.definitions[0].pluginPath, path.join(pluginDir, "a-inhouse.js"));
+  assert.deepEqual(
+    result.errors.map((failure) => path.basename(failure.filePath)),
+    ["b-syntax.js", "c-shape.js", "d-clash.js"]
+  );
+  assert.match(result.errors[1].error, /createStore/);
+  assert.match(result.errors[2].error, /already in use/);
+
+  await fs.rm(pluginDir, { recursive: true, force: true });
+});
+
+test("loadProviderPlugins rejects home keys and flags that are already taken", async () => {
+  const pluginDir = await createTempDir();
+  const definitionWith = (id, key, flag) =>
+    `module.exports = { id: '${id}', home: { key: '${key}', flag: '${flag}', defaultDir: '.x' }, createStore() {} };`;
+  await fs.writeFile(path.join(pluginDir, "a-key.js"), definitionWith("a", "codexHome", "a-home"), "utf8");
+  await fs.writeFile(path.join(pluginDir, "b-flag.js"), definitionWith("b", "bHome", "trash-root"), "utf8");
+  await fs.writeFile(path.join(pluginDir, "c-ok.js"), definitionWith("c", "cHome", "c-home"), "utf8");
+  await fs.writeFile(path.join(pluginDir, "d-again.js"), definitionWith("d", "cHome", "d-home"), "utf8");
+  await fs.writeFile(path.join(pluginDir, "e-again.js"), definitionWith("e", "eHome", "c-home"), "utf8");
+
+  const result = loadProviderPlugins(pluginDir, {
+    reservedIds: ["codex"],
+    reservedHomeKeys: ["codexHome"],
+    reservedFlags: ["codex-home", "trash-root"]
+  });
+  assert.deepEqual(result.definitions.map((definition) => definition.id), ["c"]);
+  assert.deepEqual(
+    result.errors.map((failure) => [path.basename(failure.filePath), failure.error]),
+    [
+      ["a-key.js", "home key codexHome is already in use"],
+      ["b-flag.js", "flag --trash-root is already in use"],
+      ["d-again.js", "home key cHome is already in use"],
+      ["e-again.js", "flag --c-home is already in use"]
+    ]
+  );
+
+  await fs.rm(pluginDir, { recursive: true, force: true });
+});
+
+test("loaded plugin lists sessions through the registry", async () => {
+  const pluginDir = await createTempDir();
+  const inhouseHome = await createTempDir();
+  await fs.writeFile(path.join(pluginDir, "inhouse.js"), JSONL_PLUGIN, "utf8");
+  await fs.writeFile(path.join(inhouseHome, "run-1.jsonl"), "{}\n", "utf8");
+
+  const { definitions } = loadProviderPlugins(pluginDir);
+  const registry = createRegistry(definitions, { homes: { inhouseHome } });
+  const listed = await registry.listSessions();
+
+  assert.equal(listed.items.length, 1);
+  assert.equal(listed.items[0].provider, "inhouse");
+  assert.equal(registry.providerForItemId(listed.items[0].itemId).id, "inhouse");
+  assert.equal(registry.get("inhouse").resolveTrashRoot(listed.items[0]), inhouseHome);
+
+  await fs.rm(pluginDir, { recursive: true, force: true });
+  await fs.rm(inhouseHome, { recursive: true, force: true });
+});
+
+test("createRegistry skips plugins whose store fails to build", () => {
+  const registry = createRegistry(
+    [
+      {
+        id: "fragile",
+        pluginPath: "/plugins/fragile.js",
+        createStore() {
+          throw new Error("boom");
+        }
+      }
+    ],
+    { homes: {} }
+  );
+
+  assert.equal(registry.list().length, 0);
+  assert.deepEqual(registry.loadErrors, [{ filePath: "/plugins/fragile.js", error: "boom" }]);
+});
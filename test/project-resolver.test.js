@@ -0,0 +1,50 @@
+const assert = require("node:assert/strict");
+const crypto = require("node:crypto");
+const fs = require("node:fs/promises");
+const os = require("node:os");
+const path = require("node:path");
+const test = require("node:test");
+const { ProjectHashResolver, hashProjectPath } = require("../src/project-resolver");
+
+async function createTempDir() {
+  return fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), "session-hub-projects-")));
+}
+
+test("hashProjectPath matches the Gemini CLI project hash", () => {
+  const expected = crypto.createHash("sha256").update("/work/billing-service").digest("hex");
+  assert.equal(hashProjectPath("/work/billing-service"), expected);
+});
+
+test("project hashes resolve from other providers' working directories", async () => {
+  const resolver = new ProjectHashResolver();
+  const items = [
+    { itemId: "c1", provider: "codex", cwd: "/work/billing-service/api" },
+    { itemId: "g1", provider: "gemini", projectHash: hashProjectPath("/work/billing-service/api") },
+    { itemId: "g2", provider: "gemini", projectHash: hashProjectPath("/work/billing-service") },
+    { itemId: "g3", provider: "gemini", projectHash: hashProjectPath("/elsewhere") }
+  ];
+
+  const annotated = await resolver.annotate(items);
+  assert.deepEqual(
+    annotated.map((item) => item.projectPath),
+    [undefined, "/work/billing-service/api", "/work/billing-service", undefined]
+  );
+  assert.equal(items[1].projectPath, undefined);
+});
+
+test("workspace dirs and their subdirectories are hash candidates", async () => {
+  const workspace = await createTempDir();
+  const project = path.join(workspace, "team", "reports");
+  await fs.mkdir(project, { recursive: true });
+  await fs.mkdir(path.join(workspace, "node_modules", "dep"), { recursive: true });
+
+  const resolver = new ProjectHashResolver({ workspaceDirs: [workspace] });
+  const [resolved, skipped] = await resolver.annotate([
+    { itemId: "g1", projectHash: hashProjectPath(project) },
+    { itemId: "g2", projectHash: hashProjectPath(path.join(workspace, "node_modules", "dep")) }
+  ]);
+  assert.equal(resolved.projectPath, project);
+  assert.equal(skipped.projectPath, undefined);
+
+  await fs.rm(workspace, { recursive: true, force: true });
+});
@@ -0,0 +1,121 @@
+const assert = require("node:assert/strict");
+const fs = require("node:fs/promises");
+const os = require("node:os");
+const path = require("node:path");
+const test = require("node:test");
+const {
+  ProviderRegistry,
+  createProvider,
+  createRegistry,
+  encodeProviderItemId
+} = require("../src/provider-registry");
+const { BUILTIN_PROVIDERS } = require("../src/providers");
+
+async function createTempDir() {
+  return fs.mkdtemp(path.join(os.tmpdir(), "session-hub-registry-"));
+}
+
+function memoryDefinition(id, sessions, extra = {}) {
+  return {
+    id,
+    label: id.toUpperCase(),
+    createStore() {
+      const items = sessions.map((session) => ({
+        itemId: encodeProviderItemId(id, session.threadId),
+        state: "active",
+        ...session
+      }));
+      return {
+        async listSessions() {
+          return { items, counts: { total: items.length } };
+        },
+        async findItemsByIds(itemIds) {
+          const found = items.filter((item) => itemIds.includes(item.itemId));
+          const foundIds = new Set(found.map((item) => item.itemId));
+          return { found, missing: itemIds.filter((itemId) => !foundIds.has(itemId)) };
+        }
+      };
+    },
+    ...extra
+  };
+}
+
+test("createProvider derives capabilities from store methods", () => {
+  const provider = createProvider(memoryDefinition("memo", []), { home: "/tmp/memo" });
+  assert.deepEqual(provider.capabilities, {
+    archive: false,
+    unarchive: false,
+    transcript: false,
+    titleWriteBack: false,
+    trash: true
+  });
+  assert.equal(provider.resolveTrashRoot({}), "/tmp/memo");
+  assert.equal(provider.ownsItemId(encodeProviderItemId("memo", "x")), true);
+  assert.equal(provider.ownsItemId(encodeProviderItemId("other", "x")), false);
+});
+
+test("createProvider rejects stores missing the listing contract", () => {
+  assert.throws(
+    () => createProvider({ id: "broken", createStore: () => ({ listSessions() {} }) }),
+    /missing findItemsByIds/
+  );
+  assert.throws(() => createProvider({ id: "Bad Id", createStore: () => ({}) }), /provider id/);
+  assert.throws(() => createProvider(memoryDefinition("all", [])), /reserved/);
+  assert.throws(() => createProvider(memoryDefinition("hidden", [])), /reserved/);
+});
+
+test("registry merges listings and routes ids to their provider", async () => {
+  const registry = new ProviderRegistry();
+  registry.register(createProvider(memoryDefinition("alpha", [
+    { threadId: "a1", updatedAt: "2026-01-02T00:00:00.000Z" }
+  ])));
+  registry.register(createProvider(memoryDefinition("beta", [
+    { threadId: "b1", updatedAt: "2026-01-03T00:00:00.000Z", state: "archived" }
+  ])));
+
+  const listed = await registry.listSessions();
+  assert.deepEqual(listed.items.map((item) => [item.provider, item.threadId]), [
+    ["beta", "b1"],
+    ["alpha", "a1"]
+  ]);
+  assert.deepEqual(listed.counts.byProvider.beta, { total: 1, active: 0, archived: 1 });
+  assert.deepEqual(listed.hiddenItems, []);
+
+  const unknownId = Buffer.from("nobody:x", "utf8").toString("base64url");
+  const lookup = await registry.findItemsByIds([
+    encodeProviderItemId("alpha", "a1"),
+    encodeProviderItemId("beta", "missing"),
+    unknownId
+  ]);
+  assert.deepEqual(lookup.found.map((item) => item.provider), ["alpha"]);
+  assert.equal(lookup.missing.length, 2);
+  assert.ok(lookup.missing.includes(unknownId));
+
+  assert.throws(() => registry.register(createProvider(memoryDefinition("alpha", []))), /already registered/);
+});
+
+test("built-in providers claim only their own item ids", async () => {
+  const root = await createTempDir();
+  const registry = createRegistry(BUILTIN_PROVIDERS, {
+    homes: {
+      codexHome: path.join(root, "codex"),
+      claudeHome: path.join(root, "claude"),
+      geminiHome: path.join(root, "gemini"),
+      qwenHome: path.join(root, "qwen"),
+      aiderRoots: [path.join(root, "projects")],
+      opencodeHome: path.join(root, "opencode")
+    }
+  });
+
+  const codexId = Buffer.from("sessions/2026/02/08/rollout.jsonl", "utf8").toString("base64url");
+  assert.equal(registry.providerForItemId(codexId).id, "codex");
+  assert.equal(registry.providerForItemId(encodeProviderItemId("claude", "s")).id, "claude");
+  assert.equal(registry.providerForItemId(encodeProviderItemId("gemini", "s")).id, "gemini");
+  assert.equal(registry.providerForItemId(encodeProviderItemId("qwen", "s")).id, "qwen");
+  assert.equal(registry.providerForItemId(encodeProviderItemId("aider", "/p#s")).id, "aider");
+  assert.equal(registry.providerForItemId(encodeProviderItemId("opencode", "ses_a")).id, "opencode");
+  assert.equal(registry.get("claude").home, path.join(root, "claude"));
+  assert.equal(registry.get("gemini").capabilities.archive, true);
+
+  await fs.rm(root, { recursive: true, force: true });
+});
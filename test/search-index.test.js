@@ -0,0 +1,160 @@
+const assert = require("node:assert/strict");
+const fs = require("node:fs/promises");
+const os = require("node:os");
+const path = require("node:path");
+const test = require("node:test");
+const { resolveCachePath } = require("../src/metadata-cache");
+const { SearchIndex, buildSnippets, readSearchText, tokenize } = require("../src/search-index");
+const { TranscriptPage } = require("../src/transcript");
+
+async function createTempDir() {
+  return fs.mkdtemp(path.join(os.tmpdir(), "session-hub-search-"));
+}
+
+function makeItem(itemId, sizeBytes = 100) {
+  return {
+    itemId,
+    title: `Session ${itemId}`,
+    absolutePath: `/tmp/${itemId}.jsonl`,
+    sizeBytes,
+    updatedAt: "2026-01-01T00:00:00.000Z"
+  };
+}
+
+const TEXTS = {
+  a: "We debugged the Kafka consumer lag and restarted the consumer group.",
+  b: "Kafka producer settings were tuned for batching.",
+  c: "Renamed the config loader."
+};
+
+test("tokenize lowercases and drops one-character tokens", () => {
+  assert.deepEqual(tokenize("Fix the Kafka-consumer, a B2B bug!"), ["fix", "the", "kafka", "consumer", "b2b", "bug"]);
+});
+
+test("search requires every term and ranks by term frequency", async () => {
+  const index = new SearchIndex();
+  await index.refresh(["a", "b", "c"].map((id) => makeItem(id)), async (item) => TEXTS[item.itemId]);
+
+  const kafka = index.search("kafka");
+  assert.deepEqual(kafka.matches.map((match) => match.itemId).sort(), ["a", "b"]);
+
+  const consumer = index.search("Kafka consumer");
+  assert.deepEqual(consumer.terms, ["kafka", "consumer"]);
+  assert.deepEqual(consumer.matches.map((match) => match.itemId), ["a"]);
+
+  assert.deepEqual(index.search("zookeeper").matches, []);
+  assert.deepEqual(index.search("  ").matches, []);
+});
+
+test("refresh only re-reads documents whose signature changed", async () => {
+  const root = await createTempDir();
+  const filePath = resolveCachePath(root, "search-index");
+  const reads = [];
+  const readText = async (item) => {
+    reads.push(item.itemId);
+    return TEXTS[item.itemId];
+  };
+
+  const first = new SearchIndex({ filePath });
+  const stats = await first.refresh([makeItem("a"), makeItem("b")], readText);
+  assert.deepEqual(stats, { documents: 2, reindexed: 2, removed: 0 });
+
+  const second = new SearchIndex({ filePath });
+  const again = await second.refresh([makeItem("a"), makeItem("b", 200), makeItem("c")], readText);
+  assert.deepEqual(again, { documents: 3, reindexed: 2, removed: 0 });
+  assert.deepEqual(reads, ["a", "b", "b", "c"]);
+  assert.deepEqual(second.search("consumer").matches.map((match) => match.itemId), ["a"]);
+
+  const pruned = await second.refresh([makeItem("c")], readText);
+  assert.equal(pruned.removed, 2);
+  assert.deepEqual(second.search("kafka").matches, []);
+
+  await fs.rm(root, { recursive: true, force: true });
+});
+
+test("a renamed session is re-indexed under its new title", async () => {
+  const index = new SearchIndex();
+  await index.refresh([makeItem("c")], async (item) => `${item.title}\n${TEXTS.c}`);
+  assert.deepEqual(index.search("deployment").matches, []);
+
+  const renamed = { ...makeItem("c"), title: "Deployment checklist" };
+  const stats = await index.refresh([renamed], async (item) => `${item.title}\n${TEXTS.c}`);
+  assert.equal(stats.reindexed, 1);
+  assert.deepEqual(index.search("deployment").matches.map((match) => match.itemId), ["c"]);
+  assert.deepEqual(index.search("session").matches, []);
+});
+
+test("searches during a refresh see the documents indexed so far", async () => {
+  const index = new SearchIndex();
+  let release;
+  const blocked = new Promise((resolve) => {
+    release = resolve;
+  });
+  const readText = async (item) => {
+    if (item.itemId === "b") {
+      await blocked;
+    }
+    return TEXTS[item.itemId];
+  };
+
+  const refreshing = index.refresh([makeItem("a"), makeItem("b")], readText);
+  assert.equal(index.refresh([makeItem("a")], readText), refreshing);
+  await new Promise((resolve) => setImmediate(resolve));
+
+  assert.deepEqual(index.status(), { documents: 1, pending: 1, building: true });
+  assert.deepEqual(index.search("kafka").matches.map((match) => match.itemId), ["a"]);
+
+  release();
+  await refreshing;
+  assert.deepEqual(index.status(), { documents: 2, pending: 0, building: false });
+  assert.deepEqual(index.search("kafka").matches.map((match) => match.itemId).sort(), ["a", "b"]);
+});
+
+test("a first build writes the index once at the end", async () => {
+  const root = await createTempDir();
+  const index = new SearchIndex({ filePath: resolveCachePath(root, "search-index") });
+  let flushes = 0;
+  const flush = index.documents.flush.bind(index.documents);
+  index.documents.flush = async () => {
+    flushes += 1;
+    return flush();
+  };
+
+  const items = Array.from({ length: 450 }, (_, position) => makeItem(`s${position}`));
+  await index.refresh(items, async () => "kafka consumer");
+  assert.equal(flushes, 1);
+  assert.equal(index.search("kafka").matches.length, 450);
+
+  await fs.rm(root, { recursive: true, force: true });
+});
+
+test("readSearchText streams user and assistant turns", async () => {
+  let kept;
+  const provider = {
+    capabilities: { transcript: true },
+    store: {
+      async readTranscript(item, pageOptions) {
+        const page = new TranscriptPage(pageOptions);
+        page.push({ kind: "user", text: "Why is Kafka lagging?" });
+        page.pushToolCall({ input: "kubectl logs", output: "noisy tool output" });
+        page.push({ kind: "assistant", text: "The consumer group rebalanced." });
+        kept = page.turns.length;
+        return page.toJSON();
+      }
+    }
+  };
+
+  const text = await readSearchText(provider, makeItem("a"));
+  assert.equal(text, "Session a\nWhy is Kafka lagging?\nThe consumer group rebalanced.");
+  assert.equal(kept, 0);
+});
+
+test("buildSnippets marks each query term inside a short window", () => {
+  const text = `${"intro ".repeat(40)}We debugged the Kafka consumer lag.`;
+  const [snippet] = buildSnippets(text, ["kafka", "consumer"]);
+
+  assert.ok(snippet.text.startsWith("…"));
+  assert.ok(snippet.text.length < 200);
+  const marked = snippet.highlights.map(([start, end]) => snippet.text.slice(start, end));
+  assert.deepEqual(marked, ["Kafka", "consumer"]);
+});
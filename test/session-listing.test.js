@@ -0,0 +1,107 @@
+const assert = require("node:assert/strict");
+const test = require("node:test");
+const { decodeCursor, parseListingParams, projectOf, queryListing } = require("../src/session-listing");
+
+function makeItem(index, overrides = {}) {
+  return {
+    itemId: `id-${String(index).padStart(2, "0")}`,
+    provider: index % 3 === 0 ? "claude" : "codex",
+    state: index % 2 === 0 ? "archived" : "active",
+    title: `Session ${index}`,
+    sizeBytes: index * 100,
+    updatedAt: new Date(Date.UTC(2026, 0, 1 + index)).toISOString(),
+    ...overrides
+  };
+}
+
+const ITEMS = Array.from({ length: 10 }, (_, index) => makeItem(index + 1));
+const textOf = (item) => item.title;
+
+function query(search) {
+  return queryListing(ITEMS, parseListingParams(new URLSearchParams(search)), {
+    textOf,
+    providerIds: ["codex", "claude", "gemini"]
+  });
+}
+
+test("without parameters every item is returned newest first", () => {
+  const result = query("");
+  assert.equal(result.items.length, 10);
+  assert.equal(result.items[0].itemId, "id-10");
+  assert.equal(result.nextCursor, null);
+  assert.deepEqual(result.counts.byProvider.gemini, { total: 0, active: 0, archived: 0 });
+  assert.equal(result.counts.byProvider.claude.total, 3);
+});
+
+test("provider and state filters with facet counts", () => {
+  const result = query("provider=codex&state=active");
+  assert.deepEqual(result.items.map((item) => item.itemId), ["id-07", "id-05", "id-01"]);
+  assert.equal(result.total, 3);
+  assert.deepEqual(result.facets.state, { active: 3, archived: 4 });
+  assert.deepEqual(result.facets.provider, { codex: 3, claude: 2 });
+});
+
+test("sorting by size ascending and cursor pagination", () => {
+  const first = query("sort=sizeBytes&order=asc&limit=4");
+  assert.deepEqual(first.items.map((item) => item.sizeBytes), [100, 200, 300, 400]);
+  assert.equal(first.total, 10);
+  assert.ok(first.nextCursor);
+
+  const second = query(`sort=sizeBytes&order=asc&limit=4&cursor=${first.nextCursor}`);
+  assert.deepEqual(second.items.map((item) => item.sizeBytes), [500, 600, 700, 800]);
+
+  const last = query(`sort=sizeBytes&order=asc&limit=4&cursor=${second.nextCursor}`);
+  assert.deepEqual(last.items.map((item) => item.sizeBytes), [900, 1000]);
+  assert.equal(last.nextCursor, null);
+});
+
+test("a cursor stays valid when earlier items disappear", () => {
+  const first = query("limit=3");
+  const remaining = ITEMS.filter((item) => item.itemId !== "id-10");
+  const params = parseListingParams(new URLSearchParams(`limit=3&cursor=${first.nextCursor}`));
+  const next = queryListing(remaining, params, { textOf });
+  assert.deepEqual(next.items.map((item) => item.itemId), ["id-07", "id-06", "id-05"]);
+});
+
+test("items missing the sort value sort last in both directions", () => {
+  const items = [makeItem(1), makeItem(2, { messageCount: 5 }), makeItem(3, { messageCount: 9 })];
+  for (const order of ["asc", "desc"]) {
+    const params = parseListingParams(new URLSearchParams(`sort=messageCount&order=${order}`));
+    const result = queryListing(items, params, { textOf });
+    assert.equal(result.items[2].itemId, "id-01");
+  }
+});
+
+test("the text query narrows counts, facets and items", () => {
+  const result = query("q=state:archived size:>500");
+  assert.deepEqual(result.items.map((item) => item.itemId), ["id-10", "id-08", "id-06"]);
+  assert.equal(result.counts.total, 3);
+  assert.deepEqual(result.query.errors, []);
+});
+
+test("limit=0 returns only counts and invalid cursors are flagged", () => {
+  assert.equal(query("limit=0").items.length, 0);
+  assert.equal(parseListingParams(new URLSearchParams("cursor=nope")).invalidCursor, true);
+  assert.equal(parseListingParams(new URLSearchParams("hidden=1")).hidden, true);
+  assert.equal(parseListingParams(new URLSearchParams("")).hidden, false);
+  assert.equal(decodeCursor("bad"), null);
+});
+
+test("project filter groups sessions across providers", () => {
+  const items = [
+    makeItem(1, { provider: "codex", cwd: "/work/billing" }),
+    makeItem(2, { provider: "claude", projectName: "/work/billing" }),
+    makeItem(3, { provider: "aider", projectName: "billing", projectPath: "/work/billing" }),
+    makeItem(4, { provider: "gemini", projectHash: "abc123" }),
+    makeItem(5, { provider: "codex" })
+  ];
+  assert.equal(projectOf(items[2]), "/work/billing");
+  assert.equal(projectOf(items[4]), null);
+
+  const params = parseListingParams(new URLSearchParams("project=/work/billing&state=active"));
+  const result = queryListing(items, params, { textOf });
+  assert.deepEqual(result.items.map((item) => item.itemId), ["id-03", "id-01"]);
+  assert.deepEqual(result.facets.project, { "/work/billing": 2 });
+  assert.deepEqual(result.facets.state, { active: 2, archived: 1 });
+  assert.deepEqual(result.facets.provider, { codex: 1, aider: 1 });
+});
@@ -0,0 +1,120 @@
+const assert = require("node:assert/strict");
+const test = require("node:test");
+const { compileQuery, parseSize, tokenize } = require("../web/session-query");
+
+const NOW = Date.parse("2026-03-01T12:00:00Z");
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SESSIONS = [
+  {
+    itemId: "a",
+    provider: "codex",
+    state: "archived",
+    title: "Debug the Kafka consumer",
+    cwd: "/work/streams",
+    gitBranch: "release",
+    gitCommit: "4f1c2ab",
+    gitRepositoryUrl: "git@github.com:acme/streams.git",
+    originator: "codex_cli_rs",
+    cliVersion: "0.46.0",
+    model: "gpt-5-codex",
+    sizeBytes: 12 * 1024 * 1024,
+    updatedAt: new Date(NOW - 120 * DAY_MS).toISOString(),
+    createdAt: new Date(NOW - 121 * DAY_MS).toISOString()
+  },
+  {
+    itemId: "b",
+    provider: "claude",
+    state: "active",
+    title: "Refactor config loader",
+    gitBranch: "main",
+    projectName: "/work/api",
+    sizeBytes: 300 * 1024,
+    messageCount: 42,
+    updatedAt: new Date(NOW - 2 * DAY_MS).toISOString(),
+    createdAt: new Date(NOW - 3 * DAY_MS).toISOString()
+  },
+  {
+    itemId: "c",
+    provider: "claude",
+    state: "archived",
+    title: "Kafka producer tuning",
+    gitBranch: "feature/kafka",
+    sizeBytes: 6 * 1024 * 1024,
+    messageCount: 8,
+    updatedAt: "2025-12-15T10:00:00.000Z",
+    createdAt: "2025-12-14T10:00:00.000Z"
+  }
+];
+
+function run(query) {
+  const compiled = compileQuery(query, { textOf: (item) => item.title, now: NOW });
+  return SESSIONS.filter((item) => compiled.matches(item)).map((item) => item.itemId);
+}
+
+test("tokenize handles phrases, negation and quoted field values", () => {
+  assert.deepEqual(tokenize('kafka "exact phrase" -noise project:"my app"'), [
+    { raw: "kafka", negate: false, phrase: false },
+    { raw: "exact phrase", negate: false, phrase: true },
+    { raw: "noise", negate: true, phrase: false },
+    { raw: "project:my app", negate: false, phrase: false }
+  ]);
+});
+
+test("parseSize understands binary units", () => {
+  assert.equal(parseSize("5MB"), 5 * 1024 * 1024);
+  assert.equal(parseSize("1.5kb"), 1536);
+  assert.equal(parseSize("12"), 12);
+  assert.equal(parseSize("big"), null);
+});
+
+test("free terms, phrases and exclusions match the item text", () => {
+  assert.deepEqual(run("kafka"), ["a", "c"]);
+  assert.deepEqual(run('"kafka consumer"'), ["a"]);
+  assert.deepEqual(run("kafka -producer"), ["a"]);
+  assert.deepEqual(run(""), ["a", "b", "c"]);
+});
+
+test("keyword and text fields", () => {
+  assert.deepEqual(run("provider:claude"), ["b", "c"]);
+  assert.deepEqual(run("state:archived"), ["a", "c"]);
+  assert.deepEqual(run("is:active"), ["b"]);
+  assert.deepEqual(run("branch:main"), ["b"]);
+  assert.deepEqual(run("-branch:kafka provider:claude"), ["b"]);
+  assert.deepEqual(run("project:work"), ["a", "b"]);
+});
+
+test("Codex run context fields", () => {
+  assert.deepEqual(run("model:gpt-5"), ["a"]);
+  assert.deepEqual(run("repo:acme/streams"), ["a"]);
+  assert.deepEqual(run("commit:4f1c"), ["a"]);
+  assert.deepEqual(run("originator:cli version:0.46"), ["a"]);
+  assert.deepEqual(run("branch:release"), ["a"]);
+});
+
+test("size, message and date comparisons", () => {
+  assert.deepEqual(run("size:>5MB"), ["a", "c"]);
+  assert.deepEqual(run("size:<=300KB"), ["b"]);
+  assert.deepEqual(run("size:1MB..10MB"), ["c"]);
+  assert.deepEqual(run("messages:>=10"), ["b"]);
+  assert.deepEqual(run("updated:<2026-01-01"), ["a", "c"]);
+  assert.deepEqual(run("updated:2025-12-15"), ["c"]);
+  assert.deepEqual(run("updated:<60d"), ["a", "c"]);
+  assert.deepEqual(run("updated:<90d"), ["a"]);
+  assert.deepEqual(run("updated:7d"), ["b"]);
+});
+
+test("the archived Codex over 10 MB older than 90 days selection", () => {
+  assert.deepEqual(run("provider:codex state:archived size:>10MB updated:<90d"), ["a"]);
+});
+
+test("invalid values are reported and ignored", () => {
+  const compiled = compileQuery("size:>huge kafka", { textOf: (item) => item.title, now: NOW });
+  assert.deepEqual(compiled.errors, ["invalid size value: >huge"]);
+  assert.equal(compiled.clauses.length, 1);
+});
+
+test("unknown fields fall back to plain text", () => {
+  const compiled = compileQuery("http://example.com", { textOf: () => "see http://example.com" });
+  assert.equal(compiled.matches({}), true);
+});
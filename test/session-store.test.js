@@ -98,6 +98,65 @@ test("listSessions derives title from first user message", async () => {
   await fs.rm(codexHome, { recursive: true, force: true });
 });
 
+test("listSessions reads run context from session_meta and turn_context", async () => {
+  const codexHome = await createTempDir();
+  const store = new SessionStore({ codexHome });
+
+  await writeRolloutFile(
+    path.join(codexHome, "sessions/2026/02/08/rollout-2026-02-08T03-11-52-context-thread-1.jsonl"),
+    JSON.stringify({
+      type: "session_meta",
+      payload: {
+        id: "context-thread-1",
+        cwd: "/work/billing-service",
+        originator: "codex_cli_rs",
+        cli_version: "0.46.0",
+        source: "cli",
+        git: {
+          commit_hash: "4f1c2ab",
+          branch: "main",
+          repository_url: "git@github.com:acme/billing-service.git"
+        }
+      }
+    }) +
+      "\n" +
+      '{"type":"turn_context","payload":{"cwd":"/work/billing-service","model":"gpt-5-codex"}}\n' +
+      '{"type":"event_msg","payload":{"type":"user_message","message":"retire it"}}\n' +
+      '{"type":"turn_context","payload":{"cwd":"/work/other","model":"gpt-5"}}\n'
+  );
+  await writeRolloutFile(
+    path.join(codexHome, "sessions/2026/02/08/rollout-2026-02-08T04-11-52-context-thread-2.jsonl")
+  );
+  // No model before the first user message: the scan stops there anyway.
+  await writeRolloutFile(
+    path.join(codexHome, "sessions/2026/02/08/rollout-2026-02-08T05-11-52-context-thread-3.jsonl"),
+    '{"type":"session_meta","payload":{"id":"context-thread-3","cwd":"/work/exec","source":"cli"}}\n' +
+      '{"type":"event_msg","payload":{"type":"user_message","message":"run the nightly job"}}\n' +
+      '{"type":"turn_context","payload":{"cwd":"/work/exec","model":"gpt-5"}}\n'
+  );
+
+  const listed = await store.listSessions();
+  const byThread = Object.fromEntries(listed.items.map((item) => [item.threadId, item]));
+  const full = byThread["context-thread-1"];
+  assert.equal(full.cwd, "/work/billing-service");
+  assert.equal(full.gitBranch, "main");
+  assert.equal(full.gitCommit, "4f1c2ab");
+  assert.equal(full.gitRepositoryUrl, "git@github.com:acme/billing-service.git");
+  assert.equal(full.originator, "codex_cli_rs");
+  assert.equal(full.cliVersion, "0.46.0");
+  assert.equal(full.model, "gpt-5-codex");
+
+  const late = byThread["context-thread-3"];
+  assert.equal(late.cwd, "/work/exec");
+  assert.equal(late.model, null);
+
+  const bare = byThread["context-thread-2"];
+  assert.equal(bare.cwd, null);
+  assert.equal(bare.model, null);
+
+  await fs.rm(codexHome, { recursive: true, force: true });
+});
+
 test("desktop global state title is preferred when available", async () => {
   const codexHome = await createTempDir();
   const store = new SessionStore({ codexHome });
@@ -131,6 +190,44 @@ test("desktop global state title is preferred when available", async () => {
   await fs.rm(codexHome, { recursive: true, force: true });
 });
 
+test("writeThreadTitle updates the desktop title map and keeps other state", async () => {
+  const codexHome = await createTempDir();
+  const store = new SessionStore({ codexHome });
+
+  const threadId = "write-title-thread-1";
+  await writeRolloutFile(
+    path.join(codexHome, `sessions/2026/02/08/rollout-2026-02-08T03-11-52-${threadId}.jsonl`)
+  );
+
+  const [item] = (await store.listSessions()).items;
+  await assert.rejects(store.writeThreadTitle(item, "Renamed"), /global state file not found/);
+
+  await writeGlobalState(codexHome, {
+    "thread-titles": { titles: { "other-thread": "Other" }, order: ["other-thread"] },
+    "window-bounds": { width: 800 }
+  });
+  const rescanned = [];
+  const setCacheEntry = store.titleCache.set.bind(store.titleCache);
+  store.titleCache.set = (key, value) => {
+    rescanned.push(key);
+    setCacheEntry(key, value);
+  };
+  await store.writeThreadTitle(item, "Renamed in Session Hub");
+
+  const listed = await store.listSessions();
+  assert.deepEqual(rescanned, []);
+  assert.equal(listed.items[0].title, "Renamed in Session Hub");
+  const saved = JSON.parse(await fs.readFile(path.join(codexHome, ".codex-global-state.json"), "utf8"));
+  assert.deepEqual(saved["thread-titles"].order, ["other-thread"]);
+  assert.equal(saved["thread-titles"].titles["other-thread"], "Other");
+  assert.deepEqual(saved["window-bounds"], { width: 800 });
+
+  await store.writeThreadTitle(item, null);
+  assert.equal((await store.listSessions()).items[0].title, "hello");
+
+  await fs.rm(codexHome, { recursive: true, force: true });
+});
+
 test("system session is filtered out when first user message is skill trigger", async () => {
   const codexHome = await createTempDir();
   const store = new SessionStore({ codexHome });
@@ -209,3 +306,167 @@ test("normal user session remains visible while system session is filtered", asy
 
   await fs.rm(codexHome, { recursive: true, force: true });
 });
+
+test("system sessions are listed apart as hidden items with the reason", async () => {
+  const codexHome = await createTempDir();
+  const store = new SessionStore({ codexHome });
+
+  const rollouts = {
+    "skill-thread": [
+      { type: "session_meta", payload: { id: "skill-thread", source: "cli" } },
+      { type: "event_msg", payload: { type: "user_message", message: "$skill-installer" } }
+    ],
+    "exec-thread": [
+      { type: "session_meta", payload: { id: "exec-thread", source: "exec" } },
+      { type: "event_msg", payload: { type: "user_message", message: "Run the linter" } }
+    ],
+    "silent-thread": [
+      { type: "session_meta", payload: { id: "silent-thread", source: "cli" } }
+    ],
+    "user-thread": [
+      { type: "session_meta", payload: { id: "user-thread", source: "cli" } },
+      { type: "event_msg", payload: { type: "user_message", message: "Fix the flaky test" } }
+    ]
+  };
+  let second = 10;
+  for (const [threadId, records] of Object.entries(rollouts)) {
+    second += 1;
+    await writeRolloutFile(
+      path.join(codexHome, `sessions/2026/02/08/rollout-2026-02-08T03-11-${second}-${threadId}.jsonl`),
+      records.map((record) => JSON.stringify(record)).join("\n") + "\n"
+    );
+  }
+
+  const listed = await store.listSessions();
+  assert.deepEqual(listed.items.map((item) => item.threadId), ["user-thread"]);
+  assert.equal(listed.items[0].systemReason, null);
+  assert.equal(listed.counts.total, 1);
+
+  const reasons = Object.fromEntries(listed.hiddenItems.map((item) => [item.threadId, item.systemReason]));
+  assert.deepEqual(reasons, {
+    "skill-thread": "first user message starts with $skill-",
+    "exec-thread": "source is exec",
+    "silent-thread": "no user message"
+  });
+
+  const [hiddenItem] = listed.hiddenItems;
+  const lookup = await store.findItemsByIds([hiddenItem.itemId]);
+  assert.equal(lookup.found.length, 1);
+  await store.archiveItem(lookup.found[0]);
+  const relisted = await store.listSessions();
+  assert.equal(relisted.hiddenItems.find((item) => item.threadId === hiddenItem.threadId).state, "archived");
+
+  await fs.rm(codexHome, { recursive: true, force: true });
+});
+
+test("readTranscript normalizes messages and tool calls from rollout", async () => {
+  const codexHome = await createTempDir();
+  const store = new SessionStore({ codexHome });
+
+  const sessionPath = path.join(
+    codexHome,
+    "sessions/2026/02/08/rollout-2026-02-08T03-11-52-transcript-thread-1.jsonl"
+  );
+
+  await writeRolloutFile(
+    sessionPath,
+    [
+      { type: "session_meta", payload: { id: "transcript-thread-1", source: "cli" } },
+      { type: "response_item", payload: { type: "message", role: "user", content: [{ type: "input_text", text: "<environment_context>cwd</environment_context>" }] } },
+      { type: "response_item", payload: { type: "message", role: "user", content: [{ type: "input_text", text: "List the files" }] } },
+      { type: "event_msg", payload: { type: "user_message", message: "List the files" } },
+      { type: "response_item", payload: { type: "function_call", name: "shell", arguments: "{\"command\":[\"ls\"]}", call_id: "call-1" } },
+      { type: "response_item", payload: { type: "function_call_output", call_id: "call-1", output: "{\"output\":\"a.txt\"}" } },
+      { type: "response_item", timestamp: "2026-02-08T03:12:00.000Z", payload: { type: "message", role: "assistant", content: [{ type: "output_text", text: "There is one file." }] } }
+    ].map((record) => JSON.stringify(record)).join("\n") + "\n"
+  );
+
+  const [item] = (await store.listSessions()).items;
+  const transcript = await store.readTranscript(item, { offset: 0, limit: 10 });
+
+  assert.equal(transcript.total, 4);
+  assert.deepEqual(
+    transcript.turns.map((turn) => turn.kind),
+    ["user", "tool_call", "tool_result", "assistant"]
+  );
+  assert.equal(transcript.turns[0].text, "List the files");
+  assert.equal(transcript.turns[1].toolName, "shell");
+  assert.equal(transcript.turns[2].callId, "call-1");
+  assert.equal(transcript.turns[3].timestamp, "2026-02-08T03:12:00.000Z");
+  assert.equal(transcript.nextOffset, null);
+
+  await fs.rm(codexHome, { recursive: true, force: true });
+});
+
+test("persistent metadata cache is reused across store instances", async () => {
+  const codexHome = await createTempDir();
+  const cacheRoot = await createTempDir();
+  const metadataCachePath = path.join(cacheRoot, "cache", "codex-metadata.json");
+
+  const sessionPath = path.join(
+    codexHome,
+    "sessions/2026/02/08/rollout-2026-02-08T03-11-52-cached-thread-1.jsonl"
+  );
+  const original =
+    '{"type":"session_meta","payload":{"source":"cli"}}\n' +
+    '{"type":"event_msg","payload":{"type":"user_message","message":"cached title one"}}\n';
+  const fixedTime = new Date("2026-02-08T03:11:52Z");
+  await writeRolloutFile(sessionPath, original);
+  await fs.utimes(sessionPath, fixedTime, fixedTime);
+
+  const first = new SessionStore({ codexHome, metadataCachePath });
+  assert.equal((await first.listSessions()).items[0].title, "cached title one");
+
+  // Same size and mtime: the second instance must trust the persisted entry.
+  await fs.writeFile(sessionPath, original.replace("one", "two"), "utf8");
+  await fs.utimes(sessionPath, fixedTime, fixedTime);
+
+  const second = new SessionStore({ codexHome, metadataCachePath });
+  assert.equal((await second.listSessions()).items[0].title, "cached title one");
+
+  // A size change invalidates the entry.
+  await fs.writeFile(sessionPath, original.replace("one", "three"), "utf8");
+  const third = new SessionStore({ codexHome, metadataCachePath });
+  assert.equal((await third.listSessions()).items[0].title, "cached title three");
+
+  await fs.rm(codexHome, { recursive: true, force: true });
+  await fs.rm(cacheRoot, { recursive: true, force: true });
+});
+
+test("findItemsByIds resolves from the live index without rescanning", async () => {
+  const codexHome = await createTempDir();
+  const store = new SessionStore({ codexHome });
+
+  await writeRolloutFile(
+    path.join(codexHome, "sessions/2026/02/08/rollout-2026-02-08T03-11-52-index-thread-1.jsonl")
+  );
+
+  const listed = await store.listSessions();
+  const itemId = listed.items[0].itemId;
+
+  let rescans = 0;
+  const originalList = store.listSessions.bind(store);
+  store.listSessions = async () => {
+    rescans += 1;
+    return originalList();
+  };
+
+  const first = await store.findItemsByIds([itemId]);
+  assert.equal(first.found.length, 1);
+  assert.equal(rescans, 0);
+
+  const archived = await store.archiveItem(first.found[0]);
+  assert.equal(archived.to, "archived_sessions/rollout-2026-02-08T03-11-52-index-thread-1.jsonl");
+
+  // The old id is gone; the archived id is indexed immediately.
+  const archivedId = Buffer.from(archived.to, "utf8").toString("base64url");
+  const afterArchive = await store.findItemsByIds([archivedId]);
+  assert.equal(afterArchive.found[0].state, "archived");
+  assert.equal(rescans, 0);
+
+  const stale = await store.findItemsByIds([itemId]);
+  assert.deepEqual(stale.missing, [itemId]);
+  assert.equal(rescans, 1);
+
+  await fs.rm(codexHome, { recursive: true, force: true });
+});
@@ -0,0 +1,69 @@
+const assert = require("node:assert/strict");
+const fs = require("node:fs/promises");
+const os = require("node:os");
+const path = require("node:path");
+const test = require("node:test");
+const { DEFAULT_SYSTEM_RULES, SystemRules, normalizeSystemRules, systemRuleText } = require("../src/system-rules");
+
+async function createTempDir() {
+  return fs.mkdtemp(path.join(os.tmpdir(), "session-hub-rules-"));
+}
+
+test("built-in rules hide Codex wrapper messages only", () => {
+  const rules = new SystemRules();
+  assert.equal(
+    rules.reasonFor("codex", "# AGENTS.md instructions for /tmp/project"),
+    "first user message starts with # agents.md instructions"
+  );
+  assert.equal(rules.reasonFor("codex", "Fix the flaky test"), null);
+  assert.equal(rules.reasonFor("claude", "<environment_context>"), null);
+  assert.equal(rules.reasonFor("unknown", "anything"), null);
+  assert.equal(rules.reasonFor("codex", null), null);
+});
+
+test("a rules file replaces the providers it lists and is re-read when it changes", async () => {
+  const tempDir = await createTempDir();
+  const filePath = path.join(tempDir, "system-rules.json");
+  const rules = new SystemRules({ filePath });
+
+  await rules.load();
+  assert.deepEqual(rules.toJSON().rules, DEFAULT_SYSTEM_RULES);
+
+  await fs.writeFile(filePath, JSON.stringify({ claude: { patterns: ["^\\[ci\\]"] } }), "utf8");
+  await rules.load();
+  assert.equal(rules.reasonFor("claude", "[CI] nightly dependency bump"), "first user message matches /^\\[ci\\]/");
+  assert.equal(rules.reasonFor("codex", "$skill-installer"), "first user message starts with $skill-");
+
+  await fs.writeFile(filePath, "{ not json", "utf8");
+  await rules.load();
+  assert.ok(rules.toJSON().error);
+  assert.equal(rules.reasonFor("claude", "[CI] nightly dependency bump"), null);
+
+  await fs.rm(tempDir, { recursive: true, force: true });
+});
+
+test("save validates, writes the file and applies the rules", async () => {
+  const tempDir = await createTempDir();
+  const filePath = path.join(tempDir, "nested", "system-rules.json");
+  const rules = new SystemRules({ filePath });
+
+  await rules.save({ codex: { prefixes: [" <ci-run> ", ""], patterns: [] } });
+  assert.deepEqual(JSON.parse(await fs.readFile(filePath, "utf8")), {
+    codex: { prefixes: ["<ci-run>"], patterns: [] }
+  });
+  assert.equal(rules.reasonFor("codex", "<ci-run> lint"), "first user message starts with <ci-run>");
+  assert.equal(rules.reasonFor("codex", "$skill-installer"), null);
+
+  await assert.rejects(() => rules.save({ codex: { patterns: ["([bad"] } }), /codex pattern \(\[bad is invalid/);
+  assert.throws(() => normalizeSystemRules([]), /keyed by provider id/);
+  assert.throws(() => normalizeSystemRules({ codex: { prefixes: "x" } }), /codex prefixes must be an array/);
+
+  await fs.rm(tempDir, { recursive: true, force: true });
+});
+
+test("systemRuleText collapses whitespace and clips long messages", () => {
+  assert.equal(systemRuleText("  line one\n\n line two "), "line one line two");
+  assert.equal(systemRuleText("   "), null);
+  assert.equal(systemRuleText(42), null);
+  assert.equal(systemRuleText("x".repeat(2000)).length, 500);
+});
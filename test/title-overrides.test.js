@@ -0,0 +1,68 @@
+const assert = require("node:assert/strict");
+const fs = require("node:fs/promises");
+const os = require("node:os");
+const path = require("node:path");
+const test = require("node:test");
+const { TitleOverrides } = require("../src/title-overrides");
+
+async function createTempDir() {
+  return fs.mkdtemp(path.join(os.tmpdir(), "session-hub-titles-"));
+}
+
+test("overrides are keyed by provider and thread id and keep the automatic title", async () => {
+  const tempDir = await createTempDir();
+  const filePath = path.join(tempDir, "nested", "titles.json");
+  const overrides = new TitleOverrides({ filePath });
+
+  assert.equal(await overrides.set("codex", "thread-1", "  Release\n  checklist  "), "Release checklist");
+  const items = [
+    { provider: "codex", threadId: "thread-1", title: "first prompt" },
+    { provider: "claude", threadId: "thread-1", title: "other provider" }
+  ];
+  const applied = overrides.apply(items);
+  assert.deepEqual(applied[0], {
+    provider: "codex",
+    threadId: "thread-1",
+    title: "Release checklist",
+    autoTitle: "first prompt",
+    customTitle: true
+  });
+  assert.equal(applied[1], items[1]);
+  assert.equal(items[0].title, "first prompt");
+
+  const reloaded = new TitleOverrides({ filePath });
+  await reloaded.load();
+  assert.equal(reloaded.get("codex", "thread-1"), "Release checklist");
+
+  assert.equal(await reloaded.set("codex", "thread-1", ""), null);
+  assert.equal(reloaded.get("codex", "thread-1"), null);
+  assert.deepEqual(JSON.parse(await fs.readFile(filePath, "utf8")), {});
+
+  await fs.rm(tempDir, { recursive: true, force: true });
+});
+
+test("titles are clipped, non-strings rejected and external edits picked up", async () => {
+  const tempDir = await createTempDir();
+  const filePath = path.join(tempDir, "titles.json");
+  const overrides = new TitleOverrides({ filePath });
+
+  assert.equal((await overrides.set("gemini", "g-1", "x".repeat(300))).length, 200);
+  await assert.rejects(overrides.set("gemini", "g-1", 42), /title must be a string/);
+  await assert.rejects(overrides.set("codex", "unknown", "Shared"), /no thread id/);
+  assert.equal(overrides.apply([{ provider: "codex", threadId: "unknown", title: "t" }])[0].title, "t");
+
+  await fs.writeFile(filePath, JSON.stringify({ qwen: { "q-1": "Edited by hand", "q-2": 7 } }), "utf8");
+  const stats = await fs.stat(filePath);
+  await fs.utimes(filePath, stats.atime, new Date(stats.mtimeMs + 2000));
+  await overrides.load();
+  assert.equal(overrides.get("qwen", "q-1"), "Edited by hand");
+  assert.equal(overrides.get("qwen", "q-2"), null);
+  assert.equal(overrides.get("gemini", "g-1"), null);
+
+  await fs.writeFile(filePath, "{ broken", "utf8");
+  await fs.utimes(filePath, stats.atime, new Date(stats.mtimeMs + 4000));
+  await overrides.load();
+  assert.equal(overrides.get("qwen", "q-1"), null);
+
+  await fs.rm(tempDir, { recursive: true, force: true });
+});
@@ -0,0 +1,68 @@
+const assert = require("node:assert/strict");
+const fs = require("node:fs/promises");
+const os = require("node:os");
+const path = require("node:path");
+const test = require("node:test");
+const {
+  MAX_PAGE_SIZE,
+  TranscriptPage,
+  contentText,
+  parsePageParams,
+  readJsonlTranscript
+} = require("../src/transcript");
+
+test("parsePageParams clamps offset and limit", () => {
+  assert.deepEqual(parsePageParams(new URLSearchParams("")), { offset: 0, limit: 50 });
+  assert.deepEqual(parsePageParams(new URLSearchParams("offset=-4&limit=abc")), { offset: 0, limit: 50 });
+  assert.deepEqual(parsePageParams(new URLSearchParams("offset=20&limit=100000")), {
+    offset: 20,
+    limit: MAX_PAGE_SIZE
+  });
+});
+
+test("TranscriptPage keeps only the requested window but counts every turn", () => {
+  const page = new TranscriptPage({ offset: 1, limit: 2 });
+  page.push({ kind: "user", text: "one" });
+  page.push({ kind: "assistant", text: "two" });
+  page.push({ kind: "reasoning", text: "ignored" });
+  page.push({ kind: "tool_call", text: { command: "ls" }, toolName: "shell" });
+  page.push({ kind: "tool_result", text: "four" });
+
+  const result = page.toJSON();
+  assert.equal(result.total, 4);
+  assert.deepEqual(result.turns.map((turn) => turn.index), [1, 2]);
+  assert.equal(result.turns[1].text, JSON.stringify({ command: "ls" }, null, 2));
+  assert.equal(result.nextOffset, 3);
+});
+
+test("contentText joins text blocks and skips the rest", () => {
+  assert.equal(contentText("plain"), "plain");
+  assert.equal(
+    contentText([{ type: "text", text: "first" }, { type: "image" }, { text: "" }, { type: "input_text", text: "second" }]),
+    "first\nsecond"
+  );
+  assert.equal(contentText({ text: "not a list" }), "");
+});
+
+test("pushToolCall adds the result only when there is one", () => {
+  const page = new TranscriptPage({ offset: 0, limit: 10 });
+  page.pushToolCall({ input: { command: "ls" }, output: "a.txt", toolName: "shell", callId: "c1" });
+  page.pushToolCall({ input: "pending", output: null, toolName: "shell", callId: "c2" });
+
+  assert.deepEqual(
+    page.toJSON().turns.map((turn) => [turn.kind, turn.callId]),
+    [["tool_call", "c1"], ["tool_result", "c1"], ["tool_call", "c2"]]
+  );
+});
+
+test("readJsonlTranscript skips lines that do not parse", async () => {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), "session-hub-transcript-"));
+  const filePath = path.join(root, "session.jsonl");
+  await fs.writeFile(filePath, '{"text":"one"}\n{"text":\n{"text":"two"}\n', "utf8");
+
+  const page = new TranscriptPage({ offset: 0, limit: 10 });
+  await readJsonlTranscript(filePath, page, (record, target) => target.push({ kind: "user", text: record.text }));
+  assert.deepEqual(page.toJSON().turns.map((turn) => turn.text), ["one", "two"]);
+
+  await fs.rm(root, { recursive: true, force: true });
+});
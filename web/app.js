@@ -28,31 +28,93 @@ function setStoredTheme(theme) {
   }
 }
 
+/* ── sort preference ──────────────────────────────────── */
+
+const DEFAULT_SORT = { key: "updatedAt", order: "desc" };
+// Numbers and dates start with the largest/newest first, text A to Z
+const TEXT_SORT_KEYS = new Set(["project", "branch", "model", "title"]);
+
+function getStoredSorts() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem("session-hub-sort") || "{}");
+    return parsed && typeof parsed === "object" ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+function setStoredSorts(sorts) {
+  try {
+    localStorage.setItem("session-hub-sort", JSON.stringify(sorts));
+  } catch {
+    // ignore
+  }
+}
+
+/* ── hidden sessions preference ───────────────────────── */
+
+function getStoredShowHidden() {
+  try {
+    return localStorage.getItem("session-hub-show-hidden") === "1";
+  } catch {
+    return false;
+  }
+}
+
+function setStoredShowHidden(showHidden) {
+  try {
+    localStorage.setItem("session-hub-show-hidden", showHidden ? "1" : "0");
+  } catch {
+    // ignore
+  }
+}
+
 // Apply immediately to avoid flash
 applyTheme(getStoredTheme() || "light");
 
 const state = {
   config: null,
-  sessions: [],
+  providers: [],
+  counts: null,
+  // providerId -> loaded pages of that provider's filtered listing
+  listings: {},
+  allView: null,
+  hiddenView: null,
+  showHidden: getStoredShowHidden(),
+  // { filePath, rules, defaults, error } from /api/system-rules, once opened
+  systemRules: null,
+  // { itemId, draft, writeBack } of the row whose title is being edited
+  renaming: null,
+  // itemId -> { state, provider } of every session row the UI has seen
+  itemMeta: new Map(),
   trash: [],
-  currentView: "codex",
+  currentView: null,
   queries: {
-    codex: "",
-    claude: "",
-    gemini: "",
     trash: ""
   },
-  stateFilter: {
-    codex: "all",
-    claude: "all",
-    gemini: "all"
-  },
+  stateFilter: {},
+  projectFilter: {},
+  sort: getStoredSorts(),
   selected: {
-    codex: new Set(),
-    claude: new Set(),
-    gemini: new Set(),
     trash: new Set()
   },
+  search: {
+    query: "",
+    results: [],
+    total: 0,
+    loading: false,
+    // set while the server is still building the index
+    building: false,
+    pending: 0,
+    requestToken: 0
+  },
+  detail: {
+    item: null,
+    turnCount: 0,
+    nextOffset: 0,
+    loading: false,
+    requestToken: 0
+  },
   confirmResolve: null,
   confirmKeyListenerBound: false,
   lastFocusedElement: null
@@ -63,46 +125,20 @@ const dom = {
   feedback: document.getElementById("feedback"),
   refreshAll: document.getElementById("refresh-all"),
   cleanupExpired: document.getElementById("cleanup-expired"),
+  hiddenToggle: document.getElementById("hidden-toggle"),
 
-  tabCodex: document.getElementById("tab-codex"),
-  tabClaude: document.getElementById("tab-claude"),
-  tabGemini: document.getElementById("tab-gemini"),
+  tabs: document.getElementById("tabs"),
+  tabSearch: document.getElementById("tab-search"),
   tabTrash: document.getElementById("tab-trash"),
-
-  viewCodex: document.getElementById("view-codex"),
-  viewClaude: document.getElementById("view-claude"),
-  viewGemini: document.getElementById("view-gemini"),
+  viewSearch: document.getElementById("view-search"),
   viewTrash: document.getElementById("view-trash"),
+  providerViewTemplate: document.getElementById("provider-view-template"),
+  systemRulesTemplate: document.getElementById("system-rules-template"),
 
-  codexQuery: document.getElementById("codex-query"),
-  codexSelectFiltered: document.getElementById("codex-select-filtered"),
-  codexClearSelection: document.getElementById("codex-clear-selection"),
-  codexSelectionMeta: document.getElementById("codex-selection-meta"),
-  codexCheckAll: document.getElementById("codex-check-all"),
-  codexBody: document.getElementById("codex-body"),
-  codexActionArchive: document.getElementById("codex-action-archive"),
-  codexActionUnarchive: document.getElementById("codex-action-unarchive"),
-  codexActionDelete: document.getElementById("codex-action-delete"),
-
-  claudeQuery: document.getElementById("claude-query"),
-  claudeSelectFiltered: document.getElementById("claude-select-filtered"),
-  claudeClearSelection: document.getElementById("claude-clear-selection"),
-  claudeSelectionMeta: document.getElementById("claude-selection-meta"),
-  claudeCheckAll: document.getElementById("claude-check-all"),
-  claudeBody: document.getElementById("claude-body"),
-  claudeActionArchive: document.getElementById("claude-action-archive"),
-  claudeActionUnarchive: document.getElementById("claude-action-unarchive"),
-  claudeActionDelete: document.getElementById("claude-action-delete"),
-
-  geminiQuery: document.getElementById("gemini-query"),
-  geminiSelectFiltered: document.getElementById("gemini-select-filtered"),
-  geminiClearSelection: document.getElementById("gemini-clear-selection"),
-  geminiSelectionMeta: document.getElementById("gemini-selection-meta"),
-  geminiCheckAll: document.getElementById("gemini-check-all"),
-  geminiBody: document.getElementById("gemini-body"),
-  geminiActionArchive: document.getElementById("gemini-action-archive"),
-  geminiActionUnarchive: document.getElementById("gemini-action-unarchive"),
-  geminiActionDelete: document.getElementById("gemini-action-delete"),
+  searchForm: document.getElementById("search-form"),
+  searchQuery: document.getElementById("search-query"),
+  searchMeta: document.getElementById("search-meta"),
+  searchResults: document.getElementById("search-results"),
 
   trashQuery: document.getElementById("trash-query"),
   trashSelectFiltered: document.getElementById("trash-select-filtered"),
@@ -113,6 +149,15 @@ const dom = {
   actionRestore: document.getElementById("action-restore"),
   actionPurge: document.getElementById("action-purge"),
 
+  detailPane: document.getElementById("detail-pane"),
+  detailMeta: document.getElementById("detail-meta"),
+  detailTitle: document.getElementById("detail-title"),
+  detailClose: document.getElementById("detail-close"),
+  detailBody: document.getElementById("detail-body"),
+  detailTurns: document.getElementById("detail-turns"),
+  detailStatus: document.getElementById("detail-status"),
+  detailLoadMore: document.getElementById("detail-load-more"),
+
   confirmModal: document.getElementById("confirm-modal"),
   confirmBackdrop: document.getElementById("confirm-backdrop"),
   confirmTitle: document.getElementById("confirm-title"),
@@ -121,6 +166,19 @@ const dom = {
   confirmAccept: document.getElementById("confirm-accept")
 };
 
+// providerId -> DOM handles of that provider's tab and view
+const providerViews = new Map();
+
+const ALL_VIEW_ID = "all";
+const HIDDEN_VIEW_ID = "hidden";
+const LISTING_PAGE_SIZE = 200;
+const QUERY_DEBOUNCE_MS = 250;
+const SEARCH_INDEX_POLL_MS = 2000;
+const VIRTUAL_ROW_HEIGHT = 38;
+const VIRTUAL_OVERSCAN = 12;
+
+let trashTable = null;
+
 /* ── helpers ──────────────────────────────────────────── */
 
 function formatBytes(sizeBytes) {
@@ -172,14 +230,10 @@ function statePill(sessionState) {
   return `<span class="pill active">active</span>`;
 }
 
-function providerBadge(provider) {
-  if (provider === "claude") {
-    return `<span class="pill claude">Claude</span>`;
-  }
-  if (provider === "gemini") {
-    return `<span class="pill gemini">Gemini</span>`;
-  }
-  return `<span class="pill codex">Codex</span>`;
+function providerBadge(providerId) {
+  const provider = state.providers.find((entry) => entry.id === providerId);
+  const label = provider ? provider.label : providerId;
+  return `<span class="pill provider ${escapeHtml(providerId)}">${escapeHtml(label)}</span>`;
 }
 
 function trashExpiryPill(isExpired) {
@@ -278,68 +332,297 @@ function requestConfirmation({
   });
 }
 
-/* ── filtering ────────────────────────────────────────── */
+/* ── detail pane ──────────────────────────────────────── */
+
+const DETAIL_PAGE_SIZE = 40;
+
+const TURN_LABELS = {
+  user: "User",
+  assistant: "Assistant",
+  tool_call: "Tool call",
+  tool_result: "Tool output"
+};
+
+function renderTurn(turn) {
+  const item = document.createElement("li");
+  item.className = `turn ${turn.kind}`;
+
+  const label = TURN_LABELS[turn.kind] || turn.kind;
+  const time = turn.timestamp ? formatDate(turn.timestamp) : "";
+  const truncatedNote = turn.truncated ? "\n… (truncated)" : "";
+
+  if (turn.kind === "tool_call" || turn.kind === "tool_result") {
+    const toolLabel = turn.toolName || turn.callId || "";
+    item.innerHTML = `
+      <details>
+        <summary>${escapeHtml(label)} <span>${escapeHtml(truncateText(toolLabel, 40))}</span> · ${escapeHtml(time)}</summary>
+        <pre class="turn-text"></pre>
+      </details>
+    `;
+  } else {
+    item.innerHTML = `
+      <div class="turn-head"><span>${escapeHtml(label)}</span><span>${escapeHtml(time)}</span></div>
+      <div class="turn-text"></div>
+    `;
+  }
+
+  item.querySelector(".turn-text").textContent = `${turn.text}${truncatedNote}`;
+  return item;
+}
 
-function codexSessions() {
-  return state.sessions.filter((s) => s.provider === "codex" || !s.provider);
+function markDetailRow() {
+  const openId = state.detail.item ? state.detail.item.itemId : null;
+  document.querySelectorAll("[data-item-id]").forEach((row) => {
+    row.classList.toggle("detail-open", row.getAttribute("data-item-id") === openId);
+  });
 }
 
-function claudeSessions() {
-  return state.sessions.filter((s) => s.provider === "claude");
+function renderDetailStatus() {
+  const { item, turnCount, nextOffset, loading } = state.detail;
+  if (!item) {
+    return;
+  }
+
+  if (loading) {
+    dom.detailStatus.textContent = "Loading…";
+  } else if (turnCount === 0 && nextOffset === null) {
+    dom.detailStatus.textContent = "No messages in this session.";
+  } else if (nextOffset === null) {
+    dom.detailStatus.textContent = `End of conversation · ${turnCount} turn(s)`;
+  } else {
+    dom.detailStatus.textContent = `${turnCount} turn(s) loaded`;
+  }
+  dom.detailLoadMore.classList.toggle("hidden", loading || nextOffset === null);
 }
 
-function filteredCodex() {
-  const query = state.queries.codex.trim().toLowerCase();
-  const stateF = state.stateFilter.codex;
-  return codexSessions().filter((session) => {
-    if (stateF !== "all" && session.state !== stateF) {
-      return false;
+async function loadDetailPage() {
+  const detail = state.detail;
+  if (!detail.item || detail.loading || detail.nextOffset === null) {
+    return;
+  }
+
+  const requestToken = detail.requestToken;
+  detail.loading = true;
+  renderDetailStatus();
+
+  try {
+    const params = new URLSearchParams({
+      offset: String(detail.nextOffset),
+      limit: String(DETAIL_PAGE_SIZE)
+    });
+    const page = await requestJson(
+      `/api/sessions/${encodeURIComponent(detail.item.itemId)}/transcript?${params}`
+    );
+    if (requestToken !== state.detail.requestToken) {
+      return;
     }
-    if (!query) {
-      return true;
+
+    for (const turn of page.turns || []) {
+      dom.detailTurns.appendChild(renderTurn(turn));
     }
-    const text = `${session.title || ""} ${session.threadId} ${session.fileName} ${
-      session.relativePath || ""
-    } ${session.state}`.toLowerCase();
-    return text.includes(query);
-  });
+    detail.turnCount += (page.turns || []).length;
+    detail.nextOffset = page.nextOffset;
+  } catch (error) {
+    if (requestToken === state.detail.requestToken) {
+      showFeedback(toError(error), "error");
+    }
+  } finally {
+    if (requestToken === state.detail.requestToken) {
+      detail.loading = false;
+      renderDetailStatus();
+    }
+  }
 }
 
-function filteredClaude() {
-  const query = state.queries.claude.trim().toLowerCase();
-  const stateF = state.stateFilter.claude;
-  return claudeSessions().filter((session) => {
-    if (stateF !== "all" && session.state !== stateF) {
-      return false;
-    }
-    if (!query) {
-      return true;
+function describeRunContext(session) {
+  const branch = session.gitBranch && session.gitCommit
+    ? `${session.gitBranch}@${session.gitCommit.slice(0, 7)}`
+    : session.gitBranch;
+  const client = session.cliVersion ? `${session.originator || "cli"} ${session.cliVersion}` : session.originator;
+  return [session.cwd, branch, session.model, client].filter(Boolean).join(" · ");
+}
+
+function describeMessageCounts(session) {
+  if (session.userMessageCount === undefined) {
+    return "";
+  }
+  const parts = [
+    `${session.userMessageCount} user`,
+    `${session.assistantMessageCount} assistant`,
+    `${session.toolCallCount} tool calls`
+  ];
+  if (session.sidechainMessageCount) {
+    parts.push(`${session.sidechainMessageCount} subagent records`);
+  }
+  return parts.join(" · ");
+}
+
+function openDetail(session) {
+  state.detail = {
+    item: session,
+    turnCount: 0,
+    nextOffset: 0,
+    loading: false,
+    requestToken: state.detail.requestToken + 1
+  };
+
+  dom.detailTitle.textContent = session.title || "Untitled session";
+  dom.detailMeta.innerHTML = `${providerBadge(session.provider)} ${statePill(
+    session.state
+  )} ${escapeHtml(formatDate(session.updatedAt))} · ${formatBytes(session.sizeBytes)}`;
+  const runContext = describeRunContext(session);
+  if (runContext) {
+    dom.detailMeta.innerHTML += `<br />${escapeHtml(runContext)}`;
+  }
+  if (session.systemReason) {
+    dom.detailMeta.innerHTML += `<br />Hidden: ${escapeHtml(session.systemReason)}`;
+  }
+  const messageCounts = describeMessageCounts(session);
+  if (messageCounts) {
+    dom.detailMeta.innerHTML += `<br />${escapeHtml(messageCounts)}`;
+  }
+  dom.detailTurns.innerHTML = "";
+  dom.detailBody.scrollTop = 0;
+  dom.detailPane.classList.remove("hidden");
+  dom.detailPane.setAttribute("aria-hidden", "false");
+  markDetailRow();
+
+  loadDetailPage();
+}
+
+function closeDetail() {
+  state.detail = {
+    item: null,
+    turnCount: 0,
+    nextOffset: 0,
+    loading: false,
+    requestToken: state.detail.requestToken + 1
+  };
+  dom.detailPane.classList.add("hidden");
+  dom.detailPane.setAttribute("aria-hidden", "true");
+  dom.detailTurns.innerHTML = "";
+  markDetailRow();
+}
+
+function bindRowDetail(row, session) {
+  row.classList.add("openable");
+  row.setAttribute("data-item-id", session.itemId);
+  row.classList.toggle(
+    "detail-open",
+    Boolean(state.detail.item && state.detail.item.itemId === session.itemId)
+  );
+  row.addEventListener("click", (event) => {
+    if (event.target.closest("input, button, label")) {
+      return;
     }
-    const text = `${session.title || ""} ${session.threadId} ${session.projectName || ""} ${
-      session.gitBranch || ""
-    } ${session.state}`.toLowerCase();
-    return text.includes(query);
+    openDetail(session);
   });
 }
 
-function geminiSessions() {
-  return state.sessions.filter((s) => s.provider === "gemini");
+/* ── filtering ────────────────────────────────────────── */
+
+function projectLabel(session) {
+  return window.SessionQuery.projectOf(session);
 }
 
-function filteredGemini() {
-  const query = state.queries.gemini.trim().toLowerCase();
-  const stateF = state.stateFilter.gemini;
-  return geminiSessions().filter((session) => {
-    if (stateF !== "all" && session.state !== stateF) {
-      return false;
-    }
-    if (!query) {
+// The All tab is a provider view over every provider at once, so it reuses
+// the provider view machinery with a synthetic definition.
+function buildAllView(providers) {
+  const anySupports = (capability) => providers.some((provider) => provider.capabilities[capability]);
+  return {
+    id: ALL_VIEW_ID,
+    label: "All",
+    capabilities: {
+      archive: anySupports("archive"),
+      unarchive: anySupports("unarchive"),
+      transcript: anySupports("transcript"),
+      trash: true
+    },
+    columns: [
+      { key: "provider", label: "Provider", format: "provider", sort: "provider" },
+      { key: "project", label: "Project", format: "text", maxLength: 30, sort: "project", value: projectLabel },
+      { key: "createdAt", label: "Created", format: "date", sort: "createdAt" },
+      { key: "updatedAt", label: "Updated", format: "date", sort: "updatedAt" },
+      { key: "sizeBytes", label: "Size", format: "bytes", sort: "sizeBytes" }
+    ],
+    searchFields: []
+  };
+}
+
+// System-generated sessions (exec runs, subagents, sessions without a user
+// message) are left out of every other view. This view lists them with the
+// reason they were classified that way, so they can be bulk-cleaned.
+function buildHiddenView(providers) {
+  const anySupports = (capability) => providers.some((provider) => provider.capabilities[capability]);
+  return {
+    id: HIDDEN_VIEW_ID,
+    label: "Hidden",
+    capabilities: {
+      archive: anySupports("archive"),
+      unarchive: anySupports("unarchive"),
+      transcript: anySupports("transcript"),
+      trash: true
+    },
+    columns: [
+      { key: "provider", label: "Provider", format: "provider", sort: "provider" },
+      { key: "systemReason", label: "Reason", format: "text", maxLength: 40, sort: "reason" },
+      { key: "project", label: "Project", format: "text", maxLength: 30, sort: "project", value: projectLabel },
+      { key: "updatedAt", label: "Updated", format: "date", sort: "updatedAt" },
+      { key: "sizeBytes", label: "Size", format: "bytes", sort: "sizeBytes" }
+    ],
+    searchFields: []
+  };
+}
+
+function listViews() {
+  const views = state.allView ? [state.allView, ...state.providers] : [...state.providers];
+  return state.hiddenView ? [...views, state.hiddenView] : views;
+}
+
+function providerById(providerId) {
+  return listViews().find((provider) => provider.id === providerId) || null;
+}
+
+// Filtering, sorting and paging happen on the server; these are the
+// parameters describing what a provider view currently shows.
+function listingParams(providerId) {
+  const sort = state.sort[providerId];
+  const params = new URLSearchParams({ sort: sort.key, order: sort.order });
+  if (providerId === HIDDEN_VIEW_ID) {
+    params.set("hidden", "1");
+  } else if (providerId !== ALL_VIEW_ID) {
+    params.set("provider", providerId);
+  }
+  if (state.stateFilter[providerId] !== "all") {
+    params.set("state", state.stateFilter[providerId]);
+  }
+  if (state.projectFilter[providerId]) {
+    params.set("project", state.projectFilter[providerId]);
+  }
+  const query = state.queries[providerId].trim();
+  if (query) {
+    params.set("q", query);
+  }
+  return params;
+}
+
+function rememberItems(items) {
+  for (const item of items) {
+    state.itemMeta.set(item.itemId, { state: item.state, provider: item.provider });
+  }
+}
+
+// Archive only applies to active sessions and unarchive to archived ones,
+// each only where the session's provider supports it.
+function actionableIds(selectedSet, actionName) {
+  const requiredState = { archive: "active", unarchive: "archived" }[actionName];
+  return Array.from(selectedSet).filter((itemId) => {
+    if (!requiredState) {
       return true;
     }
-    const text = `${session.title || ""} ${session.threadId} ${session.projectHash || ""} ${
-      session.state
-    }`.toLowerCase();
-    return text.includes(query);
+    const meta = state.itemMeta.get(itemId);
+    const provider = meta && providerById(meta.provider);
+    return Boolean(provider && provider.capabilities[actionName] && meta.state === requiredState);
   });
 }
 
@@ -362,22 +645,426 @@ function filteredTrash() {
 function setCurrentView(viewName) {
   state.currentView = viewName;
 
-  dom.viewCodex.classList.toggle("hidden", viewName !== "codex");
-  dom.viewClaude.classList.toggle("hidden", viewName !== "claude");
-  dom.viewGemini.classList.toggle("hidden", viewName !== "gemini");
-  dom.viewTrash.classList.toggle("hidden", viewName !== "trash");
+  for (const [providerId, view] of providerViews) {
+    view.section.classList.toggle("hidden", viewName !== providerId);
+    view.tab.classList.toggle("active", viewName === providerId);
+    view.tab.setAttribute("aria-selected", String(viewName === providerId));
+  }
 
-  dom.tabCodex.classList.toggle("active", viewName === "codex");
-  dom.tabClaude.classList.toggle("active", viewName === "claude");
-  dom.tabGemini.classList.toggle("active", viewName === "gemini");
-  dom.tabTrash.classList.toggle("active", viewName === "trash");
+  const listing = state.listings[viewName];
+  if (listing && listing.stale && !listing.loading) {
+    loadListing(viewName).catch((error) => showFeedback(toError(error), "error"));
+  }
 
-  dom.tabCodex.setAttribute("aria-selected", String(viewName === "codex"));
-  dom.tabClaude.setAttribute("aria-selected", String(viewName === "claude"));
-  dom.tabGemini.setAttribute("aria-selected", String(viewName === "gemini"));
+  dom.viewSearch.classList.toggle("hidden", viewName !== "search");
+  dom.tabSearch.classList.toggle("active", viewName === "search");
+  dom.tabSearch.setAttribute("aria-selected", String(viewName === "search"));
+
+  dom.viewTrash.classList.toggle("hidden", viewName !== "trash");
+  dom.tabTrash.classList.toggle("active", viewName === "trash");
   dom.tabTrash.setAttribute("aria-selected", String(viewName === "trash"));
 }
 
+/* ── provider views ───────────────────────────────────── */
+
+function buildProviderView(provider) {
+  const section = dom.providerViewTemplate.content.firstElementChild.cloneNode(true);
+  section.id = `view-${provider.id}`;
+  const find = (role) => section.querySelector(`[data-role="${role}"]`);
+
+  const view = {
+    section,
+    tab: document.createElement("button"),
+    query: find("query"),
+    selectFiltered: find("select-filtered"),
+    clearSelection: find("clear-selection"),
+    selectionMeta: find("selection-meta"),
+    checkAll: find("check-all"),
+    scroller: section.querySelector(".table-wrap"),
+    body: find("body"),
+    listStatus: find("list-status"),
+    projectSummary: find("project-summary"),
+    projectList: find("project-list"),
+    loadMore: find("load-more"),
+    queryTimer: null,
+    actionArchive: find("action-archive"),
+    actionUnarchive: find("action-unarchive"),
+    actionDelete: find("action-delete")
+  };
+
+  view.tab.id = `tab-${provider.id}`;
+  view.tab.className = "tab";
+  view.tab.setAttribute("role", "tab");
+  view.tab.setAttribute("aria-selected", "false");
+  view.tab.textContent = provider.label;
+  const filterLabel =
+    { [ALL_VIEW_ID]: "all sessions", [HIDDEN_VIEW_ID]: "hidden sessions" }[provider.id] || provider.label;
+  view.query.placeholder = `Filter ${filterLabel}: text "phrase" -exclude size:>5MB updated:<90d`;
+
+  const headRow = find("head");
+  view.sortHeaders = [];
+  for (const column of provider.columns) {
+    const th = document.createElement("th");
+    th.textContent = column.label;
+    if (column.sort) {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "sort-header";
+      button.innerHTML = `${escapeHtml(column.label)}<span class="sort-indicator" aria-hidden="true"></span>`;
+      button.addEventListener("click", () => changeSort(provider.id, column.sort));
+      th.replaceChildren(button);
+      view.sortHeaders.push({ th, key: column.sort });
+    }
+    headRow.appendChild(th);
+  }
+
+  view.actionArchive.classList.toggle("hidden", !provider.capabilities.archive);
+  view.actionUnarchive.classList.toggle("hidden", !provider.capabilities.unarchive);
+
+  view.table = createVirtualTable({
+    scroller: view.scroller,
+    body: view.body,
+    columnCount: 3 + provider.columns.length,
+    renderRow: (session) => renderSessionRow(provider, session),
+    onNearEnd: () => {
+      loadListing(provider.id, { append: true }).catch((error) => showFeedback(toError(error), "error"));
+    }
+  });
+
+  dom.tabs.insertBefore(view.tab, dom.tabSearch);
+  dom.viewSearch.parentElement.insertBefore(section, dom.viewSearch);
+  return view;
+}
+
+function wireProviderView(provider, view) {
+  const providerId = provider.id;
+
+  view.tab.addEventListener("click", () => setCurrentView(providerId));
+
+  view.section.querySelectorAll(".state-filter-btn").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      state.stateFilter[providerId] = btn.getAttribute("data-state");
+      state.selected[providerId].clear();
+      btn.parentElement.querySelectorAll(".state-filter-btn").forEach((b) => b.classList.remove("active"));
+      btn.classList.add("active");
+      loadListing(providerId).catch((error) => showFeedback(toError(error), "error"));
+    });
+  });
+
+  view.query.addEventListener("input", (event) => {
+    state.queries[providerId] = event.target.value;
+    const { errors } = window.SessionQuery.compileQuery(event.target.value);
+    view.query.classList.toggle("invalid", errors.length > 0);
+    view.query.title = errors.join("\n");
+    clearTimeout(view.queryTimer);
+    view.queryTimer = setTimeout(() => {
+      state.selected[providerId].clear();
+      loadListing(providerId).catch((error) => showFeedback(toError(error), "error"));
+    }, QUERY_DEBOUNCE_MS);
+  });
+  view.selectFiltered.addEventListener("click", () => {
+    selectFiltered(providerId).catch((error) => showFeedback(toError(error), "error"));
+  });
+  view.projectList.addEventListener("click", (event) => {
+    const entry = event.target.closest("[data-project]");
+    if (!entry) {
+      return;
+    }
+    const project = entry.getAttribute("data-project");
+    state.projectFilter[providerId] = state.projectFilter[providerId] === project ? "" : project;
+    state.selected[providerId].clear();
+    loadListing(providerId).catch((error) => showFeedback(toError(error), "error"));
+  });
+  view.loadMore.addEventListener("click", () => {
+    loadListing(providerId, { append: true }).catch((error) => showFeedback(toError(error), "error"));
+  });
+  view.clearSelection.addEventListener("click", () => {
+    state.selected[providerId].clear();
+    renderProviderView(providerId);
+  });
+  view.body.addEventListener("click", (event) => {
+    const renameButton = event.target.closest('[data-role="rename"]');
+    if (renameButton) {
+      startRename(providerId, renameButton.closest("tr").getAttribute("data-row-id"));
+    }
+  });
+  view.body.addEventListener("input", (event) => {
+    if (state.renaming && event.target.getAttribute("data-role") === "rename-input") {
+      state.renaming.draft = event.target.value;
+    }
+  });
+  view.body.addEventListener("keydown", (event) => {
+    if (!state.renaming || event.target.getAttribute("data-role") !== "rename-input") {
+      return;
+    }
+    if (event.key === "Enter") {
+      event.preventDefault();
+      submitRename(providerId).catch((error) => showFeedback(toError(error), "error"));
+    } else if (event.key === "Escape") {
+      event.preventDefault();
+      event.stopPropagation();
+      state.renaming = null;
+      renderProviderView(providerId);
+    }
+  });
+  view.body.addEventListener("change", (event) => {
+    if (state.renaming && event.target.getAttribute("data-role") === "rename-write-back") {
+      state.renaming.writeBack = event.target.checked;
+      return;
+    }
+    toggleRowSelection(state.selected[providerId], event.target, "data-session-id");
+    renderCheckAll(view.checkAll, state.selected[providerId], state.listings[providerId].items, "itemId");
+    renderSelectionMeta();
+  });
+  view.checkAll.addEventListener("change", (event) => {
+    applySelection(state.selected[providerId], state.listings[providerId].items, "itemId", event.target.checked);
+    renderProviderView(providerId);
+  });
+  view.actionArchive.addEventListener("click", () => {
+    runSessionAction(providerId, "archive").catch((error) => showFeedback(toError(error), "error"));
+  });
+  view.actionUnarchive.addEventListener("click", () => {
+    runSessionAction(providerId, "unarchive").catch((error) => showFeedback(toError(error), "error"));
+  });
+  view.actionDelete.addEventListener("click", () => {
+    runSessionAction(providerId, "delete").catch((error) => showFeedback(toError(error), "error"));
+  });
+}
+
+function ensureProviderViews() {
+  for (const provider of listViews()) {
+    if (providerViews.has(provider.id)) {
+      continue;
+    }
+
+    state.queries[provider.id] = "";
+    state.stateFilter[provider.id] = "all";
+    state.projectFilter[provider.id] = "";
+    state.selected[provider.id] = new Set();
+    const sortable = new Set(provider.columns.map((column) => column.sort).filter(Boolean));
+    if (!state.sort[provider.id] || !sortable.has(state.sort[provider.id].key)) {
+      state.sort[provider.id] = { ...DEFAULT_SORT };
+    }
+    state.listings[provider.id] = {
+      items: [],
+      total: 0,
+      nextCursor: null,
+      facets: null,
+      loading: false,
+      stale: true,
+      requestToken: 0
+    };
+
+    const view = buildProviderView(provider);
+    providerViews.set(provider.id, view);
+    wireProviderView(provider, view);
+    if (provider.id === HIDDEN_VIEW_ID) {
+      buildRulesEditor(view);
+    }
+    renderSortHeaders(provider.id);
+  }
+
+  renderHiddenToggle();
+}
+
+function renderHiddenToggle() {
+  dom.hiddenToggle.textContent = state.showHidden ? "Hide System Sessions" : "Show System Sessions";
+  dom.hiddenToggle.setAttribute("aria-pressed", String(state.showHidden));
+  const hiddenTab = providerViews.get(HIDDEN_VIEW_ID);
+  if (hiddenTab) {
+    hiddenTab.tab.classList.toggle("hidden", !state.showHidden);
+  }
+
+  const isStaticView = state.currentView === "trash" || state.currentView === "search";
+  const isAvailable =
+    providerViews.has(state.currentView) && (state.showHidden || state.currentView !== HIDDEN_VIEW_ID);
+  if (!state.currentView || (!isStaticView && !isAvailable)) {
+    setCurrentView(state.providers.length > 0 ? state.providers[0].id : "trash");
+  }
+}
+
+/* ── renaming ─────────────────────────────────────────── */
+
+function startRename(providerId, itemId) {
+  const session = state.listings[providerId].items.find((item) => item.itemId === itemId);
+  if (!session) {
+    return;
+  }
+  state.renaming = { itemId, draft: session.customTitle ? session.title : "", writeBack: false };
+  renderProviderView(providerId);
+  const input = providerViews.get(providerId).body.querySelector('[data-role="rename-input"]');
+  if (input) {
+    input.focus();
+    input.select();
+  }
+}
+
+// Saves the edited title and patches it into every loaded listing, so the
+// tabs showing the session update without a reload.
+async function submitRename(providerId) {
+  const { itemId, draft, writeBack } = state.renaming;
+  const result = await requestJson("/api/sessions/title", {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ itemId, title: draft, writeBack })
+  });
+
+  state.renaming = null;
+  const patch = { title: result.title, autoTitle: result.autoTitle, customTitle: result.customTitle };
+  for (const listing of Object.values(state.listings)) {
+    listing.items = listing.items.map((item) => (item.itemId === itemId ? { ...item, ...patch } : item));
+  }
+  if (state.detail.item && state.detail.item.itemId === itemId) {
+    state.detail.item = { ...state.detail.item, ...patch };
+    dom.detailTitle.textContent = result.title || "Untitled session";
+  }
+  renderProviderView(providerId);
+  showFeedback(
+    result.customTitle ? `Renamed to "${result.title}".` : "Restored the automatic title.",
+    "ok"
+  );
+}
+
+/* ── detection rules ──────────────────────────────────── */
+
+function buildRulesEditor(view) {
+  const section = dom.systemRulesTemplate.content.firstElementChild.cloneNode(true);
+  const find = (role) => section.querySelector(`[data-role="${role}"]`);
+  const editor = {
+    section,
+    path: find("rules-path"),
+    fields: find("rules-fields"),
+    status: find("rules-status"),
+    save: find("rules-save"),
+    reset: find("rules-reset")
+  };
+  view.rulesEditor = editor;
+  view.projectList.closest("details").before(section);
+
+  section.addEventListener("toggle", () => {
+    if (section.open) {
+      loadSystemRules().catch((error) => showFeedback(toError(error), "error"));
+    }
+  });
+  editor.fields.addEventListener("input", (event) => {
+    if (event.target.getAttribute("data-kind") === "patterns") {
+      validatePatternField(event.target);
+    }
+  });
+  editor.save.addEventListener("click", () => {
+    saveSystemRules().catch((error) => {
+      editor.status.textContent = toError(error);
+      showFeedback(toError(error), "error");
+    });
+  });
+  editor.reset.addEventListener("click", () => {
+    if (state.systemRules) {
+      renderRulesEditor(state.systemRules.defaults);
+      editor.status.textContent = "Defaults restored. Save to apply them.";
+    }
+  });
+}
+
+function ruleLines(text) {
+  return text.split("\n").map((line) => line.trim()).filter(Boolean);
+}
+
+function validatePatternField(textarea) {
+  const errors = [];
+  for (const pattern of ruleLines(textarea.value)) {
+    try {
+      new RegExp(pattern, "i");
+    } catch (error) {
+      errors.push(toError(error));
+    }
+  }
+  textarea.classList.toggle("invalid", errors.length > 0);
+  textarea.title = errors.join("\n");
+}
+
+function renderRulesEditor(rules) {
+  const editor = providerViews.get(HIDDEN_VIEW_ID).rulesEditor;
+  const { filePath, error } = state.systemRules;
+  editor.path.textContent = error
+    ? `${filePath} could not be read (${error}); using the built-in rules.`
+    : `Rules file: ${filePath || "not saved to disk"}`;
+  editor.status.textContent = "";
+
+  const headings = ["Provider", "Prefixes", "Regular expressions"]
+    .map((heading) => `<span class="muted">${heading}</span>`)
+    .join("");
+  editor.fields.innerHTML =
+    headings +
+    Object.entries(rules)
+      .map(([providerId, entry]) => {
+        const provider = providerById(providerId);
+        const label = provider ? provider.label : providerId;
+        const field = (kind, lines) =>
+          `<textarea data-provider="${escapeHtml(providerId)}" data-kind="${kind}" spellcheck="false" aria-label="${escapeHtml(
+            `${label} ${kind}`
+          )}">${escapeHtml(lines.join("\n"))}</textarea>`;
+        return `<span class="rules-provider">${escapeHtml(label)}</span>${field("prefixes", entry.prefixes)}${field(
+          "patterns",
+          entry.patterns
+        )}`;
+      })
+      .join("");
+  editor.fields.querySelectorAll('[data-kind="patterns"]').forEach(validatePatternField);
+}
+
+async function loadSystemRules() {
+  state.systemRules = await requestJson("/api/system-rules");
+  renderRulesEditor(state.systemRules.rules);
+}
+
+async function saveSystemRules() {
+  const editor = providerViews.get(HIDDEN_VIEW_ID).rulesEditor;
+  const rules = {};
+  editor.fields.querySelectorAll("textarea").forEach((textarea) => {
+    const providerId = textarea.getAttribute("data-provider");
+    rules[providerId] = rules[providerId] || { prefixes: [], patterns: [] };
+    rules[providerId][textarea.getAttribute("data-kind")] = ruleLines(textarea.value);
+  });
+
+  state.systemRules = await requestJson("/api/system-rules", {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ rules })
+  });
+  renderRulesEditor(state.systemRules.rules);
+  showFeedback("Detection rules saved; sessions were reclassified.", "ok");
+  await loadSessions();
+  renderAll();
+}
+
+/* ── sorting ──────────────────────────────────────────── */
+
+function changeSort(providerId, key) {
+  const current = state.sort[providerId];
+  let order = TEXT_SORT_KEYS.has(key) ? "asc" : "desc";
+  if (current.key === key) {
+    order = current.order === "desc" ? "asc" : "desc";
+  }
+  state.sort[providerId] = { key, order };
+  setStoredSorts(state.sort);
+  renderSortHeaders(providerId);
+  loadListing(providerId).catch((error) => showFeedback(toError(error), "error"));
+}
+
+function renderSortHeaders(providerId) {
+  const { key, order } = state.sort[providerId];
+  for (const header of providerViews.get(providerId).sortHeaders) {
+    const active = header.key === key;
+    header.th.classList.toggle("sorted", active);
+    if (active) {
+      header.th.setAttribute("aria-sort", order === "asc" ? "ascending" : "descending");
+    } else {
+      header.th.removeAttribute("aria-sort");
+    }
+    header.th.querySelector(".sort-indicator").textContent = active ? (order === "asc" ? " ▲" : " ▼") : "";
+  }
+}
+
 /* ── selection helpers ────────────────────────────────── */
 
 function applySelection(selectedSet, rows, idField, shouldSelect) {
@@ -395,6 +1082,22 @@ function countSelectedRows(selectedSet, rows, idField) {
   return rows.filter((row) => selectedSet.has(row[idField])).length;
 }
 
+function renderCheckAll(checkAll, selectedSet, rows, idField) {
+  checkAll.checked = rows.length > 0 && countSelectedRows(selectedSet, rows, idField) === rows.length;
+}
+
+function toggleRowSelection(selectedSet, checkbox, idAttribute) {
+  const id = checkbox.getAttribute(idAttribute);
+  if (!id) {
+    return;
+  }
+  if (checkbox.checked) {
+    selectedSet.add(id);
+  } else {
+    selectedSet.delete(id);
+  }
+}
+
 function pruneSelectionSet(selectedSet, validIds) {
   for (const selected of Array.from(selectedSet)) {
     if (!validIds.has(selected)) {
@@ -403,282 +1106,496 @@ function pruneSelectionSet(selectedSet, validIds) {
   }
 }
 
-/* ── render: Codex ────────────────────────────────────── */
-
-function renderCodex() {
-  const rows = filteredCodex();
-  const selectedSet = state.selected.codex;
+/* ── virtual tables ───────────────────────────────────── */
 
-  dom.codexBody.innerHTML = "";
-  for (const session of rows) {
-    const title = session.title || "Untitled session";
-    const displayTitle = truncateText(title, 62);
-    const displayThreadId = truncateText(session.threadId, 14);
+// Renders only the rows inside the scrolled viewport (plus some overscan);
+// spacer rows above and below keep the scrollbar sized for the full list.
+// Selection lives in state.selected, so rows can be dropped and rebuilt freely.
+function createVirtualTable({ scroller, body, columnCount, renderRow, onNearEnd = null }) {
+  const table = { rows: [], rowHeight: VIRTUAL_ROW_HEIGHT, start: -1, end: -1, frame: 0 };
 
+  function spacer(height) {
     const row = document.createElement("tr");
-    row.innerHTML = `
-      <td><input type="checkbox" data-session-id="${session.itemId}" /></td>
-      <td class="title-cell" title="${escapeHtml(title)}">${escapeHtml(displayTitle)}</td>
-      <td>${statePill(session.state)}</td>
-      <td title="${escapeHtml(session.threadId)}">${escapeHtml(displayThreadId)}</td>
-      <td>${formatDate(session.updatedAt)}</td>
-      <td>${formatBytes(session.sizeBytes)}</td>
-      <td title="${escapeHtml(session.relativePath || "")}">${escapeHtml(
-      truncateText(session.relativePath || "", 48)
-    )}</td>
-    `;
-    dom.codexBody.appendChild(row);
+    row.className = "virtual-spacer";
+    row.setAttribute("aria-hidden", "true");
+    row.style.height = `${height}px`;
+    row.innerHTML = `<td colspan="${columnCount}"></td>`;
+    return row;
   }
 
-  dom.codexBody.querySelectorAll("input[type=checkbox]").forEach((checkbox) => {
-    const id = checkbox.getAttribute("data-session-id");
-    checkbox.checked = selectedSet.has(id);
-    checkbox.addEventListener("change", () => {
-      if (checkbox.checked) {
-        selectedSet.add(id);
-      } else {
-        selectedSet.delete(id);
-      }
-      renderSelectionMeta();
+  function draw(force) {
+    const viewport = scroller.clientHeight || window.innerHeight || 800;
+    const visibleCount = Math.ceil(viewport / table.rowHeight);
+    const first = Math.max(
+      0,
+      Math.min(
+        Math.floor(scroller.scrollTop / table.rowHeight) - VIRTUAL_OVERSCAN,
+        table.rows.length - visibleCount - VIRTUAL_OVERSCAN
+      )
+    );
+    const last = Math.min(table.rows.length, first + visibleCount + 2 * VIRTUAL_OVERSCAN);
+    if (!force && first === table.start && last === table.end) {
+      return;
+    }
+    table.start = first;
+    table.end = last;
+
+    const fragment = document.createDocumentFragment();
+    fragment.appendChild(spacer(first * table.rowHeight));
+    for (let index = first; index < last; index += 1) {
+      fragment.appendChild(renderRow(table.rows[index]));
+    }
+    fragment.appendChild(spacer((table.rows.length - last) * table.rowHeight));
+    body.replaceChildren(fragment);
+
+    const sample = body.children[1];
+    if (last > first && sample.offsetHeight > 0 && sample.offsetHeight !== table.rowHeight) {
+      table.rowHeight = sample.offsetHeight;
+      draw(true);
+      return;
+    }
+
+    if (onNearEnd && table.rows.length > 0 && last >= table.rows.length) {
+      onNearEnd();
+    }
+  }
+
+  scroller.addEventListener("scroll", () => {
+    if (table.frame) {
+      return;
+    }
+    table.frame = window.requestAnimationFrame(() => {
+      table.frame = 0;
+      draw(false);
     });
   });
 
-  const selectedInRows = countSelectedRows(selectedSet, rows, "itemId");
-  dom.codexCheckAll.checked = rows.length > 0 && selectedInRows === rows.length;
-  renderSelectionMeta();
+  return {
+    setRows(rows, { resetScroll = false } = {}) {
+      table.rows = rows;
+      if (resetScroll) {
+        scroller.scrollTop = 0;
+      }
+      draw(true);
+    }
+  };
+}
+
+/* ── render: sessions ─────────────────────────────────── */
+
+function renderCell(session, column) {
+  let value = column.value ? column.value(session) : session[column.key];
+  if ((value === undefined || value === null || value === "") && column.fallback) {
+    value = session[column.fallback];
+  }
+  if (column.format === "provider") {
+    return `<td>${providerBadge(value)}</td>`;
+  }
+  if (column.format === "date") {
+    return `<td>${formatDate(value)}</td>`;
+  }
+  if (column.format === "bytes") {
+    return `<td>${formatBytes(value)}</td>`;
+  }
+  if (column.format === "number") {
+    return `<td>${Number(value) || 0}</td>`;
+  }
+
+  const text = value === undefined || value === null || value === "" ? "-" : String(value);
+  return `<td title="${escapeHtml(text)}">${escapeHtml(
+    truncateText(text, column.maxLength || 40)
+  )}</td>`;
 }
 
-/* ── render: Claude ───────────────────────────────────── */
+function renderTitleCell(session, owner) {
+  const title = session.title || "Untitled session";
+  const renaming = state.renaming && state.renaming.itemId === session.itemId ? state.renaming : null;
+  if (renaming) {
+    const writeBack = owner && owner.capabilities.titleWriteBack
+      ? `<label class="rename-write-back muted"><input type="checkbox" data-role="rename-write-back"${
+          renaming.writeBack ? " checked" : ""
+        } /> also in ${escapeHtml(owner.label)}</label>`
+      : "";
+    return `<td class="title-cell renaming">
+      <input type="text" class="rename-input" data-role="rename-input" maxlength="200" value="${escapeHtml(
+        renaming.draft
+      )}" placeholder="${escapeHtml(session.autoTitle || title)}" title="Enter saves, Esc cancels, empty restores the automatic title" />
+      ${writeBack}
+    </td>`;
+  }
 
-function renderClaude() {
-  const rows = filteredClaude();
-  const selectedSet = state.selected.claude;
+  // Titles are kept per thread id; Codex rollouts with unparseable names have none.
+  const renameButton = session.threadId && session.threadId !== "unknown"
+    ? '<button type="button" class="rename-btn" data-role="rename" aria-label="Rename session" title="Rename">✎</button>'
+    : "";
+  const tooltip = session.customTitle ? `${title}\nRenamed from: ${session.autoTitle || "-"}` : title;
+  return `<td class="title-cell${session.customTitle ? " custom-title" : ""}" title="${escapeHtml(tooltip)}">
+    ${renameButton}
+    ${escapeHtml(truncateText(title, 62))}
+  </td>`;
+}
 
-  dom.claudeBody.innerHTML = "";
-  for (const session of rows) {
-    const title = session.title || "Untitled session";
-    const displayTitle = truncateText(title, 62);
-    const project = session.projectName || "-";
-    const branch = session.gitBranch || "-";
+function renderSessionRow(provider, session) {
+  const checked = state.selected[provider.id].has(session.itemId) ? " checked" : "";
+  const owner = providerById(session.provider);
+
+  const row = document.createElement("tr");
+  row.setAttribute("data-row-id", session.itemId);
+  row.innerHTML = `
+    <td><input type="checkbox" data-session-id="${escapeHtml(session.itemId)}"${checked} /></td>
+    ${renderTitleCell(session, owner)}
+    <td>${statePill(session.state)}</td>
+    ${provider.columns.map((column) => renderCell(session, column)).join("")}
+  `;
+  if (owner && owner.capabilities.transcript) {
+    bindRowDetail(row, session);
+  }
+  return row;
+}
 
-    const row = document.createElement("tr");
-    row.innerHTML = `
-      <td><input type="checkbox" data-session-id="${session.itemId}" /></td>
-      <td class="title-cell" title="${escapeHtml(title)}">${escapeHtml(displayTitle)}</td>
-      <td>${statePill(session.state)}</td>
-      <td title="${escapeHtml(project)}">${escapeHtml(truncateText(project, 30))}</td>
-      <td>${escapeHtml(truncateText(branch, 20))}</td>
-      <td>${formatDate(session.updatedAt)}</td>
-      <td>${formatBytes(session.sizeBytes)}</td>
-    `;
-    dom.claudeBody.appendChild(row);
+function renderProviderView(providerId, { resetScroll = false } = {}) {
+  const provider = providerById(providerId);
+  const view = providerViews.get(providerId);
+  if (!provider || !view) {
+    return;
   }
 
-  dom.claudeBody.querySelectorAll("input[type=checkbox]").forEach((checkbox) => {
-    const id = checkbox.getAttribute("data-session-id");
-    checkbox.checked = selectedSet.has(id);
-    checkbox.addEventListener("change", () => {
-      if (checkbox.checked) {
-        selectedSet.add(id);
-      } else {
-        selectedSet.delete(id);
-      }
-      renderSelectionMeta();
-    });
-  });
+  const rows = state.listings[providerId].items;
+  view.table.setRows(rows, { resetScroll });
 
-  const selectedInRows = countSelectedRows(selectedSet, rows, "itemId");
-  dom.claudeCheckAll.checked = rows.length > 0 && selectedInRows === rows.length;
+  renderCheckAll(view.checkAll, state.selected[providerId], rows, "itemId");
+  renderListStatus(providerId);
+  renderProjectFacet(providerId);
+  renderTabCounts();
   renderSelectionMeta();
 }
 
-/* ── render: Gemini ───────────────────────────────────── */
+function projectDisplayName(project, depth = 1) {
+  const segments = project.split(/[\\/]/).filter(Boolean);
+  return segments.length > 0 ? segments.slice(-depth).join("/") : project;
+}
 
-function renderGemini() {
-  const rows = filteredGemini();
-  const selectedSet = state.selected.gemini;
+// Projects are counted server-side across providers (directory, Codex cwd or
+// Gemini project hash); picking one narrows the view to that project.
+function renderProjectFacet(providerId) {
+  const view = providerViews.get(providerId);
+  const facets = state.listings[providerId].facets;
+  const selected = state.projectFilter[providerId];
+  const projects = Object.entries((facets && facets.project) || {}).sort(
+    ([leftName, leftCount], [rightName, rightCount]) => rightCount - leftCount || leftName.localeCompare(rightName)
+  );
 
-  dom.geminiBody.innerHTML = "";
-  for (const session of rows) {
-    const title = session.title || "Untitled session";
-    const displayTitle = truncateText(title, 62);
-    const hash = session.projectHash || "-";
+  view.projectSummary.textContent = selected
+    ? `Project: ${projectDisplayName(selected)}`
+    : `Projects (${projects.length})`;
 
-    const row = document.createElement("tr");
-    row.innerHTML = `
-      <td><input type="checkbox" data-session-id="${session.itemId}" /></td>
-      <td class="title-cell" title="${escapeHtml(title)}">${escapeHtml(displayTitle)}</td>
-      <td>${statePill(session.state)}</td>
-      <td title="${escapeHtml(hash)}">${escapeHtml(truncateText(hash, 16))}</td>
-      <td>${session.messageCount || 0}</td>
-      <td>${formatDate(session.updatedAt)}</td>
-      <td>${formatBytes(session.sizeBytes)}</td>
-    `;
-    dom.geminiBody.appendChild(row);
+  // Same-named folders in different places get their parent folder shown too
+  const nameCounts = new Map();
+  for (const [project] of projects) {
+    const name = projectDisplayName(project);
+    nameCounts.set(name, (nameCounts.get(name) || 0) + 1);
   }
+  const labelFor = (project) => projectDisplayName(project, nameCounts.get(projectDisplayName(project)) > 1 ? 2 : 1);
+
+  view.projectList.innerHTML = projects
+    .map(
+      ([project, count]) => `
+        <li>
+          <button type="button" class="project-entry${project === selected ? " active" : ""}" data-project="${escapeHtml(project)}" title="${escapeHtml(project)}">
+            <span>${escapeHtml(truncateText(labelFor(project), 40))}</span>
+            <span class="muted">${count}</span>
+          </button>
+        </li>
+      `
+    )
+    .join("");
+}
 
-  dom.geminiBody.querySelectorAll("input[type=checkbox]").forEach((checkbox) => {
-    const id = checkbox.getAttribute("data-session-id");
-    checkbox.checked = selectedSet.has(id);
-    checkbox.addEventListener("change", () => {
-      if (checkbox.checked) {
-        selectedSet.add(id);
-      } else {
-        selectedSet.delete(id);
-      }
-      renderSelectionMeta();
-    });
-  });
-
-  const selectedInRows = countSelectedRows(selectedSet, rows, "itemId");
-  dom.geminiCheckAll.checked = rows.length > 0 && selectedInRows === rows.length;
-  renderSelectionMeta();
+function renderListStatus(providerId) {
+  const view = providerViews.get(providerId);
+  const listing = state.listings[providerId];
+  if (listing.loading) {
+    view.listStatus.textContent = "Loading…";
+  } else if (listing.total === 0) {
+    view.listStatus.textContent = listing.stale ? "" : "No matching sessions.";
+  } else {
+    view.listStatus.textContent = `Showing ${listing.items.length} of ${listing.total}`;
+  }
+  view.loadMore.classList.toggle("hidden", !listing.nextCursor);
+  view.loadMore.disabled = listing.loading;
 }
 
 /* ── render: Trash ────────────────────────────────────── */
 
-function renderTrash() {
+function renderTrashRow(item) {
+  const checked = state.selected.trash.has(item.trashId) ? " checked" : "";
+  const row = document.createElement("tr");
+  row.innerHTML = `
+    <td><input type="checkbox" data-trash-id="${item.trashId}"${checked} /></td>
+    <td>${trashExpiryPill(item.expired)}</td>
+    <td>${providerBadge(item.provider || "codex")}</td>
+    <td title="${escapeHtml(item.threadId || "-")}">${escapeHtml(
+    truncateText(item.threadId || "-", 16)
+  )}</td>
+    <td>${formatDate(item.deletedAt)}</td>
+    <td>${formatDate(item.expiresAt)}</td>
+    <td>${formatBytes(item.sizeBytes)}</td>
+    <td title="${escapeHtml(item.originalRelativePath || "")}">${escapeHtml(
+    truncateText(item.originalRelativePath || "-", 48)
+  )}</td>
+  `;
+  return row;
+}
+
+function renderTrash({ resetScroll = false } = {}) {
   const rows = filteredTrash();
-  dom.trashBody.innerHTML = "";
+  trashTable.setRows(rows, { resetScroll });
 
-  for (const item of rows) {
-    const row = document.createElement("tr");
-    row.innerHTML = `
-      <td><input type="checkbox" data-trash-id="${item.trashId}" /></td>
-      <td>${trashExpiryPill(item.expired)}</td>
-      <td>${providerBadge(item.provider || "codex")}</td>
-      <td title="${escapeHtml(item.threadId || "-")}">${escapeHtml(
-      truncateText(item.threadId || "-", 16)
-    )}</td>
-      <td>${formatDate(item.deletedAt)}</td>
-      <td>${formatDate(item.expiresAt)}</td>
-      <td>${formatBytes(item.sizeBytes)}</td>
-      <td title="${escapeHtml(item.originalRelativePath || "")}">${escapeHtml(
-      truncateText(item.originalRelativePath || "-", 48)
-    )}</td>
-    `;
-    dom.trashBody.appendChild(row);
-  }
+  renderCheckAll(dom.trashCheckAll, state.selected.trash, rows, "trashId");
+  renderSelectionMeta();
+}
 
-  dom.trashBody.querySelectorAll("input[type=checkbox]").forEach((checkbox) => {
-    const id = checkbox.getAttribute("data-trash-id");
-    checkbox.checked = state.selected.trash.has(id);
-    checkbox.addEventListener("change", () => {
-      if (checkbox.checked) {
-        state.selected.trash.add(id);
-      } else {
-        state.selected.trash.delete(id);
-      }
-      renderSelectionMeta();
-    });
-  });
+/* ── render: Search ───────────────────────────────────── */
 
-  const selectedInRows = countSelectedRows(state.selected.trash, rows, "trashId");
-  dom.trashCheckAll.checked = rows.length > 0 && selectedInRows === rows.length;
-  renderSelectionMeta();
+function renderHighlighted(snippet) {
+  let html = "";
+  let cursor = 0;
+  for (const [start, end] of snippet.highlights) {
+    html += `${escapeHtml(snippet.text.slice(cursor, start))}<mark>${escapeHtml(
+      snippet.text.slice(start, end)
+    )}</mark>`;
+    cursor = end;
+  }
+  return html + escapeHtml(snippet.text.slice(cursor));
 }
 
-/* ── selection meta + button state ────────────────────── */
+function renderSearch() {
+  const { query, results, total, loading, building, pending } = state.search;
+  dom.searchResults.innerHTML = "";
 
-function renderSelectionMeta() {
-  const codexTotal = codexSessions().length;
-  const claudeTotal = claudeSessions().length;
-  const geminiTotal = geminiSessions().length;
+  if (loading) {
+    dom.searchMeta.textContent = "Searching…";
+  } else if (!query) {
+    dom.searchMeta.textContent = "Find sessions by anything said in the conversation.";
+  } else {
+    dom.searchMeta.textContent =
+      total > results.length
+        ? `${total} matching sessions, showing the best ${results.length}`
+        : `${total} matching session${total === 1 ? "" : "s"}`;
+    if (building) {
+      dom.searchMeta.textContent += ` — still indexing, ${pending} session${pending === 1 ? "" : "s"} to go`;
+    }
+  }
 
-  dom.codexSelectionMeta.textContent = `${state.selected.codex.size} selected / ${codexTotal} total`;
-  dom.claudeSelectionMeta.textContent = `${state.selected.claude.size} selected / ${claudeTotal} total`;
-  dom.geminiSelectionMeta.textContent = `${state.selected.gemini.size} selected / ${geminiTotal} total`;
-  dom.trashSelectionMeta.textContent = `${state.selected.trash.size} selected / ${state.trash.length} total`;
+  for (const result of results) {
+    const item = document.createElement("li");
+    item.className = "search-result";
+    item.innerHTML = `
+      <div class="search-result-head">
+        ${providerBadge(result.provider)} ${statePill(result.state)}
+        <strong>${escapeHtml(result.title || "Untitled session")}</strong>
+        <span class="muted">${escapeHtml(formatDate(result.updatedAt))}</span>
+      </div>
+      ${result.snippets
+        .map((snippet) => `<p class="search-snippet">${renderHighlighted(snippet)}</p>`)
+        .join("")}
+    `;
+    const owner = providerById(result.provider);
+    if (owner && owner.capabilities.transcript) {
+      bindRowDetail(item, result);
+    }
+    dom.searchResults.appendChild(item);
+  }
+}
 
-  // Codex buttons: archive only for active, unarchive only for archived
-  const codexSelectedItems = codexSessions().filter((s) => state.selected.codex.has(s.itemId));
-  const hasActiveSelected = codexSelectedItems.some((s) => s.state === "active");
-  const hasArchivedSelected = codexSelectedItems.some((s) => s.state === "archived");
+// While the server is still building the index, the results so far are
+// shown and the same query is asked again until the build finishes.
+async function runSearch(query = dom.searchQuery.value.trim()) {
+  const requestToken = state.search.requestToken + 1;
+  const polling = query === state.search.query && state.search.building;
+  state.search = polling
+    ? { ...state.search, requestToken }
+    : { query, results: [], total: 0, loading: Boolean(query), building: false, pending: 0, requestToken };
+  renderSearch();
+  if (!query) {
+    return;
+  }
 
-  dom.codexActionArchive.disabled = !hasActiveSelected;
-  dom.codexActionUnarchive.disabled = !hasArchivedSelected;
-  dom.codexActionDelete.disabled = state.selected.codex.size === 0;
+  let response;
+  try {
+    response = await requestJson(`/api/search?q=${encodeURIComponent(query)}`);
+    if (state.search.requestToken !== requestToken) {
+      return;
+    }
+    state.search = {
+      ...state.search,
+      results: response.results,
+      total: response.total,
+      loading: false,
+      building: response.index.building,
+      pending: response.index.pending
+    };
+  } catch (error) {
+    if (state.search.requestToken === requestToken) {
+      state.search.loading = false;
+      state.search.building = false;
+    }
+    throw error;
+  }
+  renderSearch();
+
+  if (response.index.building) {
+    setTimeout(() => {
+      if (state.search.requestToken === requestToken) {
+        runSearch(query).catch((error) => showFeedback(toError(error), "error"));
+      }
+    }, SEARCH_INDEX_POLL_MS);
+  }
+}
 
-  const claudeSelectedItems = claudeSessions().filter((s) => state.selected.claude.has(s.itemId));
-  const hasClaudeActiveSelected = claudeSelectedItems.some((s) => s.state === "active");
-  const hasClaudeArchivedSelected = claudeSelectedItems.some((s) => s.state === "archived");
+/* ── selection meta + button state ────────────────────── */
 
-  dom.claudeActionArchive.disabled = !hasClaudeActiveSelected;
-  dom.claudeActionUnarchive.disabled = !hasClaudeArchivedSelected;
-  dom.claudeActionDelete.disabled = state.selected.claude.size === 0;
+function renderSelectionMeta() {
+  for (const provider of listViews()) {
+    const view = providerViews.get(provider.id);
+    const selectedSet = state.selected[provider.id];
+    const total = providerCounts(provider.id).total;
 
-  const geminiSelectedItems = geminiSessions().filter((s) => state.selected.gemini.has(s.itemId));
-  const hasGeminiActiveSelected = geminiSelectedItems.some((s) => s.state === "active");
-  const hasGeminiArchivedSelected = geminiSelectedItems.some((s) => s.state === "archived");
+    view.selectionMeta.textContent = `${selectedSet.size} selected / ${total} total`;
 
-  dom.geminiActionArchive.disabled = !hasGeminiActiveSelected;
-  dom.geminiActionUnarchive.disabled = !hasGeminiArchivedSelected;
-  dom.geminiActionDelete.disabled = state.selected.gemini.size === 0;
+    view.actionArchive.disabled = actionableIds(selectedSet, "archive").length === 0;
+    view.actionUnarchive.disabled = actionableIds(selectedSet, "unarchive").length === 0;
+    view.actionDelete.disabled = selectedSet.size === 0;
+  }
 
+  dom.trashSelectionMeta.textContent = `${state.selected.trash.size} selected / ${state.trash.length} total`;
   dom.actionRestore.disabled = state.selected.trash.size === 0;
   dom.actionPurge.disabled = state.selected.trash.size === 0;
 }
 
+function providerCounts(providerId) {
+  if (providerId === HIDDEN_VIEW_ID) {
+    const listing = state.listings[HIDDEN_VIEW_ID];
+    const total = (state.counts && state.counts.hidden) || 0;
+    const facets = listing && listing.facets;
+    return facets ? { total, ...facets.state } : { total, active: 0, archived: 0 };
+  }
+  if (providerId === ALL_VIEW_ID) {
+    return state.counts || { total: 0, active: 0, archived: 0 };
+  }
+  const counts = state.counts && state.counts.byProvider[providerId];
+  return counts || { total: 0, active: 0, archived: 0 };
+}
+
 function renderTabCounts() {
-  const codexAll = codexSessions();
-  const claudeAll = claudeSessions();
-  const geminiAll = geminiSessions();
-  const codexActive = codexAll.filter((s) => s.state === "active").length;
-  const codexArchived = codexAll.filter((s) => s.state === "archived").length;
-  const claudeActive = claudeAll.filter((s) => s.state === "active").length;
-  const claudeArchived = claudeAll.filter((s) => s.state === "archived").length;
-  const geminiActive = geminiAll.filter((s) => s.state === "active").length;
-  const geminiArchived = geminiAll.filter((s) => s.state === "archived").length;
-  const trashCount = state.trash.length;
-
-  dom.tabCodex.textContent = `Codex (${codexAll.length})`;
-  dom.tabClaude.textContent = `Claude (${claudeAll.length})`;
-  dom.tabGemini.textContent = `Gemini (${geminiAll.length})`;
-  dom.tabTrash.textContent = `Trash (${trashCount})`;
-
-  // Update state filter button labels with counts
-  document.querySelectorAll("[data-filter=codex]").forEach((btn) => {
-    const s = btn.getAttribute("data-state");
-    if (s === "all") btn.textContent = `All (${codexAll.length})`;
-    else if (s === "active") btn.textContent = `Active (${codexActive})`;
-    else if (s === "archived") btn.textContent = `Archived (${codexArchived})`;
-  });
-  document.querySelectorAll("[data-filter=claude]").forEach((btn) => {
-    const s = btn.getAttribute("data-state");
-    if (s === "all") btn.textContent = `All (${claudeAll.length})`;
-    else if (s === "active") btn.textContent = `Active (${claudeActive})`;
-    else if (s === "archived") btn.textContent = `Archived (${claudeArchived})`;
-  });
-  document.querySelectorAll("[data-filter=gemini]").forEach((btn) => {
-    const s = btn.getAttribute("data-state");
-    if (s === "all") btn.textContent = `All (${geminiAll.length})`;
-    else if (s === "active") btn.textContent = `Active (${geminiActive})`;
-    else if (s === "archived") btn.textContent = `Archived (${geminiArchived})`;
-  });
+  for (const provider of listViews()) {
+    const view = providerViews.get(provider.id);
+    const counts = providerCounts(provider.id);
+    view.tab.textContent = `${provider.label} (${counts.total})`;
+
+    // State filter counts follow the current query once the view has loaded
+    const facets = state.listings[provider.id].facets;
+    const activeCount = facets ? facets.state.active : counts.active;
+    const archivedCount = facets ? facets.state.archived : counts.archived;
+    view.section.querySelectorAll(".state-filter-btn").forEach((btn) => {
+      const s = btn.getAttribute("data-state");
+      if (s === "all") btn.textContent = `All (${activeCount + archivedCount})`;
+      else if (s === "active") btn.textContent = `Active (${activeCount})`;
+      else if (s === "archived") btn.textContent = `Archived (${archivedCount})`;
+    });
+  }
+
+  dom.tabTrash.textContent = `Trash (${state.trash.length})`;
 }
 
-function sanitizeSelections() {
-  const codexIds = new Set(codexSessions().map((s) => s.itemId));
-  const claudeIds = new Set(claudeSessions().map((s) => s.itemId));
-  const geminiIds = new Set(geminiSessions().map((s) => s.itemId));
+// Selections are cleared whenever a view's query or filters change, so
+// after a reload they only need to drop sessions the server no longer
+// returns for those filters (e.g. ones removed outside the app).
+async function sanitizeSelections() {
   const trashIds = new Set(state.trash.map((item) => item.trashId));
-
-  pruneSelectionSet(state.selected.codex, codexIds);
-  pruneSelectionSet(state.selected.claude, claudeIds);
-  pruneSelectionSet(state.selected.gemini, geminiIds);
   pruneSelectionSet(state.selected.trash, trashIds);
+
+  await Promise.all(
+    listViews()
+      .filter((provider) => state.selected[provider.id].size > 0)
+      .map(async (provider) => {
+        const params = listingParams(provider.id);
+        params.set("fields", "ids");
+        const response = await requestJson(`/api/sessions?${params}`);
+        pruneSelectionSet(state.selected[provider.id], new Set(response.items.map((item) => item.itemId)));
+      })
+  );
 }
 
 /* ── data loading ─────────────────────────────────────── */
 
 async function loadConfig() {
   state.config = await requestJson("/api/config");
-  dom.configInfo.textContent = `codex-home: ${state.config.codexHome} | claude-home: ${state.config.claudeHome} | gemini-home: ${state.config.geminiHome} | trash: ${state.config.trashRoot} | retention: ${state.config.retentionDays} days`;
+  state.providers = state.config.providers || [];
+  state.allView = state.providers.length > 1 ? buildAllView(state.providers) : null;
+  state.hiddenView = state.providers.length > 0 ? buildHiddenView(state.providers) : null;
+  const homes = state.providers
+    .filter((provider) => provider.home)
+    .map((provider) => `${provider.id}-home: ${[].concat(provider.home).join(", ")}`);
+  dom.configInfo.textContent = `${homes.join(" | ")} | trash: ${state.config.trashRoot} | retention: ${state.config.retentionDays} days`;
+}
+
+async function loadListing(providerId, { append = false, resetScroll = !append } = {}) {
+  const listing = state.listings[providerId];
+  if (append && (!listing.nextCursor || listing.loading)) {
+    return;
+  }
+
+  const requestToken = listing.requestToken + 1;
+  listing.requestToken = requestToken;
+  listing.loading = true;
+  renderListStatus(providerId);
+
+  const params = listingParams(providerId);
+  params.set("limit", String(LISTING_PAGE_SIZE));
+  if (append) {
+    params.set("cursor", listing.nextCursor);
+  }
+
+  try {
+    const response = await requestJson(`/api/sessions?${params}`);
+    if (listing.requestToken !== requestToken) {
+      return;
+    }
+    listing.items = append ? listing.items.concat(response.items) : response.items;
+    listing.total = response.total;
+    listing.nextCursor = response.nextCursor;
+    listing.facets = response.facets;
+    listing.stale = false;
+    rememberItems(response.items);
+  } finally {
+    if (listing.requestToken === requestToken) {
+      listing.loading = false;
+    }
+  }
+  renderProviderView(providerId, { resetScroll });
+}
+
+async function selectFiltered(providerId) {
+  const params = listingParams(providerId);
+  params.set("fields", "ids");
+  const response = await requestJson(`/api/sessions?${params}`);
+  rememberItems(response.items);
+  applySelection(state.selected[providerId], response.items, "itemId", true);
+  renderProviderView(providerId);
 }
 
+// Refreshes the counts and the visible listing; other provider views are
+// marked stale and reload when their tab is opened.
 async function loadSessions() {
-  const response = await requestJson("/api/sessions");
-  state.sessions = response.items || [];
+  const response = await requestJson("/api/sessions?limit=0");
+  state.counts = response.counts;
+  for (const listing of Object.values(state.listings)) {
+    listing.stale = true;
+  }
+  if (state.listings[state.currentView]) {
+    await loadListing(state.currentView, { resetScroll: false });
+  }
 }
 
 async function loadTrash() {
@@ -688,22 +1605,26 @@ async function loadTrash() {
 
 function renderAll() {
   renderTabCounts();
-  renderCodex();
-  renderClaude();
-  renderGemini();
+  for (const provider of listViews()) {
+    renderProviderView(provider.id);
+  }
   renderTrash();
+  renderSearch();
 }
 
 async function refreshAll() {
-  await Promise.all([loadConfig(), loadSessions(), loadTrash()]);
-  sanitizeSelections();
+  await loadConfig();
+  ensureProviderViews();
+  await Promise.all([loadSessions(), loadTrash()]);
+  await sanitizeSelections();
   renderAll();
 }
 
 /* ── actions ──────────────────────────────────────────── */
 
-async function runCodexAction(actionName) {
-  const selectedSet = state.selected.codex;
+async function runSessionAction(providerId, actionName) {
+  const provider = providerById(providerId);
+  const selectedSet = state.selected[providerId];
   let itemIds = Array.from(selectedSet);
   if (itemIds.length === 0) {
     showFeedback("No sessions selected.", "error");
@@ -712,16 +1633,14 @@ async function runCodexAction(actionName) {
 
   // For archive/unarchive, filter to only applicable items
   if (actionName === "archive") {
-    const activeIds = new Set(codexSessions().filter((s) => s.state === "active").map((s) => s.itemId));
-    itemIds = itemIds.filter((id) => activeIds.has(id));
+    itemIds = actionableIds(selectedSet, "archive");
     if (itemIds.length === 0) {
       showFeedback("No active sessions selected to archive.", "error");
       return;
     }
   }
   if (actionName === "unarchive") {
-    const archivedIds = new Set(codexSessions().filter((s) => s.state === "archived").map((s) => s.itemId));
-    itemIds = itemIds.filter((id) => archivedIds.has(id));
+    itemIds = actionableIds(selectedSet, "unarchive");
     if (itemIds.length === 0) {
       showFeedback("No archived sessions selected to unarchive.", "error");
       return;
@@ -729,9 +1648,11 @@ async function runCodexAction(actionName) {
   }
 
   if (actionName === "delete") {
+    const noun =
+      providerId === ALL_VIEW_ID || providerId === HIDDEN_VIEW_ID ? "session(s)" : `${provider.label} session(s)`;
     const accepted = await requestConfirmation({
       title: "Move sessions to trash?",
-      message: `Move ${itemIds.length} Codex session(s) to trash?\n\nThis is a soft delete and can be restored until expiration.`,
+      message: `Move ${itemIds.length} ${noun} to trash?\n\nThis is a soft delete and can be restored until expiration.`,
       confirmLabel: "Move To Trash",
       cancelLabel: "Keep Sessions",
       danger: true
@@ -749,110 +1670,17 @@ async function runCodexAction(actionName) {
 
   showFeedback(`${actionName}: ${summarizeReport(report)}`, report.failedCount ? "error" : "ok");
   selectedSet.clear();
-  await Promise.all([loadSessions(), loadTrash()]);
-  sanitizeSelections();
-  renderAll();
-}
-
-async function runClaudeAction(actionName) {
-  const selectedSet = state.selected.claude;
-  let itemIds = Array.from(selectedSet);
-  if (itemIds.length === 0) {
-    showFeedback("No sessions selected.", "error");
-    return;
-  }
-
-  if (actionName === "archive") {
-    const activeIds = new Set(claudeSessions().filter((s) => s.state === "active").map((s) => s.itemId));
-    itemIds = itemIds.filter((id) => activeIds.has(id));
-    if (itemIds.length === 0) {
-      showFeedback("No active sessions selected to archive.", "error");
-      return;
+  // The same session can also be selected in the All tab or its provider tab
+  for (const view of listViews()) {
+    for (const itemId of itemIds) {
+      state.selected[view.id].delete(itemId);
     }
   }
-  if (actionName === "unarchive") {
-    const archivedIds = new Set(claudeSessions().filter((s) => s.state === "archived").map((s) => s.itemId));
-    itemIds = itemIds.filter((id) => archivedIds.has(id));
-    if (itemIds.length === 0) {
-      showFeedback("No archived sessions selected to unarchive.", "error");
-      return;
-    }
-  }
-
-  if (actionName === "delete") {
-    const accepted = await requestConfirmation({
-      title: "Move sessions to trash?",
-      message: `Move ${itemIds.length} Claude session(s) to trash?\n\nThis is a soft delete and can be restored until expiration.`,
-      confirmLabel: "Move To Trash",
-      cancelLabel: "Keep Sessions",
-      danger: true
-    });
-    if (!accepted) {
-      return;
-    }
+  if (state.detail.item && itemIds.includes(state.detail.item.itemId)) {
+    closeDetail();
   }
-
-  const report = await requestJson(`/api/sessions/${actionName}`, {
-    method: "POST",
-    headers: { "content-type": "application/json" },
-    body: JSON.stringify({ itemIds })
-  });
-
-  showFeedback(`${actionName}: ${summarizeReport(report)}`, report.failedCount ? "error" : "ok");
-  selectedSet.clear();
   await Promise.all([loadSessions(), loadTrash()]);
-  sanitizeSelections();
-  renderAll();
-}
-
-async function runGeminiAction(actionName) {
-  const selectedSet = state.selected.gemini;
-  let itemIds = Array.from(selectedSet);
-  if (itemIds.length === 0) {
-    showFeedback("No sessions selected.", "error");
-    return;
-  }
-
-  if (actionName === "archive") {
-    const activeIds = new Set(geminiSessions().filter((s) => s.state === "active").map((s) => s.itemId));
-    itemIds = itemIds.filter((id) => activeIds.has(id));
-    if (itemIds.length === 0) {
-      showFeedback("No active sessions selected to archive.", "error");
-      return;
-    }
-  }
-  if (actionName === "unarchive") {
-    const archivedIds = new Set(geminiSessions().filter((s) => s.state === "archived").map((s) => s.itemId));
-    itemIds = itemIds.filter((id) => archivedIds.has(id));
-    if (itemIds.length === 0) {
-      showFeedback("No archived sessions selected to unarchive.", "error");
-      return;
-    }
-  }
-
-  if (actionName === "delete") {
-    const accepted = await requestConfirmation({
-      title: "Move sessions to trash?",
-      message: `Move ${itemIds.length} Gemini session(s) to trash?\n\nThis is a soft delete and can be restored until expiration.`,
-      confirmLabel: "Move To Trash",
-      cancelLabel: "Keep Sessions",
-      danger: true
-    });
-    if (!accepted) {
-      return;
-    }
-  }
-
-  const report = await requestJson(`/api/sessions/${actionName}`, {
-    method: "POST",
-    headers: { "content-type": "application/json" },
-    body: JSON.stringify({ itemIds })
-  });
-
-  showFeedback(`${actionName}: ${summarizeReport(report)}`, report.failedCount ? "error" : "ok");
-  selectedSet.clear();
-  await Promise.all([loadSessions(), loadTrash()]);
-  sanitizeSelections();
+  await sanitizeSelections();
   renderAll();
 }
 
@@ -890,7 +1718,7 @@ async function runTrashAction(actionName) {
   );
   state.selected.trash.clear();
   await Promise.all([loadSessions(), loadTrash()]);
-  sanitizeSelections();
+  await sanitizeSelections();
   renderAll();
 }
 
@@ -902,6 +1730,9 @@ function wireEvents() {
       if (event.key === "Escape" && state.confirmResolve) {
         event.preventDefault();
         closeConfirmModal(false);
+      } else if (event.key === "Escape" && state.detail.item) {
+        event.preventDefault();
+        closeDetail();
       }
     });
     state.confirmKeyListenerBound = true;
@@ -911,6 +1742,17 @@ function wireEvents() {
   dom.confirmCancel.addEventListener("click", () => closeConfirmModal(false));
   dom.confirmAccept.addEventListener("click", () => closeConfirmModal(true));
 
+  // Detail pane
+  dom.detailClose.addEventListener("click", () => closeDetail());
+  dom.detailLoadMore.addEventListener("click", () => loadDetailPage());
+  dom.detailBody.addEventListener("scroll", () => {
+    const remaining =
+      dom.detailBody.scrollHeight - dom.detailBody.scrollTop - dom.detailBody.clientHeight;
+    if (remaining < 200) {
+      loadDetailPage();
+    }
+  });
+
   // Theme toggle
   document.getElementById("theme-toggle").addEventListener("click", () => {
     const current = getStoredTheme() || "light";
@@ -919,12 +1761,31 @@ function wireEvents() {
     applyTheme(next);
   });
 
-  // Tab switching
-  dom.tabCodex.addEventListener("click", () => setCurrentView("codex"));
-  dom.tabClaude.addEventListener("click", () => setCurrentView("claude"));
-  dom.tabGemini.addEventListener("click", () => setCurrentView("gemini"));
+  dom.hiddenToggle.addEventListener("click", () => {
+    state.showHidden = !state.showHidden;
+    setStoredShowHidden(state.showHidden);
+    renderHiddenToggle();
+    if (state.showHidden) {
+      setCurrentView(HIDDEN_VIEW_ID);
+    }
+  });
+
+  // Tab switching (provider tabs are wired when their views are built)
+  dom.tabSearch.addEventListener("click", () => {
+    setCurrentView("search");
+    dom.searchQuery.focus();
+  });
   dom.tabTrash.addEventListener("click", () => setCurrentView("trash"));
 
+  // Search view
+  dom.searchForm.addEventListener("submit", (event) => {
+    event.preventDefault();
+    runSearch().catch((error) => {
+      renderSearch();
+      showFeedback(toError(error), "error");
+    });
+  });
+
   // Global actions
   dom.refreshAll.addEventListener("click", () => {
     refreshAll()
@@ -944,105 +1805,21 @@ function wireEvents() {
       .catch((error) => showFeedback(toError(error), "error"));
   });
 
-  // State filter buttons
-  document.querySelectorAll(".state-filter-btn").forEach((btn) => {
-    btn.addEventListener("click", () => {
-      const filterGroup = btn.getAttribute("data-filter");
-      const filterState = btn.getAttribute("data-state");
-      state.stateFilter[filterGroup] = filterState;
-      btn.parentElement.querySelectorAll(".state-filter-btn").forEach((b) => b.classList.remove("active"));
-      btn.classList.add("active");
-      if (filterGroup === "codex") renderCodex();
-      else if (filterGroup === "claude") renderClaude();
-      else if (filterGroup === "gemini") renderGemini();
-    });
-  });
-
-  // Codex view
-  dom.codexQuery.addEventListener("input", (event) => {
-    state.queries.codex = event.target.value;
-    renderCodex();
-  });
-  dom.codexSelectFiltered.addEventListener("click", () => {
-    applySelection(state.selected.codex, filteredCodex(), "itemId", true);
-    renderCodex();
-  });
-  dom.codexClearSelection.addEventListener("click", () => {
-    state.selected.codex.clear();
-    renderCodex();
-  });
-  dom.codexCheckAll.addEventListener("change", (event) => {
-    applySelection(state.selected.codex, filteredCodex(), "itemId", event.target.checked);
-    renderCodex();
-  });
-  dom.codexActionArchive.addEventListener("click", () => {
-    runCodexAction("archive").catch((error) => showFeedback(toError(error), "error"));
-  });
-  dom.codexActionUnarchive.addEventListener("click", () => {
-    runCodexAction("unarchive").catch((error) => showFeedback(toError(error), "error"));
-  });
-  dom.codexActionDelete.addEventListener("click", () => {
-    runCodexAction("delete").catch((error) => showFeedback(toError(error), "error"));
-  });
-
-  // Claude view
-  dom.claudeQuery.addEventListener("input", (event) => {
-    state.queries.claude = event.target.value;
-    renderClaude();
-  });
-  dom.claudeSelectFiltered.addEventListener("click", () => {
-    applySelection(state.selected.claude, filteredClaude(), "itemId", true);
-    renderClaude();
-  });
-  dom.claudeClearSelection.addEventListener("click", () => {
-    state.selected.claude.clear();
-    renderClaude();
-  });
-  dom.claudeCheckAll.addEventListener("change", (event) => {
-    applySelection(state.selected.claude, filteredClaude(), "itemId", event.target.checked);
-    renderClaude();
-  });
-  dom.claudeActionArchive.addEventListener("click", () => {
-    runClaudeAction("archive").catch((error) => showFeedback(toError(error), "error"));
-  });
-  dom.claudeActionUnarchive.addEventListener("click", () => {
-    runClaudeAction("unarchive").catch((error) => showFeedback(toError(error), "error"));
-  });
-  dom.claudeActionDelete.addEventListener("click", () => {
-    runClaudeAction("delete").catch((error) => showFeedback(toError(error), "error"));
-  });
-
-  // Gemini view
-  dom.geminiQuery.addEventListener("input", (event) => {
-    state.queries.gemini = event.target.value;
-    renderGemini();
-  });
-  dom.geminiSelectFiltered.addEventListener("click", () => {
-    applySelection(state.selected.gemini, filteredGemini(), "itemId", true);
-    renderGemini();
-  });
-  dom.geminiClearSelection.addEventListener("click", () => {
-    state.selected.gemini.clear();
-    renderGemini();
-  });
-  dom.geminiCheckAll.addEventListener("change", (event) => {
-    applySelection(state.selected.gemini, filteredGemini(), "itemId", event.target.checked);
-    renderGemini();
-  });
-  dom.geminiActionArchive.addEventListener("click", () => {
-    runGeminiAction("archive").catch((error) => showFeedback(toError(error), "error"));
-  });
-  dom.geminiActionUnarchive.addEventListener("click", () => {
-    runGeminiAction("unarchive").catch((error) => showFeedback(toError(error), "error"));
+  // Trash view
+  trashTable = createVirtualTable({
+    scroller: dom.trashBody.closest(".table-wrap"),
+    body: dom.trashBody,
+    columnCount: 8,
+    renderRow: renderTrashRow
   });
-  dom.geminiActionDelete.addEventListener("click", () => {
-    runGeminiAction("delete").catch((error) => showFeedback(toError(error), "error"));
+  dom.trashBody.addEventListener("change", (event) => {
+    toggleRowSelection(state.selected.trash, event.target, "data-trash-id");
+    renderCheckAll(dom.trashCheckAll, state.selected.trash, filteredTrash(), "trashId");
+    renderSelectionMeta();
   });
-
-  // Trash view
   dom.trashQuery.addEventListener("input", (event) => {
     state.queries.trash = event.target.value;
-    renderTrash();
+    renderTrash({ resetScroll: true });
   });
   dom.trashSelectFiltered.addEventListener("click", () => {
     applySelection(state.selected.trash, filteredTrash(), "trashId", true);
@@ -1065,5 +1842,4 @@ function wireEvents() {
 }
 
 wireEvents();
-setCurrentView("codex");
 refreshAll().catch((error) => showFeedback(toError(error), "error"));
@@ -0,0 +1,260 @@
+// Session filter query language, shared by the web UI (window.SessionQuery)
+// and the server (require). Syntax:
+//
+//   kafka "exact phrase" -excluded provider:claude branch:main state:archived
+//   size:>5MB messages:>=10 updated:<2026-01-01 created:2025-06-01..2025-06-30
+//   updated:<90d   (relative dates: h, d, w, m, y ago)
+//   model:gpt-5 repo:acme/api commit:4f1c originator:codex_cli_rs version:0.46
+//   reason:exec   (why a hidden session counts as system-generated)
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.SessionQuery = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3, tb: 1024 ** 4 };
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const DURATION_UNITS_MS = { h: DAY_MS / 24, d: DAY_MS, w: 7 * DAY_MS, m: 30 * DAY_MS, y: 365 * DAY_MS };
+  const COMPARISON_PATTERN = /^(>=|<=|>|<|=)?(.*)$/;
+
+  // The directory a session ran in, as precise as its provider records it:
+  // Aider/OpenCode project paths, Codex session cwd, Claude's decoded project
+  // folder, or the Gemini project hash. The Project column and the Projects
+  // facet both use it, so a row is labelled by the group it is counted in.
+  function projectOf(item) {
+    return item.projectPath || item.cwd || item.projectName || item.projectHash || null;
+  }
+
+  const FIELDS = {
+    provider: { type: "keyword", values: (item) => [item.provider] },
+    state: { type: "keyword", values: (item) => [item.state] },
+    branch: { type: "text", values: (item) => [item.gitBranch, item.branch] },
+    project: {
+      type: "text",
+      values: (item) => [item.projectName, item.projectPath, item.projectHash, item.cwd]
+    },
+    title: { type: "text", values: (item) => [item.title] },
+    thread: { type: "text", values: (item) => [item.threadId] },
+    path: { type: "text", values: (item) => [item.relativePath, item.fileName] },
+    model: { type: "text", values: (item) => [item.model] },
+    repo: { type: "text", values: (item) => [item.gitRepositoryUrl] },
+    commit: { type: "text", values: (item) => [item.gitCommit] },
+    originator: { type: "text", values: (item) => [item.originator] },
+    version: { type: "text", values: (item) => [item.cliVersion] },
+    reason: { type: "text", values: (item) => [item.systemReason] },
+    size: { type: "size", value: (item) => item.sizeBytes },
+    messages: { type: "number", value: (item) => item.messageCount },
+    updated: { type: "date", value: (item) => Date.parse(item.updatedAt) },
+    created: { type: "date", value: (item) => Date.parse(item.createdAt) }
+  };
+
+  const FIELD_ALIASES = { is: "state", id: "thread", msgs: "messages" };
+
+  function tokenize(input) {
+    const tokens = [];
+    const text = String(input || "");
+    let index = 0;
+
+    while (index < text.length) {
+      if (/\s/.test(text[index])) {
+        index += 1;
+        continue;
+      }
+
+      let negate = false;
+      if (text[index] === "-" && index + 1 < text.length && !/\s/.test(text[index + 1])) {
+        negate = true;
+        index += 1;
+      }
+
+      let raw = "";
+      let quoted = false;
+      while (index < text.length && !/\s/.test(text[index])) {
+        if (text[index] === "\"") {
+          const close = text.indexOf("\"", index + 1);
+          const end = close === -1 ? text.length : close;
+          quoted = quoted || raw === "";
+          raw += text.slice(index + 1, end);
+          index = end + 1;
+          continue;
+        }
+        raw += text[index];
+        index += 1;
+      }
+
+      if (raw) {
+        tokens.push({ raw, negate, phrase: quoted });
+      }
+    }
+
+    return tokens;
+  }
+
+  function parseSize(value) {
+    const match = /^(\d+(?:\.\d+)?)\s*([kmgt]?b)?$/i.exec(value);
+    if (!match) {
+      return null;
+    }
+    return Number.parseFloat(match[1]) * SIZE_UNITS[(match[2] || "b").toLowerCase()];
+  }
+
+  function parseNumber(value) {
+    return /^\d+$/.test(value) ? Number.parseInt(value, 10) : null;
+  }
+
+  // Returns [start, end) in epoch ms: a calendar day for YYYY-MM-DD, an
+  // instant for full timestamps and relative offsets ("90d" = 90 days ago).
+  function parseDate(value, now) {
+    const relative = /^(\d+)([hdwmy])$/i.exec(value);
+    if (relative) {
+      const instant = now - Number.parseInt(relative[1], 10) * DURATION_UNITS_MS[relative[2].toLowerCase()];
+      return { start: instant, end: instant, relative: true };
+    }
+
+    const day = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    if (day) {
+      const start = new Date(Number(day[1]), Number(day[2]) - 1, Number(day[3])).getTime();
+      return { start, end: start + DAY_MS, relative: false };
+    }
+
+    const instant = Date.parse(value);
+    return Number.isFinite(instant) ? { start: instant, end: instant, relative: false } : null;
+  }
+
+  function compareClause(field, rawValue, now) {
+    const parse = field.type === "size" ? parseSize : field.type === "number" ? parseNumber : null;
+
+    const range = /^(.+)\.\.(.+)$/.exec(rawValue);
+    if (range) {
+      if (field.type === "date") {
+        const low = parseDate(range[1], now);
+        const high = parseDate(range[2], now);
+        if (!low || !high) {
+          return null;
+        }
+        const from = Math.min(low.start, high.start);
+        const to = Math.max(low.end, high.end);
+        return (value) => value >= from && value <= to;
+      }
+      const low = parse(range[1]);
+      const high = parse(range[2]);
+      if (low === null || high === null) {
+        return null;
+      }
+      return (value) => value >= low && value <= high;
+    }
+
+    const [, operator = "", operand] = COMPARISON_PATTERN.exec(rawValue);
+
+    if (field.type === "date") {
+      const bound = parseDate(operand, now);
+      if (!bound) {
+        return null;
+      }
+      switch (operator) {
+        case ">":
+          return (value) => value >= bound.end && value > bound.start;
+        case ">=":
+          return (value) => value >= bound.start;
+        case "<":
+          return (value) => value < bound.start;
+        case "<=":
+          return (value) => value < bound.end || value <= bound.start;
+        default:
+          // A bare relative date means "within", a bare day means "on".
+          return bound.relative
+            ? (value) => value >= bound.start
+            : (value) => value >= bound.start && value < bound.end;
+      }
+    }
+
+    const bound = parse(operand);
+    if (bound === null) {
+      return null;
+    }
+    switch (operator) {
+      case ">":
+        return (value) => value > bound;
+      case ">=":
+        return (value) => value >= bound;
+      case "<":
+        return (value) => value < bound;
+      case "<=":
+        return (value) => value <= bound;
+      default:
+        return (value) => value === bound;
+    }
+  }
+
+  function fieldClause(field, rawValue, now) {
+    const needle = rawValue.toLowerCase();
+    if (field.type === "keyword") {
+      return (item) => field.values(item).some((value) => String(value || "").toLowerCase() === needle);
+    }
+    if (field.type === "text") {
+      return (item) =>
+        field.values(item).some((value) => String(value || "").toLowerCase().includes(needle));
+    }
+
+    const compare = compareClause(field, rawValue, now);
+    if (!compare) {
+      return null;
+    }
+    return (item) => {
+      const value = field.value(item);
+      return Number.isFinite(value) && compare(value);
+    };
+  }
+
+  // Compiles a query into a predicate. `textOf(item)` supplies the text
+  // that free terms and phrases are matched against.
+  function compileQuery(input, { textOf = (item) => item.title || "", now = Date.now() } = {}) {
+    const clauses = [];
+    const errors = [];
+
+    for (const token of tokenize(input)) {
+      const fieldMatch = token.phrase ? null : /^([a-z]+):(.+)$/i.exec(token.raw);
+      const fieldName = fieldMatch ? FIELD_ALIASES[fieldMatch[1].toLowerCase()] || fieldMatch[1].toLowerCase() : null;
+      const field = fieldName ? FIELDS[fieldName] : null;
+
+      if (field) {
+        const test = fieldClause(field, fieldMatch[2], now);
+        if (!test) {
+          errors.push(`invalid ${fieldName} value: ${fieldMatch[2]}`);
+          continue;
+        }
+        clauses.push({ field: fieldName, value: fieldMatch[2], negate: token.negate, test });
+        continue;
+      }
+
+      const needle = token.raw.toLowerCase();
+      clauses.push({
+        field: null,
+        value: token.raw,
+        negate: token.negate,
+        test: (item) => String(textOf(item) || "").toLowerCase().includes(needle)
+      });
+    }
+
+    return {
+      clauses,
+      errors,
+      isEmpty: clauses.length === 0,
+      matches(item) {
+        return clauses.every((clause) => clause.test(item) !== clause.negate);
+      }
+    };
+  }
+
+  return {
+    FIELDS: Object.keys(FIELDS),
+    compileQuery,
+    parseDate,
+    parseSize,
+    projectOf,
+    tokenize
+  };
+});